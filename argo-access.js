@@ -0,0 +1,266 @@
+/**
+ * ARGO Access
+ *
+ * Plays the chord map without pointing (desktop): a keyboard focus mode on the canvas
+ * and Gamepad API input, for switch, screen-reader and gamepad users.
+ *
+ *   Tab to the canvas (focus from a mouse click doesn't count: Space stays the sustain pedal), then
+ *   ←/→          → previous/next node (layout order)
+ *   ↑/↓          → the top-5 transitions of the playing chord, by rank
+ *   Enter/Space  → hold to play the focused node (like a press), release to stop
+ *   Escape       → back to the playing chord
+ *
+ * A gamepad does the same without canvas focus: D-pad or left stick to move, A to play,
+ * B to go back (standard mapping). Every move is announced in the #access-live region:
+ * the chord name (getChordName) and its layout function, plus rank and probability for
+ * a top-5 target. Presses go through queueNodePress, so TEMPO QUANTIZE applies.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const ACCESS_DEADZONE = 0.5;       // stick travel that counts as a direction
+const ACCESS_REPEAT_DELAY = 400;   // ms a held direction waits before repeating
+const ACCESS_REPEAT_MS = 150;
+const ACCESS_PAD_BUTTONS = { confirm: 0, back: 1, up: 12, down: 13, left: 14, right: 15 };
+
+let accessFocus = null;      // focused NeonNode, null when neither canvas focus nor a gamepad is driving
+let accessKeyMode = false;   // the canvas has keyboard focus (Tab or arrows), not just focus from a click
+let _accessHeld = false;     // confirm is holding the sounding chord
+let _accessPadPrev = {};
+let _accessPadDir = null;    // { dir, next } — held direction and its next repeat (ms)
+let _accessPadFrame = null;
+
+// ============================================================
+// ANNOUNCEMENTS + PAD INPUT (pure)
+// ============================================================
+
+/** Live-region text: "G7, Dominant" — with "next 1 of 5, 32%" for a top-5 target */
+function accessDescribe(chord, func, target = null) {
+    const parts = [chord];
+    if (func) parts.push(func);
+    if (target) parts.push(`next ${target.rank} of ${target.of}, ${Math.round(target.prob * 100)}%`);
+    return parts.join(', ');
+}
+
+/** Standard-mapping gamepad → { up, down, left, right, confirm, back } (D-pad or left stick) */
+function accessPadInput(pad, deadzone = ACCESS_DEADZONE) {
+    const pressed = i => !!(pad.buttons[i] && pad.buttons[i].pressed);
+    const [x = 0, y = 0] = pad.axes || [];
+    return {
+        up: pressed(ACCESS_PAD_BUTTONS.up) || y < -deadzone,
+        down: pressed(ACCESS_PAD_BUTTONS.down) || y > deadzone,
+        left: pressed(ACCESS_PAD_BUTTONS.left) || x < -deadzone,
+        right: pressed(ACCESS_PAD_BUTTONS.right) || x > deadzone,
+        confirm: pressed(ACCESS_PAD_BUTTONS.confirm),
+        back: pressed(ACCESS_PAD_BUTTONS.back),
+    };
+}
+
+// ============================================================
+// FOCUS
+// ============================================================
+
+function accessAnnounce(text) {
+    const live = document.getElementById('access-live');
+    if (!live) return;
+    // Clear first so repeating the same chord is read again
+    live.textContent = '';
+    setTimeout(() => { live.textContent = text; }, 30);
+}
+
+/** Where node sits in the playing chord's top-5 → { rank, of, prob }, or null */
+function _accessTarget(node) {
+    if (!lastPlayedNode || node === lastPlayedNode) return null;
+    const top = topTransitions(lastPlayedNode.name);
+    const i = top.findIndex(t => t.next === node.name);
+    return i < 0 ? null : { rank: i + 1, of: top.length, prob: top[i].prob };
+}
+
+function _accessFocusOn(node) {
+    if (!node) return;
+    accessFocus = node;
+    accessAnnounce(accessDescribe(getChordName(node.name, node.data), node.func, _accessTarget(node)));
+}
+
+/** ←/→: neighbours in layout order */
+function _accessStep(delta) {
+    if (!nodes.length) return;
+    const i = nodes.indexOf(accessFocus);
+    _accessFocusOn(nodes[i < 0 ? 0 : (i + delta + nodes.length) % nodes.length]);
+}
+
+/** ↑/↓: the next or previous rank in the playing chord's top-5 */
+function _accessRank(delta) {
+    if (!lastPlayedNode) return;
+    const top = topTransitions(lastPlayedNode.name);
+    if (!top.length) {
+        accessAnnounce('No transitions from here');
+        return;
+    }
+    const current = _accessTarget(accessFocus);
+    const rank = current ? current.rank - 1 + delta : (delta > 0 ? 0 : top.length - 1);
+    const next = top[(rank + top.length) % top.length].next;
+    _accessFocusOn(nodes.find(n => n.name === next));
+}
+
+function _accessBack() {
+    _accessFocusOn(lastPlayedNode || nodes[0]);
+}
+
+function _accessPress() {
+    if (!accessFocus || _accessHeld) return;
+    if (!isActive) {
+        accessAnnounce('Press ENTER on the start screen to turn the sound on');
+        return;
+    }
+    _accessHeld = true;
+    queueNodePress(accessFocus);
+    accessAnnounce(`Playing ${getChordName(accessFocus.name, accessFocus.data)}`);
+}
+
+function _accessRelease() {
+    if (!_accessHeld) return;
+    _accessHeld = false;
+    queueNodeRelease();
+    activeNode = null;
+}
+
+/** After initAllNodes: keep the focus on the same chord in the rebuilt nodes */
+function accessRefocus() {
+    if (accessFocus) accessFocus = nodes.find(n => n.name === accessFocus.name) || null;
+}
+
+/** Focus ring over the nodes (draw loop) */
+function accessDrawFocus() {
+    const node = accessFocus;
+    if (!node) return;
+    const r = node.radius * (orbitMode ? NODE_STYLE.orbitScale : 1) + 8;
+    push();
+    noFill();
+    stroke(255, 255, 255, 160 + 60 * Math.sin(millis() * 0.006));
+    strokeWeight(2);
+    drawingContext.setLineDash([5, 4]);
+    circle(node.x, node.y, r * 2);
+    drawingContext.setLineDash([]);
+    pop();
+}
+
+// ============================================================
+// KEYBOARD (canvas focus)
+// ============================================================
+
+const ACCESS_KEYS = {
+    ArrowLeft: () => _accessStep(-1),
+    ArrowRight: () => _accessStep(1),
+    ArrowUp: () => _accessRank(-1),
+    ArrowDown: () => _accessRank(1),
+    Escape: _accessBack,
+};
+
+function _accessKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+        if (!accessKeyMode) return; // clicked, not tabbed: Space goes on to the sustain pedal
+        e.preventDefault();
+        if (!e.repeat) _accessPress();
+        return;
+    }
+    const action = ACCESS_KEYS[e.key];
+    if (!action) return;
+    e.preventDefault();
+    accessKeyMode = true; // arrows after a click switch the focus mode on
+    action();
+}
+
+function _accessKeyUp(e) {
+    if (accessKeyMode && (e.key === 'Enter' || e.key === ' ')) _accessRelease();
+}
+
+// ============================================================
+// GAMEPAD
+// ============================================================
+
+function _accessPadDirection(input) {
+    return ['up', 'down', 'left', 'right'].find(dir => input[dir]) || null;
+}
+
+const ACCESS_PAD_MOVES = {
+    up: () => _accessRank(-1),
+    down: () => _accessRank(1),
+    left: () => _accessStep(-1),
+    right: () => _accessStep(1),
+};
+
+function _accessPoll() {
+    _accessPadFrame = null;
+    const pad = [...(navigator.getGamepads ? navigator.getGamepads() : [])].find(p => p && p.connected);
+    if (!pad) return;
+    const input = accessPadInput(pad);
+    const now = performance.now();
+
+    // Directions fire on press, then repeat while held
+    const dir = _accessPadDirection(input);
+    if (!dir) _accessPadDir = null;
+    else if (!_accessPadDir || _accessPadDir.dir !== dir) {
+        if (!accessFocus) _accessBack();
+        else ACCESS_PAD_MOVES[dir]();
+        _accessPadDir = { dir, next: now + ACCESS_REPEAT_DELAY };
+    } else if (now >= _accessPadDir.next) {
+        ACCESS_PAD_MOVES[dir]();
+        _accessPadDir.next = now + ACCESS_REPEAT_MS;
+    }
+
+    if (input.confirm && !_accessPadPrev.confirm) {
+        if (!accessFocus) _accessBack();
+        _accessPress();
+    }
+    if (!input.confirm && _accessPadPrev.confirm) _accessRelease();
+    if (input.back && !_accessPadPrev.back) _accessBack();
+    _accessPadPrev = input;
+
+    _accessPadFrame = requestAnimationFrame(_accessPoll);
+}
+
+function _accessPadConnected(e) {
+    accessAnnounce(`Gamepad connected: ${e.gamepad.id}. D-pad moves, A plays, B goes back.`);
+    _accessPadPrev = {};
+    if (!_accessPadFrame) _accessPadFrame = requestAnimationFrame(_accessPoll);
+}
+
+function _accessPadDisconnected() {
+    accessAnnounce('Gamepad disconnected');
+    _accessRelease();
+}
+
+function setupAccessUI() {
+    const canvas = document.querySelector('canvas.p5Canvas');
+    if (canvas) {
+        canvas.setAttribute('tabindex', '0');
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-label', 'ARGO chord map. Arrow keys move between chords, Enter plays, Escape returns to the playing chord.');
+        // Only keyboard focus starts the focus mode — every mouse press on the pad focuses the canvas too
+        canvas.addEventListener('focus', () => {
+            accessKeyMode = canvas.matches(':focus-visible');
+            if (accessKeyMode && !accessFocus) _accessBack();
+        });
+        canvas.addEventListener('pointerdown', () => { accessKeyMode = false; });
+        canvas.addEventListener('blur', () => {
+            _accessRelease();
+            accessKeyMode = false;
+            accessFocus = null;
+        });
+        canvas.addEventListener('keydown', _accessKeyDown);
+        canvas.addEventListener('keyup', _accessKeyUp);
+    }
+    window.addEventListener('gamepadconnected', _accessPadConnected);
+    window.addEventListener('gamepaddisconnected', _accessPadDisconnected);
+}
+
+// Node (tests): expose the announcement and pad mapping
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        accessDescribe,
+        accessPadInput,
+    };
+}
@@ -0,0 +1,327 @@
+/**
+ * ARGO Bass
+ *
+ * An optional bass voice under the pads: the chord root (or the slash-chord bass a
+ * definition names with "bass": semitones above its root), or the lowest note of the
+ * current voicing, in one low octave from BASS_LOW up. It has its own lowpass (TONE)
+ * and level and goes to the master output dry — the pad filter, delay and reverb
+ * don't touch it.
+ *
+ * Patterns (one step per BEAT ms — or per transport beat with SYNC — from the chord's onset):
+ *   sustain → the bass note held until the chord changes or stops
+ *   pulse   → the bass note on every beat
+ *   walk    → bass, chord tones above it, then a semitone approach into the next bar;
+ *             when the next chord is known (recorder playback, ORBIT bursts) the last
+ *             beat before it approaches that chord's bass instead
+ *
+ * RyojiEngine.startChord/stopChord call bassOnChord/bassOnStop; the recorder and ORBIT
+ * announce the next chord with bassExpectNext. Steps run on the argo-clock.js scheduler
+ * at context times. Notes go to MIDI out and the note log.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const BASS_LOW = 34;              // Bb1 — bass notes sit in [BASS_LOW, BASS_LOW + 11]
+const BASS_PATTERNS = ['sustain', 'pulse', 'walk'];
+const BASS_SOURCES = ['root', 'voicing'];
+const BASS_GATES = { sustain: null, pulse: 0.5, walk: 0.9 };   // note length as a share of the beat
+const BASS_DEFAULTS = { on: false, pattern: 'sustain', source: 'root', level: 0.6, tone: 0.4, beat: 667, sync: false };
+
+let bassSettings = { ...BASS_DEFAULTS };
+let _bassFilter = null;
+let _bassGain = null;
+let _bassChord = null;     // { bass, tones } for the sounding chord
+let _bassNext = null;      // { note, at } next chord's bass and its onset (context time), when known
+let _bassBeat = 0;
+let _bassJob = null;       // clock job stepping the pattern
+let _bassVoice = null;     // { oscs, env, gateEnd } last note scheduled
+let _bassPrev = null;      // last note played (walking approaches come from its side)
+let _bassTapNote = null;   // note held on MIDI out / the note log
+
+// ============================================================
+// NOTES (pure)
+// ============================================================
+
+/** Bass pitch class: the slash bass (or root) from the definition, or the voicing's lowest note */
+function bassPitchClass(chordData, key, voiced, source) {
+    if (source === 'voicing' && voiced && voiced.length) return ((Math.min(...voiced) % 12) + 12) % 12;
+    const slash = Number.isInteger(chordData.bass) ? chordData.bass : 0;
+    return (key + chordData.root + slash) % 12;
+}
+
+/** Pitch class → MIDI note in the bass octave */
+function bassNoteFor(pc, low = BASS_LOW) {
+    return low + (((pc - low) % 12) + 12) % 12;
+}
+
+/** Chord tones (within the octave, tensions left out) above the bass note, ascending */
+function bassWalkTones(chordData, key, bass) {
+    const pcs = new Set(chordData.intervals.filter(iv => iv < 12).map(iv => (key + chordData.root + iv) % 12));
+    const tones = [];
+    for (let n = bass + 1; n <= bass + 12; n++) {
+        if (pcs.has(n % 12)) tones.push(n);
+    }
+    return tones;
+}
+
+/** Semitone neighbour of target on the side prev comes from (above when unknown) */
+function bassApproach(target, prev) {
+    return prev === null || prev >= target ? target + 1 : target - 1;
+}
+
+/**
+ * Note for one beat of a pattern; null → keep the note that is sounding.
+ * chord: { bass, tones }; target: the next chord's bass when this is the last beat before it.
+ */
+function bassBeatNote(pattern, beat, chord, target, prev) {
+    if (pattern === 'sustain') return beat === 0 ? chord.bass : null;
+    if (pattern === 'pulse' || beat === 0) return chord.bass;
+    if (target !== null && target !== undefined) return bassApproach(target, prev);
+    const step = beat % 4;
+    if (step === 0) return chord.bass;
+    if (step === 1) return chord.tones[0] || chord.bass;
+    if (step === 2) return chord.tones[1] || chord.tones[0] || chord.bass;
+    return bassApproach(chord.bass, prev);
+}
+
+/** { bass, tones } for a chord — the voicing is only read for source 'voicing' */
+function bassChordFor(chordData, key, voiced, source) {
+    const bass = bassNoteFor(bassPitchClass(chordData, key, voiced, source));
+    return { bass, tones: bassWalkTones(chordData, key, bass) };
+}
+
+/**
+ * A chord's bass line as notes { note, at, dur } (ms from its onset) — what the live
+ * voice plays over length ms, for the offline renderer. nextBass/nextAt: the next chord's
+ * bass and onset, when known.
+ */
+function bassLine(chord, settings, length, nextBass = null, nextAt = null) {
+    const beatMs = settings.beat;
+    const gate = BASS_GATES[settings.pattern];
+    const notes = [];
+    let prev = null;
+    for (let beat = 0; beat * beatMs < length; beat++) {
+        const at = beat * beatMs;
+        const last = nextBass !== null && nextAt !== null && at + beatMs > nextAt - 30;
+        const note = bassBeatNote(settings.pattern, beat, chord, last ? nextBass : null, prev);
+        if (note === null) continue;
+        if (gate === null) {
+            if (notes.length) notes[notes.length - 1].dur = at - notes[notes.length - 1].at;
+            notes.push({ note, at, dur: length - at });
+        } else {
+            notes.push({ note, at, dur: Math.min(beatMs * gate, length - at) });
+        }
+        prev = note;
+    }
+    return notes;
+}
+
+/** Step length in ms: BEAT, or the transport beat when SYNC is on */
+function bassBeatMs(settings, clockBeatMs) {
+    return settings.sync && clockBeatMs ? clockBeatMs : settings.beat;
+}
+
+/** TONE 0-1 → bass lowpass cutoff, 80 Hz - 2 kHz */
+function bassToneFreq(tone) {
+    return 80 * Math.pow(25, Math.max(0, Math.min(1, tone)));
+}
+
+// ============================================================
+// AUDIO
+// ============================================================
+
+/** Bass lowpass → level → master (built once the AudioContext runs, from RyojiEngine.init) */
+function bassInit() {
+    const ctx = getAudioContext();
+    if (_bassGain) { try { _bassGain.disconnect(); } catch (e) { } }
+    _bassFilter = ctx.createBiquadFilter();
+    _bassFilter.type = 'lowpass';
+    _bassFilter.Q.value = 1;
+    _bassFilter.frequency.value = bassToneFreq(bassSettings.tone);
+    _bassGain = ctx.createGain();
+    _bassGain.gain.value = bassSettings.level;
+    _bassFilter.connect(_bassGain);
+    const master = typeof p5 !== 'undefined' && p5.soundOut && p5.soundOut.input;
+    _bassGain.connect(master || ctx.destination);
+}
+
+/** Fade the last note from context time at (now when omitted) — a gated note that has ended is left alone */
+function _bassRelease(fade, at) {
+    const voice = _bassVoice;
+    _bassVoice = null;
+    if (!voice) return;
+    const now = getAudioContext().currentTime;
+    const t = Math.max(now, at === undefined ? now : at);
+    if (voice.gateEnd !== null && voice.gateEnd <= t) return;
+    const g = voice.env.gain;
+    g.cancelScheduledValues(t);
+    g.setValueAtTime(t > now ? 1 : g.value, t);
+    g.linearRampToValueAtTime(0, t + fade);
+    voice.oscs.forEach(osc => { try { osc.stop(t + fade + 0.05); } catch (e) { } });
+}
+
+/** Sine + triangle into the bass filter at context time; gate (s) null → held until the next note or stop */
+function _bassPlay(note, gate, time) {
+    if (!_bassFilter) return;
+    _bassRelease(0.03, time);
+    const ctx = getAudioContext();
+    const freq = 440 * Math.pow(2, (note - 69) / 12);
+    const gateEnd = gate === null ? null : time + gate;
+
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, time);
+    env.gain.linearRampToValueAtTime(1, time + (gate === null ? 0.04 : 0.01));
+    if (gateEnd !== null) {
+        env.gain.setValueAtTime(1, gateEnd);
+        env.gain.linearRampToValueAtTime(0, gateEnd + 0.08);
+    }
+    env.connect(_bassFilter);
+
+    const oscs = [['sine', 0.25], ['triangle', 0.12]].map(([type, amp]) => {
+        const osc = ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.value = freq;
+        const g = ctx.createGain();
+        g.gain.value = amp;
+        osc.connect(g);
+        g.connect(env);
+        osc.start(time);
+        if (gateEnd !== null) osc.stop(gateEnd + 0.13);
+        return osc;
+    });
+    _bassVoice = { oscs, env, gateEnd };
+    _bassPrev = note;
+    clockDefer(time, () => {
+        if (!_bassChord) return;
+        _bassTapOff();
+        _bassTapOn(note);
+    });
+    if (gateEnd !== null) clockDefer(gateEnd, () => { if (_bassTapNote === note) _bassTapOff(); });
+}
+
+function _bassTapOn(note) {
+    _bassTapNote = note;
+    if (typeof midiBassOn === 'function') midiBassOn(note, 1.0);
+    if (typeof noteLogBassOn === 'function') noteLogBassOn(note, 1.0);
+}
+
+function _bassTapOff() {
+    _bassTapNote = null;
+    if (typeof midiBassOff === 'function') midiBassOff();
+    if (typeof noteLogBassOff === 'function') noteLogBassOff();
+}
+
+function _bassBeatSec() {
+    const clockMs = typeof clockBeatSec === 'function' ? clockBeatSec(clockSettings) * 1000 : null;
+    return bassBeatMs(bassSettings, clockMs) / 1000;
+}
+
+/** One pattern step at context time → the next step's time (null: sustain holds until the chord changes) */
+function _bassStep(time) {
+    if (!_bassChord) return null;
+    const beat = _bassBeatSec();
+    const last = _bassNext && time + beat > _bassNext.at - 0.03;
+    const note = bassBeatNote(bassSettings.pattern, _bassBeat, _bassChord, last ? _bassNext.note : null, _bassPrev);
+    const gate = BASS_GATES[bassSettings.pattern];
+    if (note !== null) _bassPlay(note, gate === null ? null : beat * gate, time);
+    _bassBeat++;
+    return bassSettings.pattern === 'sustain' ? null : time + beat;
+}
+
+// ============================================================
+// HOOKS (RyojiEngine, recorder, ORBIT)
+// ============================================================
+
+/** at: context time the chord starts sounding */
+function bassOnChord(chordData, key, voiced, at) {
+    if (!bassSettings.on || !_bassFilter) return;
+    clockCancel(_bassJob);
+    if (_bassNext && _bassNext.at <= at) _bassNext = null;
+
+    _bassChord = bassChordFor(chordData, key, voiced, bassSettings.source);
+    _bassBeat = 0;
+    _bassJob = clockSchedule(at, _bassStep);
+}
+
+function bassOnStop() {
+    clockCancel(_bassJob);
+    _bassJob = null;
+    _bassChord = null;
+    _bassPrev = null;
+    _bassRelease(0.5);
+    _bassTapOff();
+}
+
+/** The chord that follows the sounding one, inMs from now (null chordData → unknown) */
+function bassExpectNext(chordData, key, inMs) {
+    _bassNext = chordData
+        ? { note: bassNoteFor(bassPitchClass(chordData, key, null, 'root')), at: getAudioContext().currentTime + inMs / 1000 }
+        : null;
+}
+
+/** Likeliest next chord's definition — what walking approaches aim at when ORBIT hasn't picked yet (learned: see topTransitions) */
+function bassLikelyNext(name, history, learned) {
+    const top = typeof topTransitions === 'function' ? topTransitions(name, history, learned) : [];
+    return top.length && CHORD_LIBRARY ? CHORD_LIBRARY[top[0].next] || null : null;
+}
+
+/** Partial settings { on, pattern, source, level, tone, beat, sync } */
+function setBass(v) {
+    bassSettings = { ...bassSettings, ...v };
+    if (!bassSettings.on) bassOnStop();
+    if (_bassGain) _bassGain.gain.setTargetAtTime(bassSettings.level, getAudioContext().currentTime, 0.05);
+    if (_bassFilter) _bassFilter.frequency.setTargetAtTime(bassToneFreq(bassSettings.tone), getAudioContext().currentTime, 0.05);
+}
+
+// ============================================================
+// UI
+// ============================================================
+
+function _bassSetBeatLabel() {
+    const label = document.getElementById('bass-beat-val');
+    if (label) label.textContent = bassSettings.beat + 'ms';
+}
+
+/** Sidebar → settings (also after applyState has set the controls) */
+function readBassControls() {
+    setBass({
+        on: _getCheckbox('bass-toggle', BASS_DEFAULTS.on),
+        pattern: _getSelect('bass-pattern', BASS_DEFAULTS.pattern),
+        source: _getSelect('bass-source', BASS_DEFAULTS.source),
+        level: _getSlider('bass-level', BASS_DEFAULTS.level),
+        tone: _getSlider('bass-tone', BASS_DEFAULTS.tone),
+        beat: _getSlider('bass-beat', BASS_DEFAULTS.beat),
+        sync: _getCheckbox('bass-sync', BASS_DEFAULTS.sync),
+    });
+    _bassSetBeatLabel();
+}
+
+function setupBassUI() {
+    ['bass-toggle', 'bass-pattern', 'bass-source', 'bass-sync'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', () => { readBassControls(); updateURL(); });
+    });
+    ['bass-level', 'bass-tone', 'bass-beat'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('input', () => { readBassControls(); updateURL(); });
+    });
+    readBassControls();
+}
+
+// Node (tests): expose the pure note functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BASS_LOW,
+        BASS_DEFAULTS,
+        bassPitchClass,
+        bassNoteFor,
+        bassWalkTones,
+        bassApproach,
+        bassBeatNote,
+        bassChordFor,
+        bassLine,
+        bassBeatMs,
+        bassToneFreq,
+    };
+}
@@ -0,0 +1,235 @@
+/**
+ * ARGO Clock
+ *
+ * The global transport: BPM (in quarter notes), time signature and swing, running on the
+ * AudioContext clock from RyojiEngine.init.
+ *
+ * A lookahead scheduler wakes every CLOCK_TICK_MS and runs every job due before
+ * currentTime + CLOCK_LOOKAHEAD. Jobs get the exact context time to start their sound at,
+ * so a busy main thread (particles, layout) delays the callback, not the note.
+ *
+ *   arpeggio → RyojiEngine.startChord adds a job per chord (note divisions, or free ms)
+ *   bass     → bassOnChord steps on its BEAT, or the transport beat with SYNC
+ *   QUANTIZE → queueNodePress (pointer, touch, MIDI in) and ORBIT bursts wait for the
+ *              next beat or bar; recorder playback keeps its recorded timing
+ *
+ * Times are AudioContext seconds throughout; clockDefer moves note taps (MIDI out,
+ * note log) and labels to the moment their sound starts.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const CLOCK_TICK_MS = 25;
+const CLOCK_LOOKAHEAD = 0.12;     // seconds scheduled ahead — covers a long frame
+const CLOCK_LATE = 0.03;          // presses this soon after a grid line play at once
+const CLOCK_EPSILON = 0.005;
+const CLOCK_METERS = { '2/4': [2, 4], '3/4': [3, 4], '4/4': [4, 4], '5/4': [5, 4], '6/8': [6, 8], '7/8': [7, 8], '12/8': [12, 8] };
+const CLOCK_DIVISIONS = { '1/4': 1, '1/8': 1 / 2, '1/8t': 1 / 3, '1/16': 1 / 4, '1/16t': 1 / 6, '1/32': 1 / 8 };   // in quarter notes
+const CLOCK_QUANTIZE = ['off', 'beat', 'bar'];
+const CLOCK_DEFAULTS = { bpm: 100, meter: '4/4', swing: 0, quantize: 'off' };
+
+let clockSettings = { ...CLOCK_DEFAULTS };
+let _clockOrigin = 0;      // context time of bar 1, beat 1
+let _clockTimer = null;
+let _clockJobs = [];       // { next, step } — step(time) → next time, or null when done
+let _clockBeatJob = null;
+
+// ============================================================
+// GRID (pure)
+// ============================================================
+
+/** One beat (the meter's note value) in seconds; BPM counts quarter notes */
+function clockBeatSec(settings) {
+    const [, unit] = CLOCK_METERS[settings.meter] || CLOCK_METERS['4/4'];
+    return (60 / settings.bpm) * (4 / unit);
+}
+
+function clockBarSec(settings) {
+    const [beats] = CLOCK_METERS[settings.meter] || CLOCK_METERS['4/4'];
+    return clockBeatSec(settings) * beats;
+}
+
+/** Note division ('1/8t', …) in seconds — null for unknown divisions (free-running ms) */
+function clockDivisionSec(div, bpm) {
+    return CLOCK_DIVISIONS[div] ? (60 / bpm) * CLOCK_DIVISIONS[div] : null;
+}
+
+/** Quantize grid in seconds, null when QUANTIZE is off */
+function clockGridSec(settings) {
+    if (settings.quantize === 'beat') return clockBeatSec(settings);
+    if (settings.quantize === 'bar') return clockBarSec(settings);
+    return null;
+}
+
+/** First grid line at or after time — or time itself when it is at most late past the last one */
+function clockNextGrid(time, origin, grid, late = CLOCK_LATE) {
+    const n = Math.ceil((time - origin - late) / grid);
+    return Math.max(time, origin + n * grid);
+}
+
+/** Step i on a stepSec grid; odd steps move up to a third of a step later (swing 1 → triplet feel) */
+function clockSwingStep(i, origin, stepSec, swing) {
+    return origin + i * stepSec + (i % 2 ? swing * stepSec / 3 : 0);
+}
+
+/** First swung step at time (after → strictly after it) */
+function clockNextStep(time, origin, stepSec, swing = 0, after = false) {
+    let i = Math.max(0, Math.floor((time - origin) / stepSec) - 1);
+    while (after
+        ? clockSwingStep(i, origin, stepSec, swing) <= time + CLOCK_EPSILON
+        : clockSwingStep(i, origin, stepSec, swing) < time - CLOCK_EPSILON) i++;
+    return clockSwingStep(i, origin, stepSec, swing);
+}
+
+/** 1-based { bar, beat } at time */
+function clockPosition(time, origin, settings) {
+    const [beats] = CLOCK_METERS[settings.meter] || CLOCK_METERS['4/4'];
+    const n = Math.max(0, Math.floor((time - origin) / clockBeatSec(settings) + CLOCK_EPSILON));
+    return { bar: Math.floor(n / beats) + 1, beat: (n % beats) + 1 };
+}
+
+// ============================================================
+// SCHEDULER
+// ============================================================
+
+function _clockNow() {
+    return getAudioContext().currentTime;
+}
+
+function _clockRun(job, horizon) {
+    while (job.next !== null && job.next < horizon) job.next = job.step(job.next);
+}
+
+function _clockTick() {
+    const horizon = _clockNow() + CLOCK_LOOKAHEAD;
+    _clockJobs.forEach(job => _clockRun(job, horizon));
+    _clockJobs = _clockJobs.filter(job => job.next !== null);
+}
+
+/** Start the transport at bar 1 (RyojiEngine.init) */
+function clockStart() {
+    _clockOrigin = _clockNow();
+    _clockJobs = [];
+    if (_clockTimer) clearInterval(_clockTimer);
+    _clockTimer = setInterval(_clockTick, CLOCK_TICK_MS);
+    _clockBeatJob = clockSchedule(_clockOrigin, _clockBeat);
+}
+
+/** Run step(time) at time, then at whatever time it returns, until it returns null; due steps run now */
+function clockSchedule(time, step) {
+    const job = { next: time, step };
+    _clockRun(job, _clockNow() + CLOCK_LOOKAHEAD);
+    if (job.next !== null) _clockJobs.push(job);
+    return job;
+}
+
+function clockCancel(job) {
+    if (job) job.next = null;
+}
+
+/** fn() when the sound scheduled for context time `time` starts */
+function clockDefer(time, fn) {
+    const ms = (time - _clockNow()) * 1000;
+    if (ms <= 1) fn();
+    else setTimeout(fn, ms);
+}
+
+/** Milliseconds until context time at (0 for null → now) */
+function clockLeadMs(at) {
+    return at === null || at === undefined ? 0 : Math.max(0, (at - _clockNow()) * 1000);
+}
+
+/**
+ * fn(at) on the next beat or bar when QUANTIZE is on — at is the context time to start
+ * sounding, null when fn runs right away. Returns the pending job (cancel with clockCancel).
+ */
+function clockQuantize(fn) {
+    const grid = clockGridSec(clockSettings);
+    const now = _clockNow();
+    const at = grid && _clockTimer ? clockNextGrid(now, _clockOrigin, grid) : now;
+    if (at - now < CLOCK_EPSILON) {
+        fn(null);
+        return null;
+    }
+    return clockSchedule(at, t => { fn(t); return null; });
+}
+
+/** Arpeggio/bass step grid anchored at bar 1 */
+function clockOrigin() {
+    return _clockOrigin;
+}
+
+/** Partial settings { bpm, meter, swing, quantize } — a tempo change keeps the position in the bar */
+function setClock(v) {
+    const prev = clockSettings;
+    clockSettings = { ...clockSettings, ...v };
+    if (!_clockTimer) return;
+    const now = _clockNow();
+    if (clockSettings.bpm !== prev.bpm) _clockOrigin = now - (now - _clockOrigin) * prev.bpm / clockSettings.bpm;
+    if (clockSettings.bpm !== prev.bpm || clockSettings.meter !== prev.meter) {
+        clockCancel(_clockBeatJob);
+        _clockBeatJob = clockSchedule(clockNextStep(now, _clockOrigin, clockBeatSec(clockSettings), 0, true), _clockBeat);
+    }
+}
+
+// ============================================================
+// UI
+// ============================================================
+
+/** Beat readout (BAR.BEAT) — its own job so it lands with the audio */
+function _clockBeat(time) {
+    const pos = clockPosition(time, _clockOrigin, clockSettings);
+    clockDefer(time, () => {
+        const el = document.getElementById('clock-pos');
+        if (el) el.textContent = `${pos.bar}.${pos.beat}`;
+    });
+    return time + clockBeatSec(clockSettings);
+}
+
+function _clockSetLabels() {
+    const bpm = document.getElementById('clock-bpm-val');
+    if (bpm) bpm.textContent = clockSettings.bpm;
+    const swing = document.getElementById('clock-swing-val');
+    if (swing) swing.textContent = Math.round(clockSettings.swing * 100) + '%';
+}
+
+/** Sidebar → settings (also after applyState has set the controls) */
+function readClockControls() {
+    setClock({
+        bpm: _getSlider('clock-bpm', CLOCK_DEFAULTS.bpm),
+        meter: _getSelect('clock-meter', CLOCK_DEFAULTS.meter),
+        swing: _getSlider('clock-swing', CLOCK_DEFAULTS.swing),
+        quantize: _getSelect('clock-quantize', CLOCK_DEFAULTS.quantize),
+    });
+    _clockSetLabels();
+}
+
+function setupClockUI() {
+    ['clock-meter', 'clock-quantize'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', () => { readClockControls(); updateURL(); });
+    });
+    ['clock-bpm', 'clock-swing'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('input', () => { readClockControls(); updateURL(); });
+    });
+    readClockControls();
+}
+
+// Node (tests): expose the grid math
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLOCK_METERS,
+        CLOCK_DIVISIONS,
+        CLOCK_DEFAULTS,
+        clockBeatSec,
+        clockBarSec,
+        clockDivisionSec,
+        clockGridSec,
+        clockNextGrid,
+        clockSwingStep,
+        clockNextStep,
+        clockPosition,
+    };
+}
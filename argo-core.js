@@ -0,0 +1,2159 @@
+/**
+ * ARGO CORE: shared by the desktop and mobile sketches
+ *
+ * Everything that decides what ARGO sounds like and which chord comes next:
+ * - Data loading (scale registry, CSV corpus, layouts, chord library)
+ * - CSV → roman mapping and transition processing (first order + optional 2nd/3rd-order context)
+ * - Node layout, connection flow and node drawing
+ * - RyojiEngine (voicing and voice leading, pads, arpeggio, effects)
+ * - Node press handling (quantized through argo-clock.js) and the shared sound controls
+ *
+ * Each platform sketch only adds input handling and layout. It defines, before setup():
+ *   SIDEBAR_WIDTH             → px reserved on the left of the canvas
+ *   LAYOUT_MARGIN             → px kept free around the outer ring
+ *   NODE_STYLE                → { radius, hitScale, orbitScale, glowScale, labelSize, orbitLabelSize }
+ *   MAX_CONNECTION_PARTICLES  → flow particle budget
+ * and calls loadArgoData() from its preload().
+ */
+
+let nodes = [];
+let particles = [];
+let audioSystem;
+let isActive = false;
+let currentKey = 0;
+let currentScale = 'major';
+let activeNode = null;
+let lastPlayedNode = null;
+let orbitMode = false;
+let layoutZoom = 1; // pinch zoom (mobile) on top of the fitted layout scale
+
+const KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Chord library loaded from JSON
+let CHORD_LIBRARY;
+
+// Scale/mode registry — a mode is a layout JSON plus a probability/transition CSV pair (paths relative to the data root).
+// context: which corpus spelling mapCsvChordToRoman/LAYOUT_ALIASES apply ('major' | 'minor').
+// trans2/trans3: optional 2nd/3rd-order transition CSVs — import_corpus.js writes them from chord charts; the shipped
+// corpus has none, so no mode names them and suggestions are first-order until you add them here.
+// Dorian and Mixolydian borrow the closest tonal corpus: no modal charts ship. import_corpus.js writes
+// Dorian_/Mixolydian_Normalized_*.csv from tunes keyed "D dorian" / "G mixolydian"; point prob/trans here at them.
+const SCALE_MODES = {
+    major: {
+        label: 'MAJOR', context: 'major',
+        layout: 'Chord_Layout_Config_v11_Major.json',
+        prob: 'Major_Normalized_Probabilities.csv', trans: 'Major_Normalized_Transitions.csv',
+    },
+    minor: {
+        label: 'MINOR', context: 'minor',
+        layout: 'Chord_Layout_Config_v11_Minor.json',
+        prob: 'Minor_Normalized_Probabilities.csv', trans: 'Minor_Normalized_Transitions.csv',
+    },
+    dorian: {
+        label: 'DORIAN', context: 'minor',
+        layout: 'Chord_Layout_Config_v11_Dorian.json',
+        prob: 'Minor_Normalized_Probabilities.csv', trans: 'Minor_Normalized_Transitions.csv',
+    },
+    mixolydian: {
+        label: 'MIXOLYDIAN', context: 'major',
+        layout: 'Chord_Layout_Config_v11_Mixolydian.json',
+        prob: 'Major_Normalized_Probabilities.csv', trans: 'Major_Normalized_Transitions.csv',
+    },
+};
+
+// Data Holders — SCALE_DATA[mode] = { probTable, transTable, layout }
+let SCALE_DATA = {};
+let CHORD_PROBABILITIES = new Map();
+let CHORD_TRANSITIONS = new Map();
+
+// Higher-order transitions — 'prev>current' / 'prev2>prev>current' → { total, list: [{ next, prob }] }
+let CHORD_CONTEXT_TRANSITIONS = new Map();
+let CONTEXT_ROWS = {};     // trans2/trans3 file → rows, filled as the optional CSVs arrive
+let chordHistory = [];     // layout names of the chords played, oldest first
+
+const CHORD_HISTORY_MAX = 3; // current chord + two before it (3rd order)
+const CONTEXT_BACKOFF = 5;   // a context seen this many times gets half the weight
+
+/**
+ * Load the corpus, layouts and chord library (call from preload).
+ * root: path prefix to the data files; layouts: per-mode layout file overrides.
+ */
+function loadArgoData(root = '', layouts = {}) {
+    // Modes share CSVs, so load each file once
+    const tables = {};
+    const json = {};
+    for (const [mode, cfg] of Object.entries(SCALE_MODES)) {
+        const layoutFile = layouts[mode] || root + cfg.layout;
+        if (!tables[cfg.prob]) tables[cfg.prob] = loadTable(root + cfg.prob, 'csv', 'header');
+        if (!tables[cfg.trans]) tables[cfg.trans] = loadTable(root + cfg.trans, 'csv', 'header');
+        if (!json[layoutFile]) json[layoutFile] = loadJSON(layoutFile);
+        SCALE_DATA[mode] = { probTable: tables[cfg.prob], transTable: tables[cfg.trans], layout: json[layoutFile] };
+    }
+    CHORD_LIBRARY = loadJSON(root + 'Chord_Definitions.json');
+    loadContextTransitions(root);
+}
+
+/**
+ * Fetch the higher-order CSVs the modes name, outside preload (a missing file would stall it).
+ * Tables are rebuilt as each one arrives; until then the suggestions are first-order.
+ */
+function loadContextTransitions(root = '') {
+    const files = new Set();
+    Object.values(SCALE_MODES).forEach(cfg => [cfg.trans2, cfg.trans3].forEach(f => { if (f) files.add(f); }));
+    files.forEach(file => {
+        fetch(root + file)
+            .then(res => (res.ok ? res.text() : null))
+            .then(text => {
+                if (!text) return;
+                CONTEXT_ROWS[file] = parseContextCsv(text);
+                if (CHORD_TRANSITIONS.size > 0) processContextData();
+            })
+            .catch(() => { });
+    });
+}
+
+/** Order-2/3 CSV text → [{ history: [..., current], next, count }] (history oldest first). */
+function parseContextCsv(text) {
+    const [header, ...lines] = text.trim().split(/\r?\n/);
+    const cols = header.split(',');
+    const historyCols = ['Prev2_Chord', 'Prev_Chord', 'Current_Chord'].map(c => cols.indexOf(c)).filter(i => i >= 0);
+    const nextCol = cols.indexOf('Next_Chord');
+    const countCol = cols.indexOf('Count');
+    return lines.map(line => {
+        const cells = line.split(',');
+        return { history: historyCols.map(i => cells[i]), next: cells[nextCol], count: parseFloat(cells[countCol]) };
+    }).filter(r => r.next && r.count > 0);
+}
+
+function currentScaleMode() {
+    return SCALE_MODES[currentScale] || SCALE_MODES.major;
+}
+
+function currentLayoutData() {
+    const data = SCALE_DATA[currentScale] || SCALE_DATA.major;
+    return data ? data.layout : null;
+}
+
+// Notation Mapper: CSV (Nashville-ish) -> Roman Numerals
+function mapCsvChordToRoman(csvName, isMinorContext) {
+    if (!csvName) return null;
+
+    // Handle special characters
+    let name = csvName.replace('#', '#').replace('b', 'b');
+
+    // Strip parenthetical voicings like "16(Fm7)" -> "16"
+    name = name.replace(/\(.*$/, '');
+
+    // Extract root number — SINGLE digit only (1-7)
+    const match = name.match(/^([#b]?\d)(.*)$/);
+    if (!match) return name; // Fallback
+
+    let rootNum = match[1];
+    let quality = match[2];
+
+    // Roman Numeral Conversion
+    const romanMap = {
+        '1': 'I', '2': 'II', '3': 'III', '4': 'IV', '5': 'V', '6': 'VI', '7': 'VII',
+        '#1': '#I', '#2': '#II', '#4': '#IV', '#5': '#V',
+        'b2': 'bII', 'b3': 'bIII', 'b5': 'bV', 'b6': 'bVI', 'b7': 'bVII'
+    };
+
+    let roman = romanMap[rootNum] || rootNum;
+
+    // Minor keys: b9/#9/b13/#5 are the diatonic colour of the dominant (harmonic minor),
+    // and the minor layout collapses the minor triad/9/11 family onto its m7 nodes.
+    if (isMinorContext) {
+        if (/^7(b9|#9|b13|#5|b5|alt)/.test(quality) && !quality.includes('sus')) quality = '7alt';
+        else if (/^m(9|11)?$/.test(quality)) quality = 'm7';
+    }
+
+    // Case adjustments for Minor/Major quality
+    // Lowercase for minor chords if not explicitly 'maj' or dominant
+    const isMinorQuality = quality.includes('m') && !quality.includes('maj');
+    const isDim = quality.includes('dim') || quality.includes('°') || quality === '07';
+
+    if (isMinorQuality || isDim) {
+        roman = roman.toLowerCase();
+    }
+
+    // Handle diminished °7 notation: "07" in CSV -> "°7" in layout
+    if (quality === '07') {
+        return roman + '°7';
+    }
+
+    // Handle standard connection
+    return roman + quality;
+}
+
+function processData() {
+    console.log('Processing Probability Data...');
+
+    const mode = currentScaleMode();
+    const { probTable, transTable, layout } = SCALE_DATA[currentScale] || SCALE_DATA.major;
+
+    const probRows = [];
+    for (let r = 0; r < probTable.getRowCount(); r++) {
+        probRows.push({ chord: probTable.getString(r, 'Normalized_Chord'), prob: probTable.getNum(r, 'Probability') });
+    }
+    const transRows = [];
+    for (let r = 0; r < transTable.getRowCount(); r++) {
+        transRows.push({
+            current: transTable.getString(r, 'Current_Chord'),
+            next: transTable.getString(r, 'Next_Chord'),
+            count: transTable.getNum(r, 'Count'),
+        });
+    }
+
+    // Refill the shared maps in place — other modules hold references to them
+    const data = buildChordData(probRows, transRows, layout, mode.context);
+    CHORD_PROBABILITIES.clear();
+    CHORD_TRANSITIONS.clear();
+    data.probabilities.forEach((prob, name) => CHORD_PROBABILITIES.set(name, prob));
+    data.transitions.forEach((list, name) => CHORD_TRANSITIONS.set(name, list));
+
+    console.log(`✓ Data Processed: ${CHORD_TRANSITIONS.size} chords have transitions.`);
+
+    // Contexts from the previous scale mean nothing in this one
+    chordHistory = [];
+    processContextData();
+}
+
+function processContextData() {
+    const mode = currentScaleMode();
+    const { layout } = SCALE_DATA[currentScale] || SCALE_DATA.major;
+    const rows = [mode.trans2, mode.trans3].flatMap(file => CONTEXT_ROWS[file] || []);
+
+    CHORD_CONTEXT_TRANSITIONS.clear();
+    buildContextTransitions(rows, layout, mode.context).forEach((entry, key) => CHORD_CONTEXT_TRANSITIONS.set(key, entry));
+    if (rows.length) console.log(`✓ Context Processed: ${CHORD_CONTEXT_TRANSITIONS.size} chord contexts.`);
+}
+
+/**
+ * Higher-order rows ({ history, next, count } in CSV spelling) → Map<'prev>current', { total, list }>.
+ * Chords are mapped and aliased the way buildChordData maps them, so keys use layout names.
+ */
+function buildContextTransitions(rows, layoutData, context) {
+    const isMinor = context === 'minor';
+    const layoutNodeNames = new Set(layoutData && layoutData.nodes ? layoutData.nodes.map(n => n.name) : []);
+    const reverseAliases = {};
+    for (const [alias, source] of Object.entries(LAYOUT_ALIASES[context] || {})) reverseAliases[source] = alias;
+    const toLayoutName = name => (!layoutNodeNames.has(name) && reverseAliases[name]) || name;
+
+    const counts = new Map();
+    for (const row of rows) {
+        const history = row.history.map(c => mapCsvChordToRoman(c, isMinor));
+        const next = mapCsvChordToRoman(row.next, isMinor);
+        if (!next || history.some(h => !h) || next === history[history.length - 1]) continue;
+
+        const key = history.map(toLayoutName).join('>');
+        if (!counts.has(key)) counts.set(key, new Map());
+        const targets = counts.get(key);
+        const target = toLayoutName(next);
+        targets.set(target, (targets.get(target) || 0) + row.count);
+    }
+
+    const contexts = new Map();
+    counts.forEach((row, key) => {
+        let total = 0;
+        row.forEach(c => { total += c; });
+        const list = [];
+        row.forEach((c, next) => list.push({ next, prob: c / total }));
+        contexts.set(key, { total, list });
+    });
+    return contexts;
+}
+
+/**
+ * Next-chord distribution for name given the chords played before it: the first-order list,
+ * interpolated with each longer context that has data (weight total / (total + CONTEXT_BACKOFF)),
+ * so sparse contexts barely move it.
+ */
+function blendContextTransitions(firstOrder, contexts, history) {
+    let list = firstOrder;
+    for (let order = 2; order <= history.length; order++) {
+        const entry = contexts.get(history.slice(-order).join('>'));
+        if (!entry) break; // a longer context can't have data when this one has none
+        const lambda = entry.total / (entry.total + CONTEXT_BACKOFF);
+        const blended = new Map(list.map(t => [t.next, { ...t, prob: t.prob * (1 - lambda) }]));
+        for (const t of entry.list) {
+            const prev = blended.get(t.next);
+            blended.set(t.next, { next: t.next, prob: (prev ? prev.prob : 0) + t.prob * lambda });
+        }
+        list = [...blended.values()];
+    }
+    return list;
+}
+
+/** Context-aware corpus transitions out of name; history: chords played, oldest first (defaults to this session's). */
+function corpusTransitions(name, history = chordHistory) {
+    const context = history[history.length - 1] === name ? history : [...history, name];
+    return blendContextTransitions(CHORD_TRANSITIONS.get(name) || [], CHORD_CONTEXT_TRANSITIONS, context.slice(-CHORD_HISTORY_MAX));
+}
+
+/** corpusTransitions with your learned moves blended in (argo-learn.js, when loaded); learned: false leaves them out */
+function chordTransitions(name, history = chordHistory, learned = true) {
+    const list = corpusTransitions(name, history);
+    return learned && typeof learnBlend === 'function' ? learnBlend(name, list) : list;
+}
+
+/**
+ * The (up to) five most likely next chords that are on screen — what the glow, ORBIT and the render follow.
+ * learned defaults to what the ORBIT run uses (orbitLearning), so the glow and ORBIT's picks agree.
+ */
+function topTransitions(name, history = chordHistory, learned = typeof orbitLearning === 'function' ? orbitLearning() : true) {
+    const nodeNames = new Set(nodes.map(n => n.name));
+    return chordTransitions(name, history, learned)
+        .filter(t => nodeNames.has(t.next))
+        .sort((a, b) => b.prob - a.prob)
+        .slice(0, 5);
+}
+
+/**
+ * Corpus rows → chord probabilities and transition lists for one layout (no p5, runs under Node).
+ * probRows: [{ chord, prob }], transRows: [{ current, next, count }] in CSV spelling.
+ * context: 'major' | 'minor' (see SCALE_MODES).
+ * Returns { probabilities: Map<name, p>, transitions: Map<name, [{ next, prob, synthetic? }]> }.
+ */
+function buildChordData(probRows, transRows, layoutData, context) {
+    const isMinor = context === 'minor';
+    const ALIASES = LAYOUT_ALIASES[context] || {};
+    const probabilities = new Map();
+    const transitions = new Map();
+
+    // 1. Process Probabilities
+    // Several CSV spellings can map to one roman name ("16(Fm7)" / "16", "1m9" / "1m7" in minor), so sum them
+    for (const { chord, prob } of probRows) {
+        const romanName = mapCsvChordToRoman(chord, isMinor);
+        if (romanName) probabilities.set(romanName, (probabilities.get(romanName) || 0) + prob);
+    }
+
+    // 2. Process Transitions
+    // Merge by count, then renormalize per current chord so merged rows still sum to 1
+    const transCounts = new Map();
+    for (const row of transRows) {
+        const current = mapCsvChordToRoman(row.current, isMinor);
+        const next = mapCsvChordToRoman(row.next, isMinor);
+        if (!current || !next || current === next) continue; // folded spellings can create self-loops
+
+        if (!transCounts.has(current)) transCounts.set(current, new Map());
+        const counts = transCounts.get(current);
+        counts.set(next, (counts.get(next) || 0) + row.count);
+    }
+    for (const [current, row] of transCounts) {
+        let total = 0;
+        row.forEach(c => { total += c; });
+        const list = [];
+        row.forEach((c, next) => list.push({ next: next, prob: c / total }));
+        transitions.set(current, list);
+    }
+
+    // 3. Apply aliases — copy transitions so layout node names find their data
+    const layoutNodeNames = layoutData.nodes ? layoutData.nodes.map(n => n.name) : [];
+
+    for (const [alias, source] of Object.entries(ALIASES)) {
+        // If the alias (layout name) has no transitions but the source does, clone them
+        if (!transitions.has(alias) && transitions.has(source)) {
+            transitions.set(alias, transitions.get(source).map(t => ({ ...t })));
+        }
+        // Also copy probabilities
+        if (!probabilities.has(alias) && probabilities.has(source)) {
+            probabilities.set(alias, probabilities.get(source));
+        }
+    }
+
+    // Also ensure targets reference aliased names: remap target names to layout names
+    const reverseAliases = {};
+    for (const [alias, source] of Object.entries(ALIASES)) {
+        reverseAliases[source] = alias;
+    }
+
+    for (const list of transitions.values()) {
+        for (const trans of list) {
+            // If trans.next doesn't match any layout node but an alias does, remap
+            if (!layoutNodeNames.includes(trans.next) && reverseAliases[trans.next]) {
+                trans.next = reverseAliases[trans.next];
+            }
+        }
+    }
+
+    // 4. Ensure every layout node has at least 5 transitions to OTHER layout nodes
+    for (const node of layoutData.nodes || []) {
+        const list = transitions.get(node.name) || [];
+        if (!transitions.has(node.name)) {
+            transitions.set(node.name, list);
+        }
+
+        // Count how many targets match layout nodes
+        const matchingTargets = list.filter(t => layoutNodeNames.includes(t.next));
+        if (matchingTargets.length >= 5) continue;
+
+        // Need more — add transitions to same-function or nearby nodes
+        const needed = 5 - matchingTargets.length;
+        const existingNextSet = new Set(list.map(t => t.next));
+
+        // Candidates: prioritize same-function, then adjacent rings
+        const candidates = layoutData.nodes
+            .filter(n => n.name !== node.name && !existingNextSet.has(n.name))
+            .sort((a, b) => {
+                // Same function first
+                const funcA = a.func === node.func ? 0 : 1;
+                const funcB = b.func === node.func ? 0 : 1;
+                if (funcA !== funcB) return funcA - funcB;
+                // Closer ring distance
+                return Math.abs(a.r - node.r) - Math.abs(b.r - node.r);
+            });
+
+        for (let i = 0; i < Math.min(needed, candidates.length); i++) {
+            list.push({
+                next: candidates[i].name,
+                prob: 0.15 - i * 0.02,
+                synthetic: true // padding, not from the corpus
+            });
+        }
+    }
+
+    return { probabilities, transitions };
+}
+
+// Alias map per scale: layout node name -> CSV-mapped name
+// Some layout nodes use notation (e.g., "mMaj7") that the CSV doesn't produce
+const LAYOUT_ALIASES = {
+    major: {
+        'IIImMaj7': 'IIImaj7',   // CSV 3maj7 -> IIImaj7, layout uses IIImMaj7
+        'ImMaj7': 'Imaj7',       // CSV 1maj7 -> Imaj7, layout uses ImMaj7
+        'bVImMaj7': 'bVImaj7',   // CSV b6maj7 -> bVImaj7, layout uses bVImMaj7
+        'bIImMaj7': 'bIImaj7',   // CSV b2maj7 -> bIImaj7, layout uses bIImMaj7
+        'IVmMaj7': 'IVmaj7',     // CSV 4maj7 -> IVmaj7, layout uses IVmMaj7
+        'bIIImMaj7': 'bIIImaj7', // CSV b3maj7 -> bIIImaj7, layout uses bIIImMaj7
+        'VIImMaj7': 'VIImaj7',   // CSV 7maj7 -> VIImaj7, layout uses VIImMaj7
+        'ivmaj7': 'IVmaj7',      // minor-case iv but maj7 quality
+        'IVm6': 'ivm6',          // uppercase IV but minor quality m6
+    },
+    minor: {
+        'ImMaj7': 'Imaj7',       // line-cliché tonic: CSV 1maj7 in a minor key
+        'bIIImMaj7': 'bIIImaj7', // relative major: CSV b3maj7
+        'bVImMaj7': 'bVImaj7',   // CSV b6maj7
+        'bIImMaj7': 'bIImaj7',   // Neapolitan: CSV b2maj7
+        'VIImMaj7': 'VIImaj7',   // CSV 7maj7
+        'ivmaj7': 'IVmaj7',      // minor-case iv but maj7 quality
+    },
+};
+
+// Fallback/Legacy Map (will be overwritten if data loads)
+let PROGRESSION_MAP = {};
+
+const COLORS = {
+    Landing: { r: 100, g: 200, b: 255 }, // Cyan
+    Tension: { r: 255, g: 150, b: 100 }, // Orange
+    Elegant: { r: 200, g: 150, b: 255 }, // Violet
+    Subdominant: { r: 255, g: 0, b: 255 }, // Magenta
+    Dominant: { r: 255, g: 180, b: 50 }, // Orange/Gold
+    Tonic: { r: 0, g: 255, b: 255 }, // Cyan
+    'Non-Diatonic': { r: 255, g: 100, b: 100 } // Reddish
+};
+
+// Key, scale, effect and arpeggio controls — the same element ids on both platforms
+function setupSoundControls() {
+    const keySelect = document.getElementById('key-select');
+    if (keySelect) {
+        keySelect.addEventListener('change', (e) => {
+            currentKey = parseInt(e.target.value);
+            updateHudKey();
+            initAllNodes();
+            updateURL();
+        });
+    }
+
+    const scaleSelect = document.getElementById('scale-select');
+    if (scaleSelect) {
+        scaleSelect.addEventListener('change', (e) => {
+            currentScale = e.target.value;
+            updateHudKey();
+
+            processData(); // Reload data for new scale
+            initAllNodes();
+            updateURL();
+        });
+    }
+
+    const filterToggle = document.getElementById('filter-toggle');
+    if (filterToggle) filterToggle.addEventListener('change', (e) => { audioSystem.toggleFilter(e.target.checked); updateURL(); });
+
+    const filterFreq = document.getElementById('filter-freq');
+    if (filterFreq) filterFreq.addEventListener('input', (e) => { audioSystem.setFilterFreq(e.target.value); updateURL(); });
+
+    const filterRes = document.getElementById('filter-res');
+    if (filterRes) filterRes.addEventListener('input', (e) => { audioSystem.setFilterRes(e.target.value); updateURL(); });
+
+    const delayToggle = document.getElementById('delay-toggle');
+    if (delayToggle) delayToggle.addEventListener('change', (e) => { audioSystem.toggleDelay(e.target.checked); updateURL(); });
+
+    const reverbToggle = document.getElementById('reverb-toggle');
+    if (reverbToggle) reverbToggle.addEventListener('change', (e) => { audioSystem.toggleReverb(e.target.checked); updateURL(); });
+
+    const arpToggle = document.getElementById('arp-toggle');
+    if (arpToggle) arpToggle.addEventListener('change', (e) => { audioSystem.toggleArpeggio(e.target.checked); updateURL(); });
+
+    const latchToggle = document.getElementById('latch-toggle');
+    if (latchToggle) latchToggle.addEventListener('change', (e) => { setLatch(e.target.checked); updateURL(); });
+
+    const arpMode = document.getElementById('arp-mode');
+    if (arpMode) arpMode.addEventListener('change', (e) => { audioSystem.setArpMode(e.target.value); updateURL(); });
+
+    const arpDiv = document.getElementById('arp-div');
+    if (arpDiv) arpDiv.addEventListener('change', (e) => { audioSystem.setArpDiv(e.target.value); updateURL(); });
+
+    const delayDepth = document.getElementById('delay-depth');
+    if (delayDepth) delayDepth.addEventListener('input', (e) => { audioSystem.setDelayDepth(e.target.value); updateURL(); });
+
+    const delayTime = document.getElementById('delay-time');
+    if (delayTime) delayTime.addEventListener('input', (e) => { audioSystem.setDelayTime(e.target.value); updateURL(); });
+
+    const reverbDepth = document.getElementById('reverb-depth');
+    if (reverbDepth) reverbDepth.addEventListener('input', (e) => { audioSystem.setReverbDepth(e.target.value); updateURL(); });
+
+    const arpSpeed = document.getElementById('arp-speed');
+    if (arpSpeed) {
+        arpSpeed.addEventListener('input', (e) => {
+            audioSystem.setArpSpeed(e.target.value);
+            const bpm = document.getElementById('arp-bpm');
+            if (bpm) bpm.textContent = e.target.value + 'ms';
+            updateURL();
+        });
+    }
+
+    const morphTime = document.getElementById('morph-time');
+    if (morphTime) {
+        morphTime.addEventListener('input', (e) => {
+            audioSystem.setMorphTime(e.target.value);
+            const label = document.getElementById('morph-time-val');
+            if (label) label.textContent = e.target.value + 'ms';
+            updateURL();
+        });
+    }
+
+    const orbitOctave = document.getElementById('orbit-octave');
+    if (orbitOctave) {
+        orbitOctave.addEventListener('input', (e) => {
+            const label = document.getElementById('orbit-octave-val');
+            if (label) label.textContent = e.target.value;
+            updateURL();
+        });
+    }
+
+    const voiceMode = document.getElementById('voice-mode');
+    if (voiceMode) voiceMode.addEventListener('change', (e) => { audioSystem.setVoicing({ mode: e.target.value }); updateURL(); });
+
+    const voiceShape = document.getElementById('voice-shape');
+    if (voiceShape) voiceShape.addEventListener('change', (e) => { audioSystem.setVoicing({ shape: e.target.value }); updateURL(); });
+
+    const voiceCount = document.getElementById('voice-count');
+    if (voiceCount) {
+        voiceCount.addEventListener('input', (e) => {
+            audioSystem.setVoicing({ voices: parseInt(e.target.value) });
+            const label = document.getElementById('voice-count-val');
+            if (label) label.textContent = e.target.value;
+            updateURL();
+        });
+    }
+
+    ['voice-low', 'voice-high'].forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.addEventListener('input', (e) => {
+            audioSystem.setVoicing({ [id === 'voice-low' ? 'low' : 'high']: parseInt(e.target.value) });
+            updateVoiceRangeLabels();
+            updateURL();
+        });
+    });
+
+    ['orbit-density', 'orbit-scatter', 'orbit-drift', 'orbit-ghosts', 'orbit-warmth'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('input', () => updateURL());
+    });
+}
+
+function midiNoteName(m) {
+    return KEY_NAMES[((m % 12) + 12) % 12] + (Math.floor(m / 12) - 1);
+}
+
+// Register range labels under the voicing sliders (note names, C4 = middle C)
+function updateVoiceRangeLabels() {
+    ['voice-low', 'voice-high'].forEach(id => {
+        const el = document.getElementById(id);
+        const label = document.getElementById(id + '-val');
+        if (el && label) label.textContent = midiNoteName(parseInt(el.value));
+    });
+}
+
+// HUD key line + per-scale colouring (minor-family modes get their own palette via CSS)
+function updateHudKey() {
+    const mode = currentScaleMode();
+    const hudKey = document.getElementById('hud-key');
+    if (hudKey) hudKey.textContent = `KEY: ${KEY_NAMES[currentKey]} ${mode.label}`;
+    const hud = document.getElementById('hud');
+    if (hud) hud.classList.toggle('scale-minor', mode.context === 'minor');
+}
+
+/**
+ * Canvas centre and px-per-layout-unit so the outer ring fits a viewW × viewH canvas
+ * right of the sidebar, margin px from the edge. Pure, so the data linter uses it too.
+ */
+function fitLayout(layout, viewW, viewH, sidebarWidth, margin) {
+    const centerX = sidebarWidth + (viewW - sidebarWidth) / 2;
+    const centerY = viewH / 2;
+    const maxR = layout && layout.nodes ? layout.nodes.reduce((max, n) => Math.max(max, parseFloat(n.r) || 0), 0) : 8.4;
+    const availableW = (viewW - sidebarWidth) / 2 - margin;
+    const availableH = viewH / 2 - margin;
+    const maxPixelRadius = Math.min(availableW, availableH);
+    const scale = maxR > 0 ? maxPixelRadius / maxR : 35;
+    return { centerX, centerY, scale };
+}
+
+// Geometry for the current canvas and platform (shared by nodes and the platform's guide rings)
+function layoutGeometry(layout = currentLayoutData()) {
+    const geometry = fitLayout(layout, width, height, SIDEBAR_WIDTH, LAYOUT_MARGIN);
+    return { ...geometry, scale: geometry.scale * layoutZoom };
+}
+
+/** Move the existing nodes to the current geometry (pinch zoom) — unlike initAllNodes, keeps glow and the last chord */
+function relayoutNodes() {
+    const layout = currentLayoutData();
+    if (!layout || !layout.nodes) return;
+    const { centerX, centerY, scale } = layoutGeometry(layout);
+    layout.nodes.forEach(nodeData => {
+        const node = nodes.find(n => n.name === nodeData.name);
+        if (!node) return;
+        const r = parseFloat(nodeData.r) || 0;
+        const theta = parseFloat(nodeData.theta) || 0;
+        node.moveTo(centerX + r * scale * Math.cos(theta), centerY - r * scale * Math.sin(theta));
+    });
+    connectionParticles = []; // their paths lead to the old positions
+}
+
+const CLUSTER_CONFIG = {
+    tonic: { x: -300, y: -70, color: COLORS.Tonic, label: 'TONIC' },
+    subdominant: { x: 0, y: 320, color: COLORS.Subdominant, label: 'SUBDOMINANT' },
+    dominant: { x: 300, y: -70, color: COLORS.Dominant, label: 'DOMINANT' },
+    unknown: { x: 0, y: 0, color: { r: 150, g: 150, b: 150 }, label: 'UNKNOWN' }
+};
+
+function initAllNodes() {
+    try {
+        nodes = [];
+        particles = [];
+
+        // 1. Select Layout Data based on Key Mode
+        const layout = currentLayoutData();
+
+        if (!layout || !layout.nodes) {
+            console.error("Layout data not loaded or invalid:", layout);
+            return;
+        }
+
+        // Dynamic scale to fit all nodes on screen
+        const { centerX, centerY, scale } = layoutGeometry(layout);
+
+        console.log(`Loading ${layout.mode} Layout with ${layout.nodes.length} nodes...`);
+
+        // 2. Create Nodes from JSON
+        layout.nodes.forEach(nodeData => {
+            const chordName = nodeData.name;
+
+            // Find chord definition (intervals, etc)
+            let libraryData = CHORD_LIBRARY[chordName];
+
+            if (!libraryData) {
+                // Auto-fallback or warn if missing
+                // console.warn(`Chord ${chordName} not found in library. Using default.`);
+                libraryData = { root: 0, intervals: [0, 4, 7], role: 'Landing', shape: 6 };
+            }
+
+            // Determine Cluster Type based on Function (for coloring/labeling)
+            let clusterType = 'unknown';
+            const func = nodeData.func; // e.g., "Tonic", "Dominant"
+
+            if (func === 'Tonic') clusterType = 'tonic';
+            else if (func === 'Subdominant') clusterType = 'subdominant';
+            else if (func === 'Dominant') clusterType = 'dominant';
+            else if (func === 'Elegant') clusterType = 'tonic';
+            else if (func === 'Tension') clusterType = 'dominant';
+            else if (func === 'Non-Diatonic') clusterType = 'dominant';
+
+            // Calculate Position
+            // Ensure r and theta are numbers
+            const r = parseFloat(nodeData.r) || 0;
+            const theta = parseFloat(nodeData.theta) || 0;
+
+            const nx = centerX + r * scale * Math.cos(theta);
+            const ny = centerY - r * scale * Math.sin(theta); // Flip Y for standard Cartesian if needed, or keep additive
+
+            // Instantiate
+            const node = new NeonNode(nx, ny, chordName, libraryData, clusterType);
+
+            node.func = func; // announced by the focus mode (argo-access.js)
+
+            // Override color based on specific Function if available in COLORS
+            if (COLORS[func]) {
+                node.color = COLORS[func];
+            }
+
+            nodes.push(node);
+        });
+
+        if (nodes.length > 0) lastPlayedNode = nodes[0];
+        if (typeof keysAssign === 'function') keysAssign(nodes, layout);
+        if (typeof accessRefocus === 'function') accessRefocus();
+        if (typeof touchRefresh === 'function') touchRefresh();
+        console.log(`✓ Visuals Initialized: ${nodes.length} nodes created.`);
+    } catch (e) {
+        console.error("ERROR IN initAllNodes:", e);
+    }
+}
+
+function draw() {
+    try {
+        background(5, 10, 20); // Deep dark blue/black
+
+        drawFlowField(); // Installation art background
+        drawGuideCircles(); // Distance ring guides
+        drawConnections(); // Overflow light connections
+
+        // ORBIT auto-play update
+        if (orbitMode) orbitUpdate();
+
+        // Nodes
+        for (let node of nodes) {
+            node.update();
+            node.display();
+        }
+        if (typeof accessDrawFocus === 'function') accessDrawFocus();
+
+    } catch (e) {
+        if (frameCount % 60 === 0) console.error("Error in draw loop:", e);
+    }
+}
+
+// ===== OVERFLOW LIGHT CONNECTION SYSTEM =====
+let connectionParticles = [];
+// Uniform warm amber glow color (Magnetosphere style)
+const GLOW_COLOR = { r: 255, g: 160, b: 40 };
+
+class ConnectionParticle {
+    constructor(source, target, probability, color) {
+        this.sx = source.x;
+        this.sy = source.y;
+        this.tx = target.x;
+        this.ty = target.y;
+        this.target = target;
+
+        // Random offset for bezier control points — wider spread for mist effect
+        const dx = this.tx - this.sx;
+        const dy = this.ty - this.sy;
+        const perpX = -dy * 0.25;
+        const perpY = dx * 0.25;
+        const bend = random(-1, 1);
+        this.cp1x = this.sx + dx * 0.3 + perpX * bend;
+        this.cp1y = this.sy + dy * 0.3 + perpY * bend;
+        this.cp2x = this.sx + dx * 0.7 - perpX * bend * 0.5;
+        this.cp2y = this.sy + dy * 0.7 - perpY * bend * 0.5;
+
+        this.t = random(0, 0.05);
+        this.speed = map(probability, 0, 0.4, 0.02, 0.06, true) + random(0, 0.01);
+        this.size = map(probability, 0, 0.3, 8, 22, true); // Much larger: misty blobs
+        this.alpha = map(probability, 0, 0.3, 60, 180, true);
+        this.color = color;
+        this.alive = true;
+        this.trail = [];
+    }
+
+    update() {
+        this.t += this.speed;
+
+        if (this.t >= 1.0) {
+            // Particle arrived — big glow burst to target
+            if (this.target) {
+                this.target.receivedGlow = min(this.target.receivedGlow + 30, 255);
+            }
+            this.alive = false;
+            return;
+        }
+
+        const x = bezierPoint(this.sx, this.cp1x, this.cp2x, this.tx, this.t);
+        const y = bezierPoint(this.sy, this.cp1y, this.cp2y, this.ty, this.t);
+
+        // Longer trail for mist effect
+        this.trail.push({ x, y });
+        if (this.trail.length > 12) this.trail.shift();
+    }
+
+    display() {
+        if (this.trail.length < 1) return;
+        const head = this.trail[this.trail.length - 1];
+
+        push();
+        blendMode(ADD);
+        noStroke();
+
+        // Misty trail: large soft blobs with fade
+        for (let i = 0; i < this.trail.length; i++) {
+            const p = this.trail[i];
+            const t = i / this.trail.length;
+            const trailAlpha = t * this.alpha * 0.25;
+            const trailSize = this.size * (0.4 + 0.6 * t);
+            // Outer mist halo
+            fill(this.color.r, this.color.g, this.color.b, trailAlpha * 0.3);
+            circle(p.x, p.y, trailSize * 3);
+            // Inner mist
+            fill(this.color.r, this.color.g, this.color.b, trailAlpha);
+            circle(p.x, p.y, trailSize);
+        }
+
+        // Head: large luminous mist blob
+        // Outermost haze
+        fill(this.color.r, this.color.g, this.color.b, this.alpha * 0.08);
+        circle(head.x, head.y, this.size * 6);
+        // Mid glow
+        fill(this.color.r, this.color.g, this.color.b, this.alpha * 0.2);
+        circle(head.x, head.y, this.size * 3);
+        // Core glow
+        fill(this.color.r, this.color.g, this.color.b, this.alpha * 0.6);
+        circle(head.x, head.y, this.size);
+        // Hot white center
+        fill(255, 255, 255, this.alpha * 0.5);
+        circle(head.x, head.y, this.size * 0.3);
+
+        blendMode(BLEND);
+        pop();
+    }
+}
+
+function drawConnections() {
+    // Decay glow
+    for (let node of nodes) {
+        node.receivedGlow *= 0.96;
+        if (node.receivedGlow < 1) { node.receivedGlow = 0; node.receivedRank = 0; }
+    }
+
+    if (!activeNode) {
+        connectionParticles = connectionParticles.filter(p => p.alive);
+        for (let p of connectionParticles) {
+            p.update();
+            p.display();
+        }
+        return;
+    }
+
+    // Top 5 on-screen targets, given the chords that led here
+    const top5 = topTransitions(activeNode.name);
+
+    // Spawn mist particles for top 5 only, use uniform warm color
+    top5.forEach((trans, rank) => {
+        const target = nodes.find(n => n.name === trans.next);
+        if (!target) return;
+
+        // Rank-based intensity: rank 0 = strongest, rank 4 = weakest
+        const rankIntensity = map(rank, 0, 4, 1.0, 0.3);
+
+        // Spawn rate — top rank gets most particles
+        const spawnRate = 0.5 * rankIntensity;
+        if (random() < spawnRate && connectionParticles.length < MAX_CONNECTION_PARTICLES) {
+            connectionParticles.push(
+                new ConnectionParticle(activeNode, target, trans.prob, GLOW_COLOR)
+            );
+        }
+
+        // Maintain glow on targets (rank-based)
+        const targetGlow = 200 * rankIntensity;
+        target.receivedGlow = max(target.receivedGlow, targetGlow);
+        target.receivedRank = rank + 1;
+    });
+
+    // Path guides — warm amber, top 5 only
+    push();
+    blendMode(ADD);
+    noFill();
+    top5.forEach((trans, rank) => {
+        const target = nodes.find(n => n.name === trans.next);
+        if (!target) return;
+
+        const rankIntensity = map(rank, 0, 4, 1.0, 0.3);
+        const pathAlpha = 35 * rankIntensity;
+        stroke(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, pathAlpha);
+        strokeWeight(1.5 * rankIntensity);
+
+        const dx = target.x - activeNode.x;
+        const dy = target.y - activeNode.y;
+        const cp1x = activeNode.x + dx * 0.3;
+        const cp1y = activeNode.y + dy * 0.3;
+        const cp2x = activeNode.x + dx * 0.7;
+        const cp2y = activeNode.y + dy * 0.7;
+        bezier(activeNode.x, activeNode.y, cp1x, cp1y, cp2x, cp2y, target.x, target.y);
+    });
+    blendMode(BLEND);
+    pop();
+
+    // Update and draw connection particles
+    connectionParticles = connectionParticles.filter(p => p.alive);
+    for (let p of connectionParticles) {
+        p.update();
+        p.display();
+    }
+
+    // Active node overflow glow — warm amber radial burst
+    push();
+    blendMode(ADD);
+    noStroke();
+    const glowPulse = (sin(frameCount * 0.1) + 1) * 0.5;
+    for (let i = 0; i < 5; i++) {
+        const r = activeNode.radius + 15 + i * 15 + glowPulse * 12;
+        const a = (60 - i * 10) * (0.6 + glowPulse * 0.4);
+        fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, a);
+        circle(activeNode.x, activeNode.y, r * 2);
+    }
+    fill(255, 230, 180, 25 + glowPulse * 20);
+    circle(activeNode.x, activeNode.y, activeNode.radius * 1.5);
+    blendMode(BLEND);
+    pop();
+}
+
+
+function drawHexagonVisual(x, y, radius) {
+    beginShape();
+    for (let i = 0; i < 6; i++) {
+        const angle = TWO_PI / 6 * i - HALF_PI;
+        const vx = x + cos(angle) * radius;
+        const vy = y + sin(angle) * radius;
+        vertex(vx, vy);
+    }
+    endShape(CLOSE);
+}
+
+// Updated NeonNode physics for better separation
+class NeonNode {
+    constructor(x, y, name, data, clusterType) {
+        this.pos = createVector(x, y);
+        // Home position includes the cluster offset
+        // We add random jitter to home to encourage spread rather than single point
+        this.home = createVector(x, y); // Strict home, no jitter
+
+        this.vel = createVector(0, 0);
+        this.acc = createVector(0, 0);
+
+        this.name = name;
+        this.data = data;
+        this.clusterType = clusterType;
+
+        // Safety for color
+        const config = CLUSTER_CONFIG[clusterType] || CLUSTER_CONFIG['unknown'];
+        this.color = config.color;
+
+        this.x = x; // Direct Coordinate
+        this.y = y; // Direct Coordinate
+
+        // Uniform node size (per platform)
+        this.baseRadius = NODE_STYLE.radius;
+        this.radius = this.baseRadius;
+
+        this.glow = 0;
+        this.receivedGlow = 0; // Glow received from connection particles
+        this.receivedRank = 0; // 1-5 rank, 0 = not receiving
+        this.latched = false;  // held by a long press (mobile) after the finger lifts
+        this.pulse = random(TWO_PI);
+
+        this.maxSpeed = 1.5; // Slower movement
+    }
+
+    applyPhysics(allNodes) {
+        // DISABLED
+    }
+
+    update() {
+        // DISABLED PHYSICS MOVEMENT
+        // this.vel.add(this.acc);
+        // this.vel.limit(this.maxSpeed);
+        // this.pos.add(this.vel);
+        // this.vel.mult(0.92); // More friction for stable movement
+        // this.acc.mult(0);
+
+        this.pulse += 0.04;
+        if (this.glow > 0) this.glow -= 1;
+
+        // Sync properties for display
+        // this.x = this.pos.x;
+        // this.y = this.pos.y;
+    }
+
+    display() {
+        // Orbit mode: only show visible nodes
+        if (orbitMode && typeof isOrbitVisible === 'function' && !isOrbitVisible(this.name)) {
+            return; // Skip hidden nodes entirely
+        }
+
+        push();
+        translate(this.x, this.y);
+
+        const isActiveNode = (this === activeNode);
+        const isReceiving = this.receivedGlow > 3;
+        const p = (sin(this.pulse) + 1) * 0.5;
+        const rg = this.receivedGlow;
+
+        // In orbit mode: scale radius 4x, add breathing
+        let orbitScale = 1.0;
+        if (orbitMode) {
+            const breathe = 1.0 + Math.sin(millis() * 0.001 * 0.5 + this.pulse) * 0.15;
+            orbitScale = NODE_STYLE.orbitScale * breathe;
+        }
+        const r = this.radius * orbitScale;
+        const g = NODE_STYLE.glowScale; // halo reach
+
+        // Swirl speed: faster when sounding, slow when silent
+        const swirlMultiplier = (typeof _orbitIsSounding !== 'undefined' && _orbitIsSounding) ? 1.5 : 0.4;
+
+        blendMode(ADD);
+        noStroke();
+
+        if (orbitMode) {
+            // ========= ORBIT MODE VISUALS =========
+            // Swirling vortex of light arcs around the node
+            const time = millis() * 0.001;
+
+            if (isActiveNode) {
+                // Center node: massive warm vortex
+                // Outermost swirling haze
+                for (let i = 0; i < 6; i++) {
+                    const angle = time * 0.3 * swirlMultiplier + (TWO_PI / 6) * i;
+                    const arcR = r + 80 + sin(time * 0.5 * swirlMultiplier + i) * 30;
+                    const ax = cos(angle) * arcR * 0.3;
+                    const ay = sin(angle) * arcR * 0.3;
+                    fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 6 + p * 4);
+                    ellipse(ax, ay, arcR * 1.2, arcR * 0.6);
+                }
+
+                // Deep glow layers
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 5);
+                circle(0, 0, (r + g * 150) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 12);
+                circle(0, 0, (r + g * 100) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 30);
+                circle(0, 0, (r + g * 50) * 2);
+                fill(255, 220, 150, 25 + p * 15);
+                circle(0, 0, (r + g * 20) * 2);
+
+                // Rotating light streaks
+                for (let i = 0; i < 8; i++) {
+                    const a = time * 0.8 * swirlMultiplier + (TWO_PI / 8) * i;
+                    const sr = r * 0.6 + sin(time * 1.2 * swirlMultiplier + i * 0.7) * r * 0.3;
+                    push();
+                    rotate(a);
+                    fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 15 + p * 10);
+                    ellipse(sr, 0, r * 0.8, r * 0.15);
+                    pop();
+                }
+            } else if (isReceiving) {
+                // Connected orbiting nodes: softer swirling glow
+                const intensity = rg / 200;
+
+                // Swirling arcs (fewer, subtler)
+                for (let i = 0; i < 4; i++) {
+                    const angle = time * 0.5 * swirlMultiplier + (TWO_PI / 4) * i + this.pulse;
+                    push();
+                    rotate(angle);
+                    fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 12);
+                    ellipse(r * 0.5, 0, r * 0.7, r * 0.12);
+                    pop();
+                }
+
+                // Glow layers
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 10);
+                circle(0, 0, (r + g * 60) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 30);
+                circle(0, 0, (r + g * 30) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 60);
+                circle(0, 0, (r + g * 10) * 2);
+                fill(255, 230, 180, intensity * 20);
+                circle(0, 0, (r + g * 3) * 2);
+            } else {
+                // Idle orbit node (shouldn't be visible, but fallback)
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 4 + p * 2);
+                circle(0, 0, (r + g * 20) * 2);
+            }
+
+            // Hex glow ring (scaled)
+            let hexGlow = isActiveNode ? (100 + 40 * p) : (isReceiving ? (20 + (rg / 200) * 60) : 15);
+            fill(this.color.r, this.color.g, this.color.b, hexGlow);
+            drawHexagonVisual(0, 0, r + 8);
+
+            blendMode(BLEND);
+
+            // Dark core
+            const bodyAlpha = isActiveNode ? 200 : (isReceiving ? max(60, 180 - rg) : 220);
+            fill(8, 5, 15, bodyAlpha);
+            const edgeBright = isActiveNode ? 255 : (isReceiving ? 150 + (rg / 200) * 100 : 100);
+            stroke(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, edgeBright);
+            strokeWeight(isActiveNode ? 3 : 1.5);
+            drawHexagonVisual(0, 0, r);
+
+            // Inner swirl ring
+            noStroke();
+            if (isActiveNode) {
+                push();
+                rotate(time * 0.3 * swirlMultiplier);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 50);
+                drawHexagonVisual(0, 0, r * 0.65);
+                pop();
+            } else if (isReceiving) {
+                push();
+                rotate(-time * 0.2 * swirlMultiplier);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, (rg / 200) * 30);
+                drawHexagonVisual(0, 0, r * 0.65);
+                pop();
+            }
+
+            // Orbit mode chord label — larger, glowing
+            blendMode(BLEND);
+            noStroke();
+            const textBright = isActiveNode ? 255 : (isReceiving ? 180 + (rg / 200) * 75 : 140);
+            fill(255, 240, 220, textBright);
+            textSize(NODE_STYLE.orbitLabelSize);
+            textStyle(BOLD);
+            text(getChordName(this.name, this.data), 0, r + 24);
+            textStyle(NORMAL);
+            blendMode(ADD);
+
+        } else {
+            // ========= NORMAL MODE VISUALS (unchanged) =========
+
+            if (isActiveNode) {
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 8);
+                circle(0, 0, (r + g * 100) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 25);
+                circle(0, 0, (r + g * 60) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 60);
+                circle(0, 0, (r + g * 30) * 2);
+                fill(255, 220, 150, 40 + p * 20);
+                circle(0, 0, (r + g * 10) * 2);
+            } else if (isReceiving) {
+                const intensity = rg / 200;
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 15);
+                circle(0, 0, (r + g * (70 + intensity * 40)) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 40);
+                circle(0, 0, (r + g * (40 + intensity * 20)) * 2);
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, intensity * 80);
+                circle(0, 0, (r + g * (18 + intensity * 8)) * 2);
+                fill(255, 230, 180, intensity * 35);
+                circle(0, 0, (r + g * 5) * 2);
+            } else {
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 6 + p * 4);
+                circle(0, 0, (r + g * 18) * 2);
+            }
+
+            let hexGlow = 20 + 10 * p;
+            if (isActiveNode) hexGlow = 120 + 40 * p;
+            else if (isReceiving) hexGlow = 30 + (rg / 200) * 80;
+            fill(this.color.r, this.color.g, this.color.b, hexGlow);
+            drawHexagonVisual(0, 0, r + 8 + this.glow / 3);
+
+            blendMode(BLEND);
+
+            const bodyAlpha = isReceiving ? max(80, 200 - rg * 1.2) : 230;
+            fill(8, 5, 15, bodyAlpha);
+            const edgeBright = isActiveNode ? 255 : (isReceiving ? 150 + (rg / 200) * 100 : 120);
+            stroke(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, edgeBright);
+            strokeWeight(isActiveNode ? 2.5 : (isReceiving ? 1.8 : 1.2));
+            drawHexagonVisual(0, 0, r);
+
+            if (isActiveNode) {
+                noStroke();
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 80);
+                drawHexagonVisual(0, 0, r * 0.65);
+            } else if (isReceiving) {
+                noStroke();
+                const innerFill = (rg / 200) * 50;
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, innerFill);
+                drawHexagonVisual(0, 0, r * 0.65);
+            } else {
+                noFill();
+                stroke(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, 30);
+                strokeWeight(0.5);
+                drawHexagonVisual(0, 0, r * 0.65);
+            }
+
+            // Label (normal mode only)
+            noStroke();
+            const textBright = isActiveNode ? 255 : (isReceiving ? 200 + (rg / 200) * 55 : 180);
+            fill(255, 240, 220, textBright);
+            textSize(NODE_STYLE.labelSize);
+            textStyle(BOLD);
+            text(getChordName(this.name, this.data), 0, 0);
+            textStyle(NORMAL);
+
+            // Keyboard play: the node's key, and the number that jumps to it while it glows
+            if (this.hotkey && typeof keyplayOn !== 'undefined' && keyplayOn) {
+                fill(GLOW_COLOR.r, GLOW_COLOR.g, GLOW_COLOR.b, textBright * 0.8);
+                textSize(NODE_STYLE.labelSize * 0.75);
+                const rank = isReceiving && this.receivedRank ? `${this.receivedRank}·` : '';
+                text(rank + this.hotkey, 0, NODE_STYLE.labelSize + 2);
+            }
+        }
+
+        // Latched chord: a steady ring while it sounds on its own
+        if (this.latched) {
+            noFill();
+            stroke(this.color.r, this.color.g, this.color.b, 220);
+            strokeWeight(2);
+            circle(0, 0, r * 2 + 12);
+        }
+
+        pop();
+    }
+
+    moveTo(x, y) {
+        this.x = x;
+        this.y = y;
+        this.pos.set(x, y);
+        this.home.set(x, y);
+    }
+
+    contains(mx, my) {
+        // hitScale > 1 enlarges the hit area for touch
+        return dist(mx, my, this.pos.x, this.pos.y) < this.radius * NODE_STYLE.hitScale;
+    }
+}
+
+// ===== VOICE LEADING =====
+// mode 'root': root position around middle C (the original voicing); 'lead': the inversion/voicing
+// that moves least from the previous chord, inside [low, high] (MIDI notes).
+const VOICING_DEFAULTS = { mode: 'root', voices: 4, low: 48, high: 79, shape: 'close' };
+const VOICING_SHAPES = ['close', 'drop2', 'drop3', 'spread'];
+
+// Which chord tones survive when there are more tones than voices: 3rd, 7th/6th, tensions, root, 5th
+function _toneImportance(interval) {
+    const pc = interval % 12;
+    if (pc === 3 || pc === 4) return 0;
+    if (pc === 10 || pc === 11 || (pc === 9 && interval < 12)) return 1;
+    if (pc === 2 || pc === 5) return interval < 12 ? 1 : 2; // sus tones replace the 3rd
+    if (interval >= 12 || pc === 6 || pc === 8) return 2;
+    if (pc === 0) return 3;
+    return 4;
+}
+
+/** Chord definition → `voices` pitch classes (0-11, absolute): least important tones dropped, root/5th doubled */
+function voicingPitchClasses(chordData, key, voices) {
+    const intervals = [...new Set(chordData.intervals)];
+    const byImportance = [...intervals].sort((a, b) => _toneImportance(a) - _toneImportance(b) || a - b);
+    const chosen = byImportance.slice(0, Math.max(1, voices));
+    // Doubling order: root, 5th, then the rest
+    const doublingRank = iv => (iv % 12 === 0 ? 0 : iv % 12 === 7 ? 1 : 2);
+    const doubling = [...intervals].sort((a, b) => doublingRank(a) - doublingRank(b) || a - b);
+    for (let i = 0; chosen.length < voices; i++) chosen.push(doubling[i % doubling.length]);
+    return chosen.map(iv => (key + chordData.root + iv) % 12);
+}
+
+// Stack pitch classes upward from a starting MIDI note (close position), then open it up
+function _shapeVoicing(pcs, start, shape) {
+    const notes = [start];
+    for (let i = 1; i < pcs.length; i++) {
+        let n = notes[i - 1] + ((pcs[i] - notes[i - 1]) % 12 + 12) % 12;
+        if (n === notes[i - 1]) n += 12; // doubled tone goes up an octave
+        notes.push(n);
+    }
+    // Drop the 2nd (and 4th for spread) / 3rd voice from the top an octave down
+    const drops = { drop2: [2], drop3: [3], spread: [2, 4] }[shape] || [];
+    drops.forEach(d => { if (notes.length > d) notes[notes.length - d] -= 12; });
+    return notes.sort((a, b) => a - b);
+}
+
+// Movement between two voicings: paired by pitch when the voice counts match, else nearest notes both ways
+function _voicingDistance(a, b) {
+    if (a.length === b.length) return a.reduce((sum, n, i) => sum + Math.abs(n - b[i]), 0);
+    const nearest = (n, set) => Math.min(...set.map(m => Math.abs(n - m)));
+    return a.reduce((sum, n) => sum + nearest(n, b), 0) + b.reduce((sum, n) => sum + nearest(n, a), 0);
+}
+
+/**
+ * Chord definition → MIDI notes (ascending) for voicing.mode 'lead': every inversion of the chosen
+ * tones in the requested shape, at every octave inside [low, high], scored by movement from prev
+ * (or, for the first chord, by distance from the middle of the range with the root preferred in the bass).
+ */
+function voiceLeadChord(chordData, key, prev, voicing = VOICING_DEFAULTS) {
+    const v = { ...VOICING_DEFAULTS, ...voicing };
+    const low = Math.min(v.low, v.high - 12);
+    const high = Math.max(v.high, v.low + 12);
+    const pcs = voicingPitchClasses(chordData, key, v.voices).sort((a, b) => a - b);
+    const rootPc = (key + chordData.root) % 12;
+    const centre = (low + high) / 2;
+
+    let best = null;
+    let bestCost = Infinity;
+    for (let r = 0; r < pcs.length; r++) {
+        const rotated = [...pcs.slice(r), ...pcs.slice(0, r)];
+        for (let start = low - 24; start <= high; start++) {
+            if (((start % 12) + 12) % 12 !== rotated[0]) continue;
+            const notes = _shapeVoicing(rotated, start, v.shape);
+            const outside = notes.reduce((sum, n) => sum + Math.max(0, low - n, n - high), 0);
+            const mean = notes.reduce((sum, n) => sum + n, 0) / notes.length;
+            let cost = outside * 100; // out-of-range voicings only when nothing fits
+            if (prev && prev.length) cost += _voicingDistance(notes, prev) + Math.abs(mean - centre) * 0.05;
+            else cost += Math.abs(mean - centre) + (notes[0] % 12 === rootPc ? 0 : 12);
+            if (cost < bestCost) { best = notes; bestCost = cost; }
+        }
+    }
+    return best;
+}
+
+/** Played-from-the-keyboard variations: inversion k raises the k lowest notes an octave, then octave shifts everything */
+function invertVoicing(notes, inversion = 0, octave = 0) {
+    const out = [...notes].sort((a, b) => a - b);
+    for (let i = 0; i < inversion && out.length > 1; i++) out.push(out.shift() + 12);
+    return out.map(n => n + octave * 12);
+}
+
+// ===== EXPRESSION =====
+// While a chord is held, the pointer's offset from the node centre and its pressure shape it:
+// up/down → filter cutoff around the FREQ slider, sideways → detune spread of the pad layers,
+// pressure → the octave shimmer layer. Mice and pressure-less screens report 0.5: as played.
+const EXPRESSION_NEUTRAL = { x: 0, y: 0, pressure: 0.5 };
+const EXPRESSION_RANGE = { filterOctaves: 1.5, spread: 4, shimmer: 2 };
+const EXPRESSION_REACH = 3;      // node radii from the centre to full modulation
+const EXPRESSION_GLIDE = 0.05;   // seconds — smooths pointer steps
+
+/** Pointer offset in px from the node centre → { x, y, pressure }, x/y inside the unit circle (y down) */
+function expressionOffset(dx, dy, radius, pressure = 0.5) {
+    const reach = radius * EXPRESSION_REACH;
+    const k = Math.max(1, Math.hypot(dx, dy) / reach);
+    return { x: dx / reach / k, y: dy / reach / k, pressure };
+}
+
+/** Expression → { filterMul (× FREQ), spread (× each layer's detune, extra cents), shimmer (gain) } */
+function expressionParams(expr) {
+    return {
+        filterMul: Math.pow(2, -expr.y * EXPRESSION_RANGE.filterOctaves),
+        spread: Math.abs(expr.x) * EXPRESSION_RANGE.spread,
+        shimmer: Math.min(1, Math.max(0, expr.pressure)) * EXPRESSION_RANGE.shimmer,
+    };
+}
+
+class RyojiEngine {
+    constructor() {
+        this.delay = null;
+        this.reverb = null;
+        this.filter = null;
+        this.compressor = null;
+        // Voice groups: id → { oscillators, arpLoop (clock job), onsetTimer, expr, detuned, shimmer }. 'main' plays
+        // pointer, keyboard, MIDI, ORBIT and the recorder; each extra mobile touch holds its own.
+        this.voices = new Map();
+        this.leadVoice = 'main';   // latest started group — MIDI out, recorder and bass follow it
+        this.keepAliveOsc = null;
+        this.arpSpeed = 220;
+        this.arpDiv = 'free';      // ARP RATE: 'free' → arpSpeed ms, else a CLOCK_DIVISIONS key
+        this.morphTime = 0.5; // seconds for crossfade morph
+        this.voicing = { ...VOICING_DEFAULTS };
+        this.lastVoicing = null; // previous chord's notes before octave scatter (voice-leading reference)
+        this.instrument = 'ryoji'; // INSTRUMENTS key (argo-instruments.js)
+
+        this.delayActive = true;
+        this.reverbActive = true;
+
+        const arpEl = document.getElementById('arp-toggle');
+        this.arpActive = arpEl ? arpEl.checked : true;
+        this.arpMode = 'up'; // 'up', 'random-fixed', 'random-free'
+
+        this.filterActive = true;
+        this.filterBase = 2800;    // FREQ setting in Hz — expression moves the cutoff around it
+    }
+
+    init() {
+        console.log('Initializing Audio System...');
+
+        // Safety check: remove old effects if they exist
+        if (this.keepAliveOsc) { try { this.keepAliveOsc.stop(); this.keepAliveOsc.dispose(); } catch (e) { } }
+        if (this.filter) { try { this.filter.disconnect(); } catch (e) { } }
+        if (this.delay) { try { this.delay.disconnect(); } catch (e) { } }
+        if (this.reverb) { try { this.reverb.disconnect(); } catch (e) { } }
+
+        // 1. Create Filter (LowPass)
+        this.filter = new p5.LowPass();
+        this.filter.freq(2800);
+        this.filter.res(0.3);
+        this.filter.disconnect();
+
+        // 2. Create Delay
+        this.delay = new p5.Delay();
+        this.delay.process(this.filter, 0.35, 0.35, 2300);
+        this.delay.setType('pingPong');
+
+        // 3. Create Reverb
+        this.reverb = new p5.Reverb();
+        this.reverb.process(this.filter, 4, 3);
+        this.reverb.set(6, 4);
+
+        // Delay & Reverb dry/wet
+        this.delay.drywet(0.4);
+        this.reverb.drywet(0.5);
+
+        // Android fix: Connect filter directly to destination as well (dry path).
+        // This ensures the audio signal always reaches AudioContext.destination
+        // even if Delay/Reverb internal routing is disrupted on some Android devices.
+        try {
+            const ctx = getAudioContext();
+            this.filter.connect(ctx);
+        } catch (e) {
+            console.warn('Direct filter→destination connect failed:', e);
+        }
+
+        // Android fix: Keep-alive silent oscillator.
+        // Prevents Android from suspending AudioContext during screen recording
+        // by maintaining a continuous (inaudible) audio signal.
+        try {
+            this.keepAliveOsc = new p5.Oscillator('sine');
+            this.keepAliveOsc.freq(1); // Sub-audible frequency
+            this.keepAliveOsc.amp(0.001); // Essentially silent
+            this.keepAliveOsc.disconnect();
+            this.keepAliveOsc.connect(getAudioContext());
+            this.keepAliveOsc.start();
+            console.log('✓ Keep-alive oscillator started (Android audio fix)');
+        } catch (e) {
+            console.warn('Keep-alive oscillator failed:', e);
+        }
+
+        outputVolume(0.7);
+
+        // Bass voice: its own lowpass + level straight to the master
+        if (typeof bassInit === 'function') bassInit();
+
+        // Transport: arpeggio, bass and quantized presses schedule against the context clock
+        clockStart();
+
+        // Android fix: Listen for visibility changes (e.g. switching to recorder app)
+        // and auto-resume AudioContext.
+        this._setupVisibilityHandler();
+
+        console.log('✓ Audio Chain Ready: Osc/Instrument -> Filter -> Delay/Reverb -> Master');
+    }
+
+    _setupVisibilityHandler() {
+        // Remove previous handler if re-initializing
+        if (this._visHandler) {
+            document.removeEventListener('visibilitychange', this._visHandler);
+        }
+        this._visHandler = () => {
+            if (document.visibilityState === 'visible') {
+                const ctx = getAudioContext();
+                if (ctx.state !== 'running') {
+                    ctx.resume().then(() => {
+                        console.log('✓ AudioContext resumed after visibility change');
+                    }).catch(e => console.warn('AudioContext resume failed:', e));
+                }
+            } else {
+                // Page hidden (navigating away, switching tabs, etc.)
+                // Stop all audio to prevent sound continuing in background
+                this.stopAll();
+                if (typeof activeNode !== 'undefined') activeNode = null;
+                console.log('✓ Audio stopped on page hide');
+            }
+        };
+        document.addEventListener('visibilitychange', this._visHandler);
+    }
+
+    /**
+     * Chord definition → MIDI notes before octave scatter: root position around middle C
+     * (an octave lower for keys G and up), or, in voice-leading mode, the voicing closest to prev.
+     */
+    baseVoicing(chordData, key = currentKey, prev = null, voicing = this.voicing) {
+        if (voicing.mode === 'lead') return voiceLeadChord(chordData, key, prev, voicing);
+
+        // Adjust octave based on key
+        let octaveShift = 0;
+        if (key >= 7) {
+            octaveShift = -12;
+        }
+
+        const baseOctave = 60 + octaveShift;
+        return chordData.intervals.map(interval => baseOctave + key + chordData.root + interval);
+    }
+
+    /**
+     * OCTAVE SCATTER level applied per note.
+     * opts.rand / opts.octave override Math.random and the slider (ORBIT seed, offline render).
+     */
+    scatterOctaves(notes, opts = {}) {
+        const rand = opts.rand || Math.random;
+        return notes.map(note => {
+            let midi = note;
+
+            // Octave scatter — 5-level control via OCTAVE slider (0-4)
+            if (opts.octave !== undefined || typeof _orbitOctave === 'function') {
+                const octLvl = opts.octave !== undefined ? opts.octave : _orbitOctave();
+                const roll = rand();
+                if (octLvl === 1) {
+                    // Subtle: rare +1 oct
+                    if (roll < 0.10) midi += 12;
+                } else if (octLvl === 2) {
+                    // Normal: occasional ±1 oct
+                    if (roll < 0.08) midi += 12;
+                    else if (roll < 0.15) midi -= 12;
+                } else if (octLvl === 3) {
+                    // Wide: +2/+1/-1
+                    if (roll < 0.05) midi += 24;
+                    else if (roll < 0.20) midi += 12;
+                    else if (roll < 0.30) midi -= 12;
+                } else if (octLvl >= 4) {
+                    // Extreme: ±2 oct aggressively
+                    if (roll < 0.10) midi += 24;
+                    else if (roll < 0.30) midi += 12;
+                    else if (roll < 0.45) midi -= 12;
+                    else if (roll < 0.50) midi -= 24;
+                }
+                // octLvl === 0: no change
+            }
+
+            return midi;
+        });
+    }
+
+    /** baseVoicing + scatterOctaves; opts.prev: the previous chord's notes for voice leading */
+    voiceChord(chordData, key = currentKey, opts = {}) {
+        return this.scatterOctaves(this.baseVoicing(chordData, key, opts.prev || null), opts);
+    }
+
+    /** Voicing settings (partial): { mode, voices, low, high, shape } */
+    setVoicing(v) {
+        this.voicing = { ...this.voicing, ...v };
+        this.lastVoicing = null;
+    }
+
+    /** Instrument by INSTRUMENTS key; unknown names keep the current one */
+    setInstrument(name) {
+        if (typeof INSTRUMENTS !== 'undefined' && INSTRUMENTS[name]) this.instrument = name;
+    }
+
+    /** One note on the selected instrument into the filter at context time at — null when RYOJI (or an empty sampler) plays it */
+    _playInstrumentNote(note, vel, attack, pluck, at = null) {
+        const build = typeof instrumentBuilder === 'function' ? instrumentBuilder(this.instrument) : null;
+        if (!build || !this.filter) return null;
+        const ctx = getAudioContext();
+        return build(ctx, this.filter.input, note, vel, Math.max(ctx.currentTime, at === null ? 0 : at), { attack, pluck });
+    }
+
+    /**
+     * Sound a chord — at: AudioContext time to start it (a quantized press or ORBIT burst),
+     * null for right away. Everything is scheduled against the context clock.
+     * shape: { inversion, octave } from the keyboard modifiers (argo-keys.js).
+     * voiceId: the voice group it replaces (morph) — other groups keep sounding.
+     */
+    startChord(chordData, at = null, shape = {}, voiceId = 'main') {
+        const ctx = getAudioContext();
+        const lead = at === null ? 0 : Math.max(0, at - ctx.currentTime);
+        const onset = ctx.currentTime + lead;
+        const voice = this._voice(voiceId);
+        this.leadVoice = voiceId;
+
+        // Fade out previous oscillators smoothly (morph crossfade), from the new chord's onset
+        const fadeOutTime = this.morphTime;
+        const oscsToFade = [...voice.oscillators];
+        voice.oscillators = [];
+        voice.detuned = [];
+        this._stopArp(voice);
+        this._dropShimmer(voice, lead + fadeOutTime + 0.15);
+
+        oscsToFade.forEach(osc => {
+            try {
+                if (lead > 0 && osc.output) this._oscRamp(osc, osc.output.gain.value, 0, lead, fadeOutTime);
+                else osc.amp(0, fadeOutTime, lead);
+                setTimeout(() => {
+                    try { osc.stop(); osc.dispose(); } catch (e) { }
+                }, (lead + fadeOutTime + 0.15) * 1000);
+            } catch (e) { }
+        });
+
+        // ORBIT draws from its seeded stream so a shared run replays the same voicings
+        const rand = orbitMode && typeof orbitRandom === 'function' ? orbitRandom : Math.random;
+        // Voice leading follows the unscattered voicing so scatter never drags the next chord's register
+        const voiced = invertVoicing(this.baseVoicing(chordData, currentKey, this.lastVoicing), shape.inversion, shape.octave);
+        this.lastVoicing = voiced;
+        if (typeof bassOnChord === 'function') bassOnChord(chordData, currentKey, voiced, onset);
+        const transposed = this.scatterOctaves(voiced, { rand });
+        const freqs = transposed.map(m => midiToFreq(m));
+        const attackTime = Math.max(0.08, fadeOutTime * 0.8);
+
+        if (!this.arpActive) {
+            // ORBIT: velocity dynamics — random amp multiplier per note
+            const vels = transposed.map(() => orbitMode ? (0.3 + rand() * 1.2) : 1.0);
+            this._atOnset(voice, onset, () => this._tapChordOn(transposed, vels));
+            if (!this.filter) return;
+
+            // Shimmer layer through its own gain so pressure never fights the envelopes
+            const expression = expressionParams(voice.expr);
+            voice.shimmer = ctx.createGain();
+            voice.shimmer.gain.value = expression.shimmer;
+            voice.shimmer.connect(this.filter.input);
+
+            // === Ryoji Style: layered, detuned, ethereal === (notes 25ms apart)
+            freqs.forEach((freq, i) => {
+                const delay = lead + i * 0.025;
+                const vel = vels[i];
+                // Boost clarity when reverb is off
+                const dryBoost = !this.reverbActive ? 1.5 : 1.0;
+
+                const note = this._playInstrumentNote(transposed[i], vel * dryBoost, attackTime, false, onset + i * 0.025);
+                if (note) {
+                    voice.oscillators.push(note);
+                    return;
+                }
+
+                // Layer 1: Pure sine (warm fundamental)
+                const osc1 = new p5.Oscillator();
+                osc1.setType('sine');
+                osc1.freq(freq);
+                osc1.disconnect();
+                osc1.connect(this.filter);
+                osc1.start(delay);
+                this._oscRamp(osc1, 0, 0.07 * vel * dryBoost, delay, attackTime);
+                voice.oscillators.push(osc1);
+
+                // Layer 2: Triangle, slightly detuned (+3 cents)
+                const osc2 = new p5.Oscillator();
+                osc2.setType('triangle');
+                osc2.freq(freq * Math.pow(2, 3 / 1200)); // +3 cents
+                osc2.disconnect();
+                osc2.connect(this.filter);
+                osc2.start(delay);
+                this._oscRamp(osc2, 0, 0.04 * vel * dryBoost, delay, attackTime * 1.2);
+                voice.oscillators.push(osc2);
+                voice.detuned.push({ osc: osc2, cents: 3 });
+
+                // Layer 3: Sine detuned (-2 cents) for subtle chorus
+                const osc3 = new p5.Oscillator();
+                osc3.setType('sine');
+                osc3.freq(freq * Math.pow(2, -2 / 1200)); // -2 cents
+                osc3.disconnect();
+                osc3.connect(this.filter);
+                osc3.start(delay);
+                this._oscRamp(osc3, 0, 0.03 * vel * dryBoost, delay, attackTime * 1.5);
+                voice.oscillators.push(osc3);
+                voice.detuned.push({ osc: osc3, cents: -2 });
+
+                // Layer 4: Octave-up sine pad (ethereal shimmer)
+                const osc4 = new p5.Oscillator();
+                osc4.setType('sine');
+                osc4.freq(freq * 2.003); // 1 oct up, slight detune
+                osc4.disconnect();
+                osc4.connect(voice.shimmer);
+                osc4.start(delay);
+                this._oscRamp(osc4, 0, 0.015 * vel * dryBoost, delay, attackTime * 2.0);
+                voice.oscillators.push(osc4);
+                voice.detuned.push({ osc: osc4, cents: 5 });
+            });
+            this._applyExpression(voice);
+        } else {
+            // Arpeggio mode — pattern holds MIDI notes so they can be mirrored to MIDI out
+            this._atOnset(voice, onset, () => this._tapChordOff());
+            let arpPattern;
+            const mode = this.arpMode;
+            // Steps fire on the clock — give them their own stream so timing jitter can't shift ORBIT's
+            const arpRand = rand === Math.random ? Math.random : orbitForkRandom(rand);
+
+            if (mode === 'random-fixed') {
+                // Shuffle once, repeat same order
+                arpPattern = [...transposed];
+                for (let i = arpPattern.length - 1; i > 0; i--) {
+                    const j = Math.floor(arpRand() * (i + 1));
+                    [arpPattern[i], arpPattern[j]] = [arpPattern[j], arpPattern[i]];
+                }
+            } else {
+                // 'up' and 'random-free' both start with ascending
+                arpPattern = [...transposed];
+            }
+            let arpIndex = 0;
+
+            const playStep = (time) => {
+                if (!this.filter) return;
+                const delay = Math.max(0, time - getAudioContext().currentTime);
+
+                let note;
+                if (mode === 'random-free') {
+                    // Pick a random note from the chord each time
+                    note = transposed[Math.floor(arpRand() * transposed.length)];
+                } else {
+                    note = arpPattern[arpIndex % arpPattern.length];
+                }
+                arpIndex++;
+                const freq = midiToFreq(note);
+
+                // Sharper envelope when reverb is off, softer when on
+                const dry = !this.reverbActive;
+                const mainAmp = dry ? 0.12 : 0.08;
+                const triAmp = dry ? 0.05 : 0.03;
+                const decayTime = dry ? 0.3 : 0.8;
+                const triDecay = dry ? 0.35 : 0.9;
+                const holdTime = dry ? 120 : 180;
+
+                clockDefer(time, () => this._tapNotePulse(note, 1.0, holdTime, 'arp'));
+
+                const inst = this._playInstrumentNote(note, dry ? 1.5 : 1.0, 0.01, true, time);
+                if (inst) {
+                    inst.release(time + holdTime / 1000, decayTime);
+                    setTimeout(() => inst.dispose(), (delay + holdTime / 1000 + decayTime + 0.3) * 1000);
+                    return;
+                }
+
+                const osc = new p5.Oscillator();
+                osc.setType('sine');
+                osc.freq(freq);
+                osc.disconnect();
+                osc.connect(this.filter);
+                osc.start(delay);
+                this._oscRamp(osc, 0, mainAmp, delay, 0.01);
+                this._oscRamp(osc, mainAmp, 0, delay + holdTime / 1000, decayTime);
+
+                const osc2 = new p5.Oscillator();
+                osc2.setType('triangle');
+                osc2.freq(freq * Math.pow(2, 3 / 1200));
+                osc2.disconnect();
+                osc2.connect(this.filter);
+                osc2.start(delay);
+                this._oscRamp(osc2, 0, triAmp, delay, 0.02);
+                this._oscRamp(osc2, triAmp, 0, delay + holdTime / 1000, triDecay);
+
+                setTimeout(() => {
+                    try { osc.stop(); osc.dispose(); } catch (e) { }
+                    try { osc2.stop(); osc2.dispose(); } catch (e) { }
+                }, (delay + holdTime / 1000 + Math.max(decayTime, triDecay) + 0.15) * 1000);
+            };
+
+            // Free ARP RATE: first step one SPEED after the press; note divisions sit on the transport grid
+            const first = this.arpDiv === 'free'
+                ? onset + this.arpSpeed / 1000
+                : clockNextStep(onset, clockOrigin(), this._arpStepSec(), clockSettings.swing);
+            voice.arpLoop = clockSchedule(first, (time) => {
+                playStep(time);
+                return this.arpDiv === 'free'
+                    ? time + this.arpSpeed / 1000
+                    : clockNextStep(time, clockOrigin(), this._arpStepSec(), clockSettings.swing, true);
+            });
+        }
+    }
+
+    /** Seconds per arpeggio step: the ARP RATE division at the transport BPM */
+    _arpStepSec() {
+        return clockDivisionSec(this.arpDiv, clockSettings.bpm) || this.arpSpeed / 1000;
+    }
+
+    /** Voice group by id, created on first use */
+    _voice(id) {
+        if (!this.voices.has(id)) {
+            this.voices.set(id, {
+                oscillators: [], arpLoop: null, onsetTimer: null,
+                expr: { ...EXPRESSION_NEUTRAL }, detuned: [], shimmer: null,
+            });
+        }
+        return this.voices.get(id);
+    }
+
+    /**
+     * Pointer expression for a held chord (see expressionOffset) — the cutoff is shared,
+     * detune spread and shimmer belong to the group. Before the chord sounds it waits in the group.
+     */
+    setExpression(expr, voiceId = 'main') {
+        const voice = this._voice(voiceId);
+        voice.expr = { ...voice.expr, ...expr };
+        this._applyExpression(voice);
+    }
+
+    _applyExpression(voice) {
+        const { filterMul, spread, shimmer } = expressionParams(voice.expr);
+        const now = getAudioContext().currentTime;
+        if (this.filter && this.filterActive) this._filterGlide(Math.min(20000, this.filterBase * filterMul), EXPRESSION_GLIDE);
+        voice.detuned.forEach(({ osc, cents }) => {
+            if (osc.oscillator) osc.oscillator.detune.setTargetAtTime(cents * spread, now, EXPRESSION_GLIDE);
+        });
+        if (voice.shimmer) voice.shimmer.gain.setTargetAtTime(shimmer, now, EXPRESSION_GLIDE);
+    }
+
+    /** Cutoff ramp to freq over ramp seconds — p5's filter.freq(value, t) would wait t seconds, then jump */
+    _filterGlide(freq, ramp) {
+        const f = this.filter.biquad.frequency;
+        const now = getAudioContext().currentTime;
+        f.cancelScheduledValues(now);
+        f.setValueAtTime(f.value, now);
+        f.linearRampToValueAtTime(freq, now + ramp);
+    }
+
+    /** Disconnect the group's shimmer gain once its oscillators have faded (delay in seconds) */
+    _dropShimmer(voice, delay) {
+        const shimmer = voice.shimmer;
+        voice.shimmer = null;
+        if (shimmer) setTimeout(() => { try { shimmer.disconnect(); } catch (e) { } }, delay * 1000);
+    }
+
+    _stopArp(voice) {
+        if (voice.arpLoop) {
+            clockCancel(voice.arpLoop);
+            voice.arpLoop = null;
+        }
+    }
+
+    /** Scheduled level move on a p5.Oscillator: from → to over ramp seconds, delay seconds from now */
+    _oscRamp(osc, from, to, delay, ramp) {
+        const g = osc.output.gain;
+        const at = getAudioContext().currentTime + delay;
+        g.setValueAtTime(from, at);
+        g.linearRampToValueAtTime(to, at + ramp);
+    }
+
+    /** Note taps for a scheduled chord fire when it starts sounding (cancelled by the next chord or stop) */
+    _atOnset(voice, onset, fn) {
+        if (voice.onsetTimer) clearTimeout(voice.onsetTimer);
+        voice.onsetTimer = null;
+        const ms = (onset - getAudioContext().currentTime) * 1000;
+        if (ms <= 1) fn();
+        else voice.onsetTimer = setTimeout(() => { voice.onsetTimer = null; fn(); }, ms);
+    }
+
+    // Note stream taps — everything the engine plays goes to MIDI out and the session note log
+    _tapChordOn(notes, vels) {
+        if (typeof midiChordOn === 'function') midiChordOn(notes, vels);
+        if (typeof noteLogChordOn === 'function') noteLogChordOn(notes, vels);
+    }
+
+    _tapChordOff() {
+        if (typeof midiChordOff === 'function') midiChordOff();
+        if (typeof noteLogChordOff === 'function') noteLogChordOff();
+    }
+
+    _tapNotePulse(note, vel, durationMs, kind) {
+        if (typeof midiNotePulse === 'function') midiNotePulse(note, vel, durationMs);
+        if (typeof noteLogPulse === 'function') noteLogPulse(note, vel, durationMs, kind);
+    }
+
+    /** Release one voice group; the note taps, recorder and bass stop with the lead group only */
+    stopChord(voiceId = 'main') {
+        const voice = this._voice(voiceId);
+        this._stopArp(voice);
+        if (voice.onsetTimer) {
+            clearTimeout(voice.onsetTimer);
+            voice.onsetTimer = null;
+        }
+        if (voiceId === this.leadVoice) {
+            this._tapChordOff();
+            if (typeof recorderOnRelease === 'function') recorderOnRelease();
+            if (typeof bassOnStop === 'function') bassOnStop();
+        }
+
+        // Expression ends with the hold: the cutoff glides back to FREQ
+        if (voice.expr.y !== 0 && this.filter && this.filterActive) this._filterGlide(this.filterBase, 0.3);
+        voice.expr = { ...EXPRESSION_NEUTRAL };
+        voice.detuned = [];
+        this._dropShimmer(voice, 0.6);
+
+        // Clone and clear the group immediately
+        const oscsToStop = [...voice.oscillators];
+        voice.oscillators = [];
+        if (voiceId !== 'main') this.voices.delete(voiceId);
+
+        oscsToStop.forEach(osc => {
+            try {
+                // Long fade out to prevent clicking/popping
+                osc.amp(0, 0.5);
+                setTimeout(() => {
+                    try {
+                        osc.stop();
+                        osc.dispose();
+                    } catch (e) { }
+                }, 600);
+            } catch (e) { }
+        });
+    }
+
+    /** Every voice group (page hidden, arpeggio switched) — the main group last so the taps stop */
+    stopAll() {
+        [...this.voices.keys()].filter(id => id !== 'main').forEach(id => this.stopChord(id));
+        this.leadVoice = 'main';
+        this.stopChord();
+    }
+
+    toggleFilter(active) {
+        this.filterActive = active;
+        if (this.filter) {
+            if (active) {
+                this.filterBase = 2800;
+                this.filter.freq(2800);
+            } else {
+                this.filter.freq(20000);
+            }
+        }
+    }
+
+    toggleDelay(active) {
+        this.delayActive = active;
+        // Use drywet instead of amp to keep dry signal passing through
+        if (this.delay) this.delay.drywet(active ? 0.4 : 0);
+    }
+
+    toggleReverb(active) {
+        this.reverbActive = active;
+        if (this.reverb) this.reverb.drywet(active ? 0.5 : 0);
+    }
+
+    toggleArpeggio(active) {
+        this.arpActive = active;
+        this.stopAll();
+    }
+
+    setArpMode(v) { this.arpMode = v; this.stopAll(); }
+
+    setDelayDepth(v) {
+        // DEPTH = how long echoes sustain (feedback amount)
+        // 0 = single echo, 1 = very long echo tail
+        if (this.delay && this.delayActive) {
+            this.delay.feedback(parseFloat(v) * 0.95);
+        }
+    }
+
+    setDelayTime(v) {
+        // TIME = interval between echoes
+        // Maps 0-1 range to 0.05-1.0 seconds
+        if (this.delay) {
+            const time = 0.05 + parseFloat(v) * 0.95;
+            this.delay.delayTime(time);
+        }
+    }
+
+    setReverbDepth(v) {
+        if (this.reverb && this.reverbActive) {
+            this.reverb.drywet(0.3 + parseFloat(v) * 0.6);
+        }
+    }
+
+    setArpSpeed(v) {
+        this.arpSpeed = parseFloat(v);
+    }
+
+    /** 'free' or a CLOCK_DIVISIONS key ('1/8', '1/16t', …); unknown values keep the current rate */
+    setArpDiv(v) {
+        if (v === 'free' || (typeof CLOCK_DIVISIONS !== 'undefined' && CLOCK_DIVISIONS[v])) this.arpDiv = v;
+    }
+
+    setMorphTime(v) {
+        this.morphTime = parseFloat(v) / 1000; // Convert ms to seconds
+    }
+
+    setFilterFreq(v) {
+        if (this.filter && this.filterActive) {
+            const freq = 500 + parseFloat(v) * 4500;
+            this.filterBase = freq;
+            this.filter.freq(freq);
+        }
+    }
+
+    setFilterRes(v) {
+        if (this.filter && this.filterActive) {
+            const res = 0.5 + parseFloat(v) * 20;
+            this.filter.res(res);
+        }
+    }
+
+    playStartupSound() {
+        if (!this.filter) return;
+
+        // Deep sub-bass sweep (Ryoji style)
+        const osc = new p5.Oscillator();
+        osc.setType('sine');
+        osc.freq(60);
+        osc.disconnect();
+        osc.connect(this.filter);
+        osc.start();
+        osc.amp(0);
+
+        // Quick swell and fade
+        osc.amp(0.3, 0.05);
+        osc.freq(120, 0.1);
+
+        setTimeout(() => {
+            osc.amp(0, 0.4);
+            setTimeout(() => {
+                osc.stop();
+                osc.dispose();
+            }, 500);
+        }, 100);
+    }
+}
+
+function midiToFreq(m) {
+    return 440 * pow(2, (m - 69) / 12);
+}
+
+// ===== NODE PRESS (pointer, touch, MIDI input, ORBIT, recorder playback) =====
+const _queuedPresses = new Map();    // voice group → { node, shape, job } waiting for the QUANTIZE grid
+const _queuedReleases = new Map();   // voice group → { job } stopping a tap that was released early
+
+// LATCH: a released chord sounds until the next press morphs it away (startChord's crossfade).
+// SUSTAIN (Space, MIDI CC64): releases wait for the pedal to lift. ORBIT and recorder playback
+// stop their chords directly and are not held.
+let latchMode = false;
+let sustainDown = false;
+const _heldOver = new Map();         // voice group → 'latch' | 'sustain', released but still sounding
+
+/** Pointer, touch, keyboard and MIDI-in press — on the next beat or bar when QUANTIZE is on */
+function queueNodePress(node, shape = {}, voice = 'main') {
+    _heldOver.delete(voice); // pressed again: the hand holds it now, and the press morphs it
+    const queued = _queuedPresses.get(voice);
+    const same = queued && queued.node === node
+        && queued.shape.inversion === shape.inversion && queued.shape.octave === shape.octave;
+    if (same) return;
+    if (queued) clockCancel(queued.job);
+    if (_queuedReleases.has(voice)) clockCancel(_queuedReleases.get(voice).job);
+    _queuedReleases.delete(voice);
+    const pending = { node, shape, job: null };
+    _queuedPresses.set(voice, pending);
+    pending.job = clockQuantize(at => {
+        if (_queuedPresses.get(voice) === pending) _queuedPresses.delete(voice);
+        // Latched chords in other groups (other fingers) give way to the new one
+        if (latchMode) _releaseHeldOver(id => id !== voice && _heldOver.get(id) === 'latch');
+        handleNodePress(node, at, shape, voice);
+    });
+}
+
+/**
+ * Release: held over by LATCH or the pedal, else right away — or one grid step after a waiting
+ * press sounds. force: stop it anyway (a tap on a latched chord).
+ */
+function queueNodeRelease(voice = 'main', force = false) {
+    _heldOver.delete(voice);
+    if (!force && (latchMode || sustainDown)) _heldOver.set(voice, latchMode ? 'latch' : 'sustain');
+    else _releaseVoice(voice);
+}
+
+function _releaseVoice(voice) {
+    const queued = _queuedPresses.get(voice);
+    if (!queued) {
+        audioSystem.stopChord(voice);
+        return;
+    }
+    _queuedPresses.delete(voice);
+    const pending = { job: null };
+    _queuedReleases.set(voice, pending);
+    pending.job = clockSchedule(queued.job.next + clockGridSec(clockSettings), (time) => {
+        clockDefer(time, () => {
+            if (_queuedReleases.get(voice) !== pending) return;
+            _queuedReleases.delete(voice);
+            audioSystem.stopChord(voice);
+        });
+        return null;
+    });
+}
+
+/** Let go of the held-over groups which(voice) picks — a pedal that is down keeps them */
+function _releaseHeldOver(which) {
+    [..._heldOver.keys()].filter(which).forEach(voice => {
+        _heldOver.delete(voice);
+        if (sustainDown) _heldOver.set(voice, 'sustain');
+        else _releaseVoice(voice);
+    });
+}
+
+/** LATCH on/off — turning it off releases the latched chords (into the pedal, if it is down) */
+function setLatch(on) {
+    latchMode = !!on;
+    if (!latchMode) _releaseHeldOver(voice => _heldOver.get(voice) === 'latch');
+}
+
+/** Sustain pedal down/up (Space, MIDI CC64) — up releases what it held */
+function setSustain(down) {
+    sustainDown = !!down;
+    const el = document.getElementById('sustain-state');
+    if (el) el.textContent = sustainDown ? 'DOWN' : 'UP';
+    if (!sustainDown) _releaseHeldOver(voice => _heldOver.get(voice) === 'sustain');
+}
+
+/** Is a released chord still sounding (LATCH or pedal)? */
+function isHeldOver() {
+    return _heldOver.size > 0;
+}
+
+/** Background click in LATCH: silence the latched chords */
+function releaseHeldOver() {
+    _releaseHeldOver(() => true);
+}
+
+/** Pointer at (px, py) while node's chord is held → expression for its voice group */
+function expressNode(node, px, py, pressure = 0.5, voice = 'main') {
+    if (!node || !audioSystem) return;
+    audioSystem.setExpression(expressionOffset(px - node.x, py - node.y, node.radius, pressure), voice);
+}
+
+/**
+ * at: AudioContext time the chord starts sounding (quantized presses, ORBIT), null → now;
+ * shape: see startChord; voice: the engine's voice group (one per mobile touch).
+ */
+function handleNodePress(node, at = null, shape = {}, voice = 'main') {
+    activeNode = node;
+    lastPlayedNode = node;
+    if (chordHistory[chordHistory.length - 1] !== node.name) {
+        chordHistory = [...chordHistory, node.name].slice(-CHORD_HISTORY_MAX);
+    }
+    console.log('Playing:', node.name);
+
+    const hudChord = document.getElementById('hud-chord');
+    if (hudChord) hudChord.textContent = `CHORD: ${getChordName(node.name, node.data)}`;
+
+    if (hudChord) hudChord.style.color = currentScaleMode().context === 'minor' ? `rgb(${node.color.r}, ${node.color.g}, ${node.color.b})` : '';
+
+    if (typeof recorderOnPress === 'function') recorderOnPress(node);
+    if (typeof learnOnPress === 'function') learnOnPress(node);
+    audioSystem.startChord(node.data, at, shape, voice);
+    node.glow = 100;
+    updateURL();
+
+    // INSTANT GLOW: Top 5 targets light up immediately on chord press
+    connectionParticles = []; // Clear old particles
+    const top5 = topTransitions(node.name);
+    top5.forEach((trans, rank) => {
+        const target = nodes.find(n => n.name === trans.next);
+        if (!target) return;
+        const rankIntensity = map(rank, 0, 4, 1.0, 0.3);
+        target.receivedGlow = 200 * rankIntensity; // Instant bright
+        target.receivedRank = rank + 1;
+    });
+
+    // In Orbit mode: if user manually clicked a node, start orbit from it
+    if (orbitMode && typeof orbitOnNodeClick === 'function') {
+        orbitOnNodeClick(node);
+    }
+}
+
+function getChordName(chordName, chordData, key = currentKey) {
+    const rootNote = (chordData.root + key) % 12;
+    const baseName = KEY_NAMES[rootNote];
+    const quality = chordName.replace(/^[IViv#b]+/, '');
+    // Slash chords: "bass" names the bass note in semitones above the root
+    const slash = Number.isInteger(chordData.bass) && chordData.bass % 12 ? '/' + KEY_NAMES[(rootNote + chordData.bass) % 12] : '';
+    return baseName + quality + slash;
+}
+
+function windowResized() {
+    resizeCanvas(windowWidth, windowHeight);
+    initAllNodes();
+}
+
+// Node (tests): expose the pure data functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCALE_MODES,
+        LAYOUT_ALIASES,
+        COLORS,
+        mapCsvChordToRoman,
+        buildChordData,
+        VOICING_DEFAULTS,
+        voicingPitchClasses,
+        voiceLeadChord,
+        invertVoicing,
+        expressionOffset,
+        expressionParams,
+        parseContextCsv,
+        buildContextTransitions,
+        blendContextTransitions,
+        fitLayout,
+    };
+}
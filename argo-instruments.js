@@ -0,0 +1,492 @@
+/**
+ * ARGO Instruments
+ *
+ * Sound sources RyojiEngine can play through its filter → delay → reverb bus:
+ *   RYOJI      → the engine's own layered, detuned p5 oscillators (the original sound)
+ *   FM E.PIANO → 2-operator FM with a 14:1 "tine" transient; brightness follows velocity
+ *   WAVETABLE  → two detuned PeriodicWave pairs, dark frame fading into a bright one
+ *   SAMPLER    → local sample files, either an .sfz instrument or loose files named by note
+ *
+ * Every builder takes (ctx, dest, note, vel, at, opts) and schedules plain Web Audio nodes,
+ * so the live engine (p5's AudioContext) and the offline renderer share one implementation.
+ * It returns an InstrumentVoice, which answers amp/stop/dispose like a p5.Oscillator
+ * (startChord's morph crossfade and stopChord treat both alike), or null when it can't play.
+ *
+ * SFZ subset: <control> default_path; <global>/<master>/<group>/<region> inheritance;
+ * sample, lokey, hikey, key, pitch_keycenter, lovel, hivel, tune, transpose, volume,
+ * ampeg_attack, loop_mode, loop_start, loop_end. Notes are numbers or names (c4 = 60).
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const INSTRUMENT_DEFAULT = 'ryoji';
+const SAMPLE_EXTENSIONS = /\.(wav|mp3|ogg|oga|flac|m4a|aac|aif|aiff)$/i;
+const SAMPLER_LEVEL = 0.2;        // full-scale samples vs. ~0.15 for the four RYOJI layers
+const SAMPLER_DEFAULT_ATTACK = 0.005;
+
+// Harmonic amplitudes (1 = fundamental) for the wavetable pad's frames
+const WAVETABLE_FRAMES = {
+    dark: [1, 0.42, 0.18, 0.08, 0.035, 0.015],
+    bright: [1, 0.55, 0.45, 0.3, 0.32, 0.18, 0.2, 0.1, 0.12, 0.06, 0.05, 0.04],
+};
+
+let _samplerSet = { name: null, regions: [] };   // regions carry decoded AudioBuffers
+const _wavetableCache = new WeakMap();           // ctx → { frame: PeriodicWave }
+
+// ============================================================
+// VOICE HANDLE
+// ============================================================
+
+/** One sounding note: sources → (instrument envelope) → out gain → dest */
+class InstrumentVoice {
+    constructor(ctx, out, sources) {
+        this.ctx = ctx;
+        this.out = out;
+        this.sources = sources;
+    }
+
+    /** Ramp the output level like p5.Oscillator.amp(v, seconds, secondsFromNow) */
+    amp(v, t = 0, delay = 0) {
+        const now = this.ctx.currentTime;
+        const gain = this.out.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now + delay);
+        gain.linearRampToValueAtTime(v, now + delay + t);
+    }
+
+    /** Scheduled release (offline render): full level until at, silent fade seconds later */
+    release(at, fade) {
+        this.out.gain.setValueAtTime(1, at);
+        this.out.gain.linearRampToValueAtTime(0, at + fade);
+        this.sources.forEach(s => s.stop(at + fade + 0.15));
+    }
+
+    stop() {
+        this.sources.forEach(s => { try { s.stop(); } catch (e) { } });
+    }
+
+    dispose() {
+        try { this.out.disconnect(); } catch (e) { }
+    }
+}
+
+function _voiceOut(ctx, dest) {
+    const out = ctx.createGain();
+    out.gain.value = 1;
+    out.connect(dest);
+    return out;
+}
+
+// ============================================================
+// FM ELECTRIC PIANO
+// ============================================================
+
+function _buildFmPiano(ctx, dest, note, vel, at, opts) {
+    const freq = 440 * Math.pow(2, (note - 69) / 12);
+    const hit = Math.min(1, vel);
+    const out = _voiceOut(ctx, dest);
+
+    const env = ctx.createGain();
+    const level = 0.09 * vel;
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(level, at + 0.004);
+    // Decays while held, like a struck tine
+    env.gain.setTargetAtTime(level * 0.22, at + 0.004, opts.pluck ? 0.35 : 1.4);
+    env.connect(out);
+
+    const carrier = ctx.createOscillator();
+    carrier.frequency.value = freq;
+    carrier.connect(env);
+
+    // 1:1 modulator — the body; the index falls from a bright attack to a mellow sustain
+    const mod = ctx.createOscillator();
+    mod.frequency.value = freq;
+    const modGain = ctx.createGain();
+    const index = freq * (0.8 + hit * 2.2);
+    modGain.gain.setValueAtTime(index, at);
+    modGain.gain.setTargetAtTime(index * 0.2, at, 0.6);
+    mod.connect(modGain);
+    modGain.connect(carrier.frequency);
+
+    // 14:1 modulator — the short metallic "bark" of the hammer
+    const tine = ctx.createOscillator();
+    tine.frequency.value = freq * 14;
+    const tineGain = ctx.createGain();
+    tineGain.gain.setValueAtTime(freq * 0.9 * hit, at);
+    tineGain.gain.setTargetAtTime(0, at, 0.04);
+    tine.connect(tineGain);
+    tineGain.connect(carrier.frequency);
+
+    const sources = [carrier, mod, tine];
+    sources.forEach(s => s.start(at));
+    return new InstrumentVoice(ctx, out, sources);
+}
+
+// ============================================================
+// WAVETABLE PAD
+// ============================================================
+
+/** Harmonic amplitudes → PeriodicWave coefficients (sine partials, DC and index 0 zero) */
+function wavetableCoefficients(harmonics) {
+    const real = new Float32Array(harmonics.length + 1);
+    const imag = new Float32Array(harmonics.length + 1);
+    harmonics.forEach((a, i) => { imag[i + 1] = a; });
+    return { real, imag };
+}
+
+function _wavetable(ctx, frame) {
+    let waves = _wavetableCache.get(ctx);
+    if (!waves) {
+        waves = {};
+        _wavetableCache.set(ctx, waves);
+    }
+    if (!waves[frame]) {
+        const { real, imag } = wavetableCoefficients(WAVETABLE_FRAMES[frame]);
+        waves[frame] = ctx.createPeriodicWave(real, imag);
+    }
+    return waves[frame];
+}
+
+function _buildWavetablePad(ctx, dest, note, vel, at, opts) {
+    const freq = 440 * Math.pow(2, (note - 69) / 12);
+    const out = _voiceOut(ctx, dest);
+    const attack = opts.pluck ? 0.01 : opts.attack * 1.5;
+    const evolve = opts.pluck ? 0.4 : Math.max(1.5, opts.attack * 4);
+    const level = 0.035 * vel;
+
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(level, at + attack);
+    if (opts.pluck) env.gain.setTargetAtTime(level * 0.3, at + attack, 0.25);
+    env.connect(out);
+
+    // Dark frame fades down as the bright one opens up
+    const sources = [];
+    [['dark', 1, 0.45], ['bright', 0, 0.6]].forEach(([frame, from, to]) => {
+        const mix = ctx.createGain();
+        mix.gain.setValueAtTime(from, at);
+        mix.gain.linearRampToValueAtTime(to, at + evolve);
+        mix.connect(env);
+        [-6, 6].forEach(cents => {
+            const osc = ctx.createOscillator();
+            osc.setPeriodicWave(_wavetable(ctx, frame));
+            osc.frequency.value = freq * Math.pow(2, cents / 1200);
+            osc.connect(mix);
+            sources.push(osc);
+        });
+    });
+
+    sources.forEach(s => s.start(at));
+    return new InstrumentVoice(ctx, out, sources);
+}
+
+// ============================================================
+// SAMPLER — SFZ parsing and key mapping (pure)
+// ============================================================
+
+const _NOTE_STEPS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/** SFZ note value → MIDI number: 60, c4, C#4, db3 (c4 = 60); null if unreadable */
+function sfzNoteNumber(value) {
+    const text = String(value).trim();
+    if (/^-?\d+$/.test(text)) {
+        const n = parseInt(text);
+        return n >= 0 && n <= 127 ? n : null;
+    }
+    const m = text.match(/^([a-g])([#b]?)(-?\d)$/i);
+    if (!m) return null;
+    const n = _NOTE_STEPS[m[1].toLowerCase()] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + (parseInt(m[3]) + 1) * 12;
+    return n >= 0 && n <= 127 ? n : null;
+}
+
+function _sfzNumber(value, fallback) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/** Merged opcodes → region { sample, lokey, hikey, key, lovel, hivel, tune, volume, attack, loopMode, loopStart, loopEnd } */
+function _sfzRegion(ops, defaultPath) {
+    // Explicit opcode, else key= (one-note region), else the SFZ default
+    const key = ops.key === undefined ? null : sfzNoteNumber(ops.key);
+    const note = (v, fallback) => {
+        const n = v === undefined ? null : sfzNoteNumber(v);
+        if (n !== null) return n;
+        return key !== null ? key : fallback;
+    };
+    return {
+        sample: (defaultPath + ops.sample).replace(/\\/g, '/'),
+        lokey: note(ops.lokey, 0),
+        hikey: note(ops.hikey, 127),
+        key: note(ops.pitch_keycenter, 60),
+        lovel: Math.max(0, Math.min(127, _sfzNumber(ops.lovel, 0))),
+        hivel: Math.max(0, Math.min(127, _sfzNumber(ops.hivel, 127))),
+        tune: _sfzNumber(ops.tune, 0) + _sfzNumber(ops.transpose, 0) * 100,
+        volume: _sfzNumber(ops.volume, 0),
+        attack: Math.max(0, _sfzNumber(ops.ampeg_attack, SAMPLER_DEFAULT_ATTACK)),
+        loopMode: ops.loop_mode || 'no_loop',
+        loopStart: _sfzNumber(ops.loop_start, null),
+        loopEnd: _sfzNumber(ops.loop_end, null),
+    };
+}
+
+/** .sfz text → { regions, problems } */
+function parseSfz(text) {
+    const problems = [];
+    const regions = [];
+    let defaultPath = '';
+    let header = null;
+    let globalOps = {}, masterOps = {}, groupOps = {}, current = {};
+
+    const flush = () => {
+        if (header !== 'region') return;
+        const ops = { ...globalOps, ...masterOps, ...groupOps, ...current };
+        if (!ops.sample) {
+            problems.push(`region ${regions.length + 1} has no sample`);
+            return;
+        }
+        regions.push(_sfzRegion(ops, defaultPath));
+    };
+
+    const clean = String(text).replace(/\/\*[\s\S]*?\*\//g, '');
+    for (const rawLine of clean.split(/\r?\n/)) {
+        const line = rawLine.replace(/\/\/.*$/, '');
+        // Headers and the opcodes that follow them may share a line
+        for (const part of line.split(/(<\w+>)/)) {
+            const h = part.match(/^<(\w+)>$/);
+            if (h) {
+                flush();
+                header = h[1].toLowerCase();
+                current = {};
+                if (header === 'global') { globalOps = {}; masterOps = {}; groupOps = {}; }
+                if (header === 'master') { masterOps = {}; groupOps = {}; }
+                if (header === 'group') groupOps = {};
+                continue;
+            }
+            // Values run to the next opcode (sample paths may contain spaces)
+            const re = /(\w+)=(.*?)(?=\s+\w+=|\s*$)/g;
+            let m;
+            while ((m = re.exec(part)) !== null) {
+                const [, op, value] = m;
+                if (header === 'control') {
+                    if (op === 'default_path') defaultPath = value.trim().replace(/\\/g, '/');
+                } else if (header === 'global') globalOps[op] = value.trim();
+                else if (header === 'master') masterOps[op] = value.trim();
+                else if (header === 'group') groupOps[op] = value.trim();
+                else if (header === 'region') current[op] = value.trim();
+            }
+        }
+    }
+    flush();
+    return { regions, problems };
+}
+
+/** Loose sample file name → root note: "Piano C#3.wav", "pad_Bb2.ogg", "epiano-60.wav"; null if none */
+function sampleRootFromName(name) {
+    const base = String(name).replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+    const names = [...base.matchAll(/(?:^|[^a-z])([a-g][#b]?-?\d)(?![\d#])/gi)];
+    for (let i = names.length - 1; i >= 0; i--) {
+        const n = sfzNoteNumber(names[i][1]);
+        if (n !== null) return n;
+    }
+    const numbers = [...base.matchAll(/(?:^|\D)(\d{1,3})(?!\d)/g)];
+    for (let i = numbers.length - 1; i >= 0; i--) {
+        const n = parseInt(numbers[i][1]);
+        if (n >= 12 && n <= 127) return n;
+    }
+    return null;
+}
+
+/** [{ sample, key }] → regions splitting the keyboard halfway between neighbouring roots */
+function regionsFromSamples(samples) {
+    const sorted = [...samples].filter(s => s.key !== null).sort((a, b) => a.key - b.key);
+    return sorted.map((s, i) => _sfzRegion({
+        sample: s.sample,
+        pitch_keycenter: s.key,
+        lokey: i === 0 ? 0 : Math.floor((sorted[i - 1].key + s.key) / 2) + 1,
+        hikey: i === sorted.length - 1 ? 127 : Math.floor((s.key + sorted[i + 1].key) / 2),
+    }, ''));
+}
+
+/**
+ * Regions that sound for note at velocity (1-127) — every match, as in SFZ.
+ * A note outside every key range borrows the nearest region, repitched.
+ */
+function sampleRegionsFor(regions, note, vel) {
+    const byVel = regions.filter(r => vel >= r.lovel && vel <= r.hivel);
+    const hits = byVel.filter(r => note >= r.lokey && note <= r.hikey);
+    if (hits.length > 0 || byVel.length === 0) return hits;
+    const gap = r => (note < r.lokey ? r.lokey - note : note - r.hikey);
+    return [byVel.reduce((best, r) => (gap(r) < gap(best) ? r : best))];
+}
+
+// ============================================================
+// SAMPLER — playback
+// ============================================================
+
+function _buildSamplerNote(ctx, dest, note, vel, at, opts) {
+    const midiVel = Math.max(1, Math.min(127, Math.round(vel * 100)));
+    const regions = sampleRegionsFor(_samplerSet.regions, note, midiVel);
+    if (regions.length === 0) return null;
+
+    const out = _voiceOut(ctx, dest);
+    const sources = regions.map(r => {
+        const src = ctx.createBufferSource();
+        src.buffer = r.buffer;
+        src.playbackRate.value = Math.pow(2, (note - r.key) / 12 + r.tune / 1200);
+        if (r.loopMode === 'loop_continuous' || r.loopMode === 'loop_sustain') {
+            src.loop = true;
+            const rate = r.buffer.sampleRate;
+            if (r.loopStart !== null) src.loopStart = r.loopStart / rate;
+            if (r.loopEnd !== null) src.loopEnd = r.loopEnd / rate;
+        }
+
+        const env = ctx.createGain();
+        const level = SAMPLER_LEVEL * Math.min(1.5, vel) * Math.pow(10, r.volume / 20);
+        const attack = opts.pluck ? r.attack : Math.max(r.attack, opts.attack);
+        env.gain.setValueAtTime(0, at);
+        env.gain.linearRampToValueAtTime(level, at + Math.max(0.002, attack));
+        src.connect(env);
+        env.connect(out);
+        src.start(at);
+        return src;
+    });
+    return new InstrumentVoice(ctx, out, sources);
+}
+
+function _samplePathKey(path) {
+    return String(path).replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+}
+
+/**
+ * Picked files → sampler set. One .sfz among them maps the others (matched by relative path,
+ * then by file name); without one, each audio file's root comes from its name.
+ * Resolves { zones, problems }; the previous set stays when nothing loads.
+ */
+async function loadSampleFiles(fileList) {
+    const files = [...fileList];
+    const sfz = files.find(f => /\.sfz$/i.test(f.name));
+    const audio = files.filter(f => SAMPLE_EXTENSIONS.test(f.name));
+    const problems = [];
+
+    let regions;
+    if (sfz) {
+        const parsed = parseSfz(await sfz.text());
+        regions = parsed.regions;
+        problems.push(...parsed.problems);
+    } else {
+        const samples = audio.map(f => ({ sample: f.webkitRelativePath || f.name, key: sampleRootFromName(f.name) }));
+        samples.filter(s => s.key === null).forEach(s => problems.push(`${s.sample}: no note in the name`));
+        regions = regionsFromSamples(samples);
+    }
+
+    // Paths in an .sfz are relative to it; picked files only know their own name
+    const byPath = new Map();
+    audio.forEach(f => {
+        if (f.webkitRelativePath) byPath.set(_samplePathKey(f.webkitRelativePath.replace(/^[^/]*\//, '')), f);
+        byPath.set(_samplePathKey(f.name), f);
+    });
+    const ctx = getAudioContext();
+    const decoded = new Map();
+    const loaded = [];
+    for (const region of regions) {
+        const file = byPath.get(_samplePathKey(region.sample))
+            || byPath.get(_samplePathKey(region.sample.replace(/^.*\//, '')));
+        if (!file) {
+            problems.push(`${region.sample} not picked`);
+            continue;
+        }
+        if (!decoded.has(file)) {
+            decoded.set(file, file.arrayBuffer()
+                .then(bytes => ctx.decodeAudioData(bytes))
+                .catch(() => null));
+        }
+        const buffer = await decoded.get(file);
+        if (!buffer) {
+            problems.push(`${file.name} could not be decoded`);
+            continue;
+        }
+        loaded.push({ ...region, buffer });
+    }
+
+    if (loaded.length > 0) {
+        _samplerSet = { name: sfz ? sfz.name : `${audio.length} FILES`, regions: loaded };
+    }
+    return { zones: loaded.length, problems };
+}
+
+// ============================================================
+// REGISTRY
+// ============================================================
+
+const INSTRUMENTS = {
+    ryoji: { label: 'RYOJI', build: null },
+    fmep: { label: 'FM E.PIANO', build: _buildFmPiano },
+    wavetable: { label: 'WAVETABLE PAD', build: _buildWavetablePad },
+    sampler: { label: 'SAMPLER', build: _buildSamplerNote, ready: () => _samplerSet.regions.length > 0 },
+};
+
+/** Builder for name, or null → play the RYOJI layers (unknown name, or a sampler with nothing loaded) */
+function instrumentBuilder(name) {
+    const inst = INSTRUMENTS[name];
+    if (!inst || !inst.build) return null;
+    if (inst.ready && !inst.ready()) return null;
+    return inst.build;
+}
+
+// ============================================================
+// UI
+// ============================================================
+
+function updateSamplerStatus() {
+    const el = document.getElementById('sampler-status');
+    if (!el) return;
+    const selected = audioSystem ? audioSystem.instrument : _getSelect('instrument', INSTRUMENT_DEFAULT);
+    const row = document.getElementById('sampler-row');
+    if (row) row.style.display = selected === 'sampler' ? '' : 'none';
+    if (_samplerSet.regions.length === 0) {
+        el.textContent = selected === 'sampler' ? 'NO SAMPLES — PLAYING RYOJI' : 'NO SAMPLES';
+    } else {
+        el.textContent = `${_samplerSet.name} · ${_samplerSet.regions.length} ZONE${_samplerSet.regions.length === 1 ? '' : 'S'}`;
+    }
+}
+
+function setupInstrumentUI() {
+    const select = document.getElementById('instrument');
+    if (select) {
+        select.addEventListener('change', (e) => {
+            if (audioSystem) audioSystem.setInstrument(e.target.value);
+            updateSamplerStatus();
+            updateURL();
+        });
+    }
+
+    const file = document.getElementById('sampler-file');
+    const load = document.getElementById('sampler-load');
+    if (load && file) {
+        load.addEventListener('click', () => file.click());
+        file.addEventListener('change', async () => {
+            if (!file.files || file.files.length === 0) return;
+            const { zones, problems } = await loadSampleFiles(file.files);
+            file.value = '';
+            if (problems.length > 0) reportStateProblems('SAMPLES', problems);
+            _flashButton('sampler-load', zones ? `${zones} ZONES ✓` : 'NO SAMPLES', zones ? '#0f0' : '#f44');
+            updateSamplerStatus();
+        });
+    }
+
+    updateSamplerStatus();
+}
+
+// Node (tests): expose the pure SFZ / key-mapping functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INSTRUMENTS,
+        sfzNoteNumber,
+        parseSfz,
+        sampleRootFromName,
+        regionsFromSamples,
+        sampleRegionsFor,
+        wavetableCoefficients,
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * ARGO Keyboard Play
+ *
+ * Plays nodes from the computer keyboard (desktop), so a set needs no mouse:
+ *   node keys  → hold to sound the chord, release to stop (like mouse press/release)
+ *   1-5        → the top-5 transition targets of the last chord, by rank
+ *   Shift      → next inversion (lowest note up an octave)
+ *   Alt        → an octave down; Shift+Alt → an octave up
+ *   Space      → sustain pedal — works with KEYBOARD PLAY off too (not in the canvas focus mode
+ *                after Tab, where Space plays; a canvas focused by a click keeps the pedal)
+ *
+ * Keys are physical positions (KeyboardEvent.code), so the map holds on any keyboard
+ * layout and with modifiers held. A layout JSON can pin keys with
+ *   "keymap": { "Imaj7": "g", "V7": "h", ... }
+ * and the rest of its nodes take the free keys in layout order: home row, top row,
+ * bottom row, then punctuation and 6-0, then the number pad (labels n0-n9, n. n/ n* n- n+).
+ * A node left without a key is reported like a bad pin. Presses go through
+ * queueNodePress, so TEMPO QUANTIZE applies.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const KEYPLAY_ROWS = ['asdfghjkl;', 'qwertyuiop', 'zxcvbnm,./', "'[]-=67890", '`\\'];
+const KEYPLAY_NUMPAD = ['n7', 'n8', 'n9', 'n4', 'n5', 'n6', 'n1', 'n2', 'n3', 'n0', 'n.', 'n/', 'n*', 'n-', 'n+'];
+const KEYPLAY_PUNCTUATION = {
+    ';': 'Semicolon', ',': 'Comma', '.': 'Period', '/': 'Slash', "'": 'Quote',
+    '[': 'BracketLeft', ']': 'BracketRight', '-': 'Minus', '=': 'Equal',
+    '`': 'Backquote', '\\': 'Backslash',
+    'n.': 'NumpadDecimal', 'n/': 'NumpadDivide', 'n*': 'NumpadMultiply', 'n-': 'NumpadSubtract', 'n+': 'NumpadAdd',
+};
+const KEYPLAY_RANK_CODES = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5'];
+
+let keyplayOn = false;
+let _keyMap = new Map();      // code → node name
+let _keyHeldCode = null;      // key holding the sounding chord
+
+// ============================================================
+// KEYMAP (pure)
+// ============================================================
+
+/** Key label ('g', ';', '7', 'n7' on the number pad) → KeyboardEvent.code; null for keys that can't hold a node */
+function keyCodeFor(label) {
+    const k = String(label).toLowerCase();
+    if (/^[a-z]$/.test(k)) return 'Key' + k.toUpperCase();
+    if (/^[06-9]$/.test(k)) return 'Digit' + k;
+    if (/^n\d$/.test(k)) return 'Numpad' + k.slice(1);
+    return KEYPLAY_PUNCTUATION[k] || null;
+}
+
+/** KeyboardEvent.code → the label drawn on the node */
+function keyLabelFor(code) {
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return 'n' + code.slice(6);
+    const entry = Object.entries(KEYPLAY_PUNCTUATION).find(([, c]) => c === code);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Layout nodes (+ its "keymap" pins) → { map: Map(code → name), problems }.
+ * Pins come first; the other nodes take free keys in layout order until they run out.
+ */
+function buildKeymap(layoutNodes, pins = {}) {
+    const map = new Map();
+    const problems = [];
+    const names = new Set(layoutNodes.map(n => n.name));
+    const placed = new Set();
+
+    for (const [name, label] of Object.entries(pins)) {
+        const code = keyCodeFor(label);
+        if (!names.has(name)) problems.push(`keymap: ${name} is not in the layout`);
+        else if (!code) problems.push(`keymap: ${name} → "${label}" is not a playable key`);
+        else if (map.has(code)) problems.push(`keymap: "${label}" is taken by ${map.get(code)}`);
+        else {
+            map.set(code, name);
+            placed.add(name);
+        }
+    }
+
+    const free = [...KEYPLAY_ROWS.join('').split(''), ...KEYPLAY_NUMPAD].map(keyCodeFor).filter(code => !map.has(code));
+    const unplaced = [];
+    for (const node of layoutNodes) {
+        if (placed.has(node.name)) continue;
+        const code = free.shift();
+        if (!code) {
+            unplaced.push(node.name);
+            continue;
+        }
+        map.set(code, node.name);
+        placed.add(node.name);
+    }
+    if (unplaced.length) problems.push(`keymap: no key left for ${unplaced.join(', ')}`);
+    return { map, problems };
+}
+
+/** Modifier keys → the shape startChord applies */
+function keyShape(e) {
+    if (e.shiftKey && e.altKey) return { inversion: 0, octave: 1 };
+    if (e.altKey) return { inversion: 0, octave: -1 };
+    if (e.shiftKey) return { inversion: 1, octave: 0 };
+    return { inversion: 0, octave: 0 };
+}
+
+// ============================================================
+// NODES + INPUT
+// ============================================================
+
+/** After initAllNodes: hotkey labels for the current layout */
+function keysAssign(nodeList, layout) {
+    const { map, problems } = buildKeymap(layout.nodes || [], layout.keymap || {});
+    if (problems.length) console.warn('Keyboard play:', problems);
+    _keyMap = map;
+    const labels = new Map([...map].map(([code, name]) => [name, keyLabelFor(code)]));
+    nodeList.forEach(n => { n.hotkey = labels.get(n.name) || null; });
+}
+
+function _keyNodeFor(code) {
+    if (KEYPLAY_RANK_CODES.includes(code)) {
+        if (!lastPlayedNode) return null;
+        const target = topTransitions(lastPlayedNode.name)[KEYPLAY_RANK_CODES.indexOf(code)];
+        return target ? nodes.find(n => n.name === target.next) || null : null;
+    }
+    const name = _keyMap.get(code);
+    return name ? nodes.find(n => n.name === name) || null : null;
+}
+
+function _keyTyping(e) {
+    const el = e.target;
+    return el && (el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA' || el.isContentEditable);
+}
+
+function _keyDown(e) {
+    if (!keyplayOn || _keyTyping(e) || e.ctrlKey || e.metaKey) return;
+    if (e.code === 'AltLeft' || e.code === 'AltRight') { e.preventDefault(); return; }
+    const node = _keyNodeFor(e.code);
+    if (!node) return;
+    e.preventDefault();
+    if (e.repeat) return;
+
+    userStartAudio();
+    if (getAudioContext().state !== 'running') getAudioContext().resume();
+    if (!isActive) return;
+
+    _keyHeldCode = e.code;
+    queueNodePress(node, keyShape(e));
+}
+
+/** Space → sustain pedal, for pointer playing as much as the keys */
+function _keySustain(e) {
+    if (e.code !== 'Space' || _keyTyping(e) || e.ctrlKey || e.metaKey) return;
+    const el = e.target;
+    if (el && el.tagName === 'BUTTON') return; // Space clicks there
+    if (el && el.tagName === 'CANVAS' && typeof accessKeyMode !== 'undefined' && accessKeyMode) return; // plays there
+    e.preventDefault();
+    if (e.repeat) return;
+    setSustain(e.type === 'keydown');
+}
+
+function _keyUp(e) {
+    if (!keyplayOn) return;
+    if (e.code === 'AltLeft' || e.code === 'AltRight') e.preventDefault(); // keeps the browser menu bar shut
+    if (e.code !== _keyHeldCode) return;
+    keysRelease();
+}
+
+/** Stop the chord a key is holding (key up, window blur, keyboard play turned off) */
+function keysRelease() {
+    if (_keyHeldCode === null) return;
+    _keyHeldCode = null;
+    queueNodeRelease();
+    activeNode = null;
+}
+
+function setupKeysUI() {
+    const toggle = document.getElementById('keys-toggle');
+    if (toggle) {
+        keyplayOn = toggle.checked;
+        toggle.addEventListener('change', (e) => {
+            keyplayOn = e.target.checked;
+            if (!keyplayOn) keysRelease();
+            e.target.blur(); // keys go to the nodes, not the checkbox
+        });
+    }
+    window.addEventListener('keydown', _keyDown);
+    window.addEventListener('keyup', _keyUp);
+    window.addEventListener('blur', keysRelease);
+    window.addEventListener('keydown', _keySustain);
+    window.addEventListener('keyup', _keySustain);
+    window.addEventListener('blur', () => { if (sustainDown) setSustain(false); });
+}
+
+// Node (tests): expose the keymap functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        keyCodeFor,
+        keyLabelFor,
+        buildKeymap,
+        keyShape,
+    };
+}
@@ -0,0 +1,302 @@
+/**
+ * ARGO Transition Learning
+ *
+ * Counts the node-to-node moves you play (pointer, touch and MIDI input — not ORBIT
+ * or recorder playback, which follow the suggestions rather than you) and blends them
+ * into the next-chord distribution, so the top-5 glow and ORBIT drift toward your habits.
+ * An ORBIT run replaying a shared seed leaves them out: the table is per browser, and the
+ * link has to play the same piece anywhere.
+ *
+ * Stored in localStorage per scale mode (layouts differ):
+ *   { argoLearned: 1, weight, learning, tables: { [scale]: { [from]: { [to]: count } } } }
+ * weight 0-1 is the USER WEIGHT slider: next = (1 - weight) · corpus + weight · learned,
+ * applied to chords you have moved away from at least once.
+ */
+
+// ============================================================
+// STATE
+// ============================================================
+const LEARN_STORAGE_KEY = 'argo-learned';
+const LEARN_MAX_COUNT = 1e6;   // per move, keeps imported tables sane
+const LEARN_VIEW_ROWS = 8;
+
+let _learned = { argoLearned: 1, weight: 0.3, learning: true, tables: {} };
+let _learnPrevName = null;     // last node you played in the current scale
+let _learnPrevScale = null;
+
+function _learnSource() {
+    if (typeof _orbitAutoTriggered !== 'undefined' && _orbitAutoTriggered) return 'orbit';
+    if (typeof _recPlaying !== 'undefined' && _recPlaying) return 'playback';
+    return 'manual';
+}
+
+// ============================================================
+// TABLES (pure)
+// ============================================================
+
+/** Drop anything that is not { scale: { from: { to: count > 0 } } } — returns a clean copy */
+function sanitizeLearned(tables) {
+    const clean = {};
+    if (!tables || typeof tables !== 'object') return clean;
+    for (const [scale, rows] of Object.entries(tables)) {
+        if (!rows || typeof rows !== 'object') continue;
+        for (const [from, targets] of Object.entries(rows)) {
+            if (!targets || typeof targets !== 'object') continue;
+            for (const [to, count] of Object.entries(targets)) {
+                const n = Math.floor(Number(count));
+                if (!Number.isFinite(n) || n <= 0 || to === from) continue;
+                clean[scale] = clean[scale] || {};
+                clean[scale][from] = clean[scale][from] || {};
+                clean[scale][from][to] = Math.min(LEARN_MAX_COUNT, n);
+            }
+        }
+    }
+    return clean;
+}
+
+/** Add b's counts into a (both sanitized tables); returns a */
+function mergeLearned(a, b) {
+    for (const [scale, rows] of Object.entries(b)) {
+        a[scale] = a[scale] || {};
+        for (const [from, targets] of Object.entries(rows)) {
+            a[scale][from] = a[scale][from] || {};
+            for (const [to, count] of Object.entries(targets)) {
+                a[scale][from][to] = Math.min(LEARN_MAX_COUNT, (a[scale][from][to] || 0) + count);
+            }
+        }
+    }
+    return a;
+}
+
+/** Learned counts out of one chord → [{ next, prob }] */
+function learnedTransitions(counts) {
+    let total = 0;
+    Object.values(counts || {}).forEach(c => { total += c; });
+    if (total === 0) return [];
+    return Object.entries(counts).map(([next, c]) => ({ next, prob: c / total }));
+}
+
+/** Corpus list + learned counts → (1 - weight) · corpus + weight · learned */
+function blendLearnedTransitions(corpusList, counts, weight) {
+    const learned = learnedTransitions(counts);
+    if (learned.length === 0 || weight <= 0) return corpusList;
+    const blended = new Map(corpusList.map(t => [t.next, { ...t, prob: t.prob * (1 - weight) }]));
+    for (const t of learned) {
+        const prev = blended.get(t.next);
+        blended.set(t.next, { next: t.next, prob: (prev ? prev.prob : 0) + t.prob * weight });
+    }
+    return [...blended.values()];
+}
+
+// ============================================================
+// STORAGE
+// ============================================================
+
+function loadLearned() {
+    try {
+        const raw = localStorage.getItem(LEARN_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (data && typeof data === 'object') {
+            _learned = {
+                argoLearned: 1,
+                weight: Number.isFinite(data.weight) ? Math.max(0, Math.min(1, data.weight)) : 0.3,
+                learning: data.learning !== false,
+                tables: sanitizeLearned(data.tables),
+            };
+        }
+    } catch (e) { }
+    return _learned;
+}
+
+function _storeLearned() {
+    try {
+        localStorage.setItem(LEARN_STORAGE_KEY, JSON.stringify(_learned));
+        return true;
+    } catch (e) {
+        console.warn('Learned table save failed:', e);
+        return false;
+    }
+}
+
+// ============================================================
+// CAPTURE + BLEND (called from handleNodePress / chordTransitions)
+// ============================================================
+
+function learnOnPress(node) {
+    if (!node) return;
+    if (_learnPrevScale !== currentScale) {
+        _learnPrevScale = currentScale;
+        _learnPrevName = null;
+    }
+    if (_learnSource() !== 'manual') {
+        // ORBIT/playback moves aren't yours, but the next one you play starts from here
+        _learnPrevName = node.name;
+        renderLearnView(node);
+        return;
+    }
+
+    const from = _learnPrevName;
+    _learnPrevName = node.name;
+    if (_learned.learning && from && from !== node.name) {
+        const rows = _learned.tables[currentScale] = _learned.tables[currentScale] || {};
+        const targets = rows[from] = rows[from] || {};
+        targets[node.name] = Math.min(LEARN_MAX_COUNT, (targets[node.name] || 0) + 1);
+        _storeLearned();
+    }
+    renderLearnView(node);
+}
+
+/** chordTransitions hook: the corpus list for name with your moves blended in */
+function learnBlend(name, corpusList) {
+    const rows = _learned.tables[currentScale];
+    return blendLearnedTransitions(corpusList, rows && rows[name], _learned.weight);
+}
+
+function resetLearned() {
+    _learned.tables = {};
+    _learnPrevName = null;
+    _storeLearned();
+    renderLearnView();
+}
+
+/** The learned table as a JSON file (same shape as the stored one) */
+function exportLearned() {
+    const json = JSON.stringify(_learned, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'argo-learned.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Add the counts from an exported file — returns the number of moves imported */
+function importLearned(json) {
+    let data;
+    try { data = JSON.parse(json); } catch (e) { return 0; }
+    if (!data || typeof data !== 'object') return 0;
+    const incoming = sanitizeLearned(data.tables);
+    let count = 0;
+    Object.values(incoming).forEach(rows => Object.values(rows).forEach(t => { count += Object.keys(t).length; }));
+    if (count === 0) return 0;
+    mergeLearned(_learned.tables, incoming);
+    _storeLearned();
+    renderLearnView();
+    return count;
+}
+
+// ============================================================
+// COMPARE VIEW — corpus vs learned vs blended for the active node
+// ============================================================
+
+function renderLearnView(node = activeNode || lastPlayedNode) {
+    const view = document.getElementById('learn-view');
+    if (!view) return;
+    view.innerHTML = '';
+    if (!node) {
+        view.textContent = 'PLAY A NODE';
+        return;
+    }
+
+    const corpus = new Map(corpusTransitions(node.name).map(t => [t.next, t.prob]));
+    const rows = _learned.tables[currentScale];
+    const counts = (rows && rows[node.name]) || {};
+    const learned = new Map(learnedTransitions(counts).map(t => [t.next, t.prob]));
+    const nodeNames = new Set(nodes.map(n => n.name));
+    const ranked = topTransitions(node.name);
+    const names = [...new Set([...ranked.map(t => t.next), ...learned.keys()])]
+        .filter(name => nodeNames.has(name))
+        .slice(0, LEARN_VIEW_ROWS);
+
+    const pct = p => (p === undefined ? '—' : Math.round(p * 100) + '%');
+    const table = document.createElement('table');
+    const head = table.insertRow();
+    ['FROM ' + getChordName(node.name, node.data), 'CORPUS', 'YOU', 'MIX'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const mix = new Map(ranked.map(t => [t.next, t.prob]));
+    names.forEach(name => {
+        const target = nodes.find(n => n.name === name);
+        const row = table.insertRow();
+        [getChordName(name, target.data), pct(corpus.get(name)), pct(learned.get(name)), pct(mix.get(name))]
+            .forEach(text => { row.insertCell().textContent = text; });
+    });
+    view.appendChild(table);
+
+    let moves = 0;
+    Object.values(counts).forEach(c => { moves += c; });
+    const info = document.createElement('div');
+    info.textContent = `${moves} MOVE${moves === 1 ? '' : 'S'} LEARNED FROM HERE`;
+    view.appendChild(info);
+}
+
+function _learnSetWeightLabel() {
+    const label = document.getElementById('learn-weight-val');
+    if (label) label.textContent = Math.round(_learned.weight * 100) + '%';
+}
+
+function setupLearnUI() {
+    loadLearned();
+
+    const toggle = document.getElementById('learn-toggle');
+    if (toggle) {
+        toggle.checked = _learned.learning;
+        toggle.addEventListener('change', (e) => { _learned.learning = e.target.checked; _storeLearned(); });
+    }
+
+    const weight = document.getElementById('learn-weight');
+    if (weight) {
+        weight.value = Math.round(_learned.weight * 100);
+        weight.addEventListener('input', (e) => {
+            _learned.weight = parseFloat(e.target.value) / 100;
+            _learnSetWeightLabel();
+            _storeLearned();
+            renderLearnView();
+        });
+    }
+    _learnSetWeightLabel();
+
+    const reset = document.getElementById('learn-reset');
+    if (reset) reset.addEventListener('click', () => {
+        if (confirm('Forget all learned moves?')) {
+            resetLearned();
+            _flashButton('learn-reset', 'RESET ✓', '#0f0');
+        }
+    });
+
+    const exp = document.getElementById('learn-export');
+    if (exp) exp.addEventListener('click', () => exportLearned());
+
+    const file = document.getElementById('learn-file');
+    const imp = document.getElementById('learn-import');
+    if (imp && file) {
+        imp.addEventListener('click', () => file.click());
+        file.addEventListener('change', () => {
+            const f = file.files && file.files[0];
+            if (!f) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const count = importLearned(reader.result);
+                _flashButton('learn-import', count ? `+${count} ✓` : 'INVALID', count ? '#0f0' : '#f44');
+            };
+            reader.readAsText(f);
+            file.value = '';
+        });
+    }
+
+    renderLearnView();
+}
+
+// Node (tests): expose the pure table functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        sanitizeLearned,
+        mergeLearned,
+        learnedTransitions,
+        blendLearnedTransitions,
+    };
+}
@@ -0,0 +1,347 @@
+/**
+ * ARGO Web MIDI Bridge
+ *
+ * OUTPUT — mirrors everything RyojiEngine plays onto a Web MIDI output port:
+ *   - Pad chords from startChord/stopChord → held note-on / note-off
+ *   - Arpeggio notes from arpLoop         → short note pulses
+ *   - ORBIT ghost notes                   → short note pulses
+ *   - Bass voice (argo-bass.js)           → one held note at a time
+ *
+ * INPUT — identifies the chord held on a controller against Chord_Definitions.json
+ * (root + intervals relative to currentKey) and presses the matching node,
+ * so the transition glow suggests what comes next. Unmatched voicings show
+ * the closest definition in the HUD. CC64 is the sustain pedal (setSustain).
+ *
+ * Sidebar controls:
+ *   midi-in       → input port (or OFF)
+ *   midi-out      → output port (or OFF)
+ *   midi-channel  → MIDI channel 1-16
+ *   midi-vel      → base velocity (1-127)
+ *   midi-dyn      → how much of the ORBIT velocity randomization passes through (0-100%)
+ */
+
+// ============================================================
+// STATE
+// ============================================================
+let _midiAccess = null;
+let _midiOutput = null;
+let _midiHeldNotes = [];
+let _midiBassNote = null;     // bass voice note held on the output
+let _midiPulseTimers = [];
+let _midiInput = null;
+let _midiInputHeld = new Set();
+let _midiInputTimer = null;
+let _midiInputDriving = false; // true while a held controller chord drives the engine
+let _midiSentChannel = 0;      // channel of the last note-on — note-offs follow it after a channel change
+
+function _midiChannel() { return Math.max(0, Math.min(15, parseInt(_getSlider('midi-channel', 1)) - 1)); }
+function _midiBaseVelocity() { return _getSlider('midi-vel', 96); }
+function _midiDynamics() { return _getSlider('midi-dyn', 100) / 100; }
+
+/**
+ * Engine amp multiplier → MIDI velocity.
+ * vel = 1.0 is a normal note; ORBIT randomizes it between 0.3 and 1.5.
+ */
+function midiVelocity(vel) {
+    const v = vel === undefined ? 1.0 : vel;
+    const scaled = _midiBaseVelocity() * (1 + (v - 1) * _midiDynamics());
+    return Math.max(1, Math.min(127, Math.round(scaled)));
+}
+
+// ============================================================
+// PORT SETUP
+// ============================================================
+
+function initMidi() {
+    if (_midiAccess || !navigator.requestMIDIAccess) {
+        if (!navigator.requestMIDIAccess) _midiSetStatus('NO WEB MIDI');
+        return;
+    }
+    navigator.requestMIDIAccess({ sysex: false }).then(access => {
+        _midiAccess = access;
+        _midiAccess.onstatechange = () => _midiRefreshPorts();
+        _midiRefreshPorts();
+        console.log('✓ Web MIDI ready');
+    }).catch(e => {
+        console.warn('Web MIDI unavailable:', e);
+        _midiSetStatus('MIDI BLOCKED');
+    });
+}
+
+function _midiSetStatus(text) {
+    ['midi-in', 'midi-out'].forEach(id => {
+        const sel = document.getElementById(id);
+        if (!sel) return;
+        sel.innerHTML = '';
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = text;
+        sel.appendChild(opt);
+        sel.disabled = true;
+    });
+}
+
+function _midiFillPortSelect(sel, ports, current) {
+    sel.innerHTML = '';
+    sel.disabled = false;
+
+    const off = document.createElement('option');
+    off.value = '';
+    off.textContent = 'OFF';
+    sel.appendChild(off);
+
+    for (const port of ports.values()) {
+        const opt = document.createElement('option');
+        opt.value = port.id;
+        opt.textContent = port.name.toUpperCase();
+        sel.appendChild(opt);
+    }
+
+    // Keep the selected port if it is still connected
+    const stillThere = !!current && ports.has(current);
+    sel.value = stillThere ? current : '';
+    return stillThere;
+}
+
+function _midiRefreshPorts() {
+    if (!_midiAccess) return;
+
+    const outSel = document.getElementById('midi-out');
+    if (outSel) {
+        const current = _midiOutput ? _midiOutput.id : outSel.value;
+        if (!_midiFillPortSelect(outSel, _midiAccess.outputs, current)) selectMidiOutput('');
+    }
+
+    const inSel = document.getElementById('midi-in');
+    if (inSel) {
+        const current = _midiInput ? _midiInput.id : inSel.value;
+        if (!_midiFillPortSelect(inSel, _midiAccess.inputs, current)) selectMidiInput('');
+    }
+}
+
+function selectMidiOutput(id) {
+    midiAllNotesOff();
+    _midiOutput = (id && _midiAccess) ? (_midiAccess.outputs.get(id) || null) : null;
+    if (_midiOutput) console.log('✓ MIDI out:', _midiOutput.name);
+}
+
+function selectMidiInput(id) {
+    if (_midiInput) _midiInput.onmidimessage = null;
+    _midiInput = (id && _midiAccess) ? (_midiAccess.inputs.get(id) || null) : null;
+    _midiInputHeld.clear();
+    _midiReleaseInputChord();
+    if (_midiInput) {
+        _midiInput.onmidimessage = _midiOnMessage;
+        console.log('✓ MIDI in:', _midiInput.name);
+    }
+}
+
+// ============================================================
+// NOTE OUTPUT
+// ============================================================
+
+/** → whether the message went out */
+function _midiSend(bytes) {
+    if (!_midiOutput) return false;
+    try {
+        _midiOutput.send(bytes);
+        return true;
+    } catch (e) {
+        console.warn('MIDI send failed:', e);
+        return false;
+    }
+}
+
+/** → whether the note-on went out; only those get a note-off later */
+function _midiNoteOn(note, velocity) {
+    if (note < 0 || note > 127) return false;
+    // Don't echo a controller's own chord back out (avoids DAW feedback loops)
+    if (_midiInputDriving) return false;
+    _midiSentChannel = _midiChannel();
+    return _midiSend([0x90 | _midiSentChannel, note, velocity]);
+}
+
+function _midiNoteOff(note) {
+    if (note < 0 || note > 127) return;
+    _midiSend([0x80 | _midiSentChannel, note, 0]);
+}
+
+/** Pad chord: releases the previous chord, then holds the new notes until midiChordOff */
+function midiChordOn(notes, vels) {
+    midiChordOff();
+    if (!_midiOutput) return;
+    _midiHeldNotes = notes.filter((note, i) => _midiNoteOn(note, midiVelocity(vels ? vels[i] : 1.0)));
+}
+
+function midiChordOff() {
+    _midiHeldNotes.forEach(note => _midiNoteOff(note));
+    _midiHeldNotes = [];
+}
+
+/** Single short note (arpeggio step, ghost note) with its own note-off */
+function midiNotePulse(note, vel, durationMs) {
+    if (!_midiOutput || !_midiNoteOn(note, midiVelocity(vel))) return;
+    const timer = setTimeout(() => {
+        _midiNoteOff(note);
+        _midiPulseTimers = _midiPulseTimers.filter(t => t !== timer);
+    }, durationMs);
+    _midiPulseTimers.push(timer);
+}
+
+/** Bass voice: one held note at a time, released by the next one or midiBassOff */
+function midiBassOn(note, vel) {
+    midiBassOff();
+    if (!_midiOutput || !_midiNoteOn(note, midiVelocity(vel))) return;
+    _midiBassNote = note;
+}
+
+function midiBassOff() {
+    if (_midiBassNote !== null) _midiNoteOff(_midiBassNote);
+    _midiBassNote = null;
+}
+
+function midiAllNotesOff() {
+    midiChordOff();
+    midiBassOff();
+    _midiPulseTimers.forEach(t => clearTimeout(t));
+    _midiPulseTimers = [];
+    if (!_midiOutput) return;
+    // CC123 All Notes Off on the channel the notes went out on
+    _midiSend([0xB0 | _midiSentChannel, 123, 0]);
+}
+
+// ============================================================
+// NOTE INPUT → CHORD DETECTION
+// ============================================================
+
+function _midiOnMessage(e) {
+    const [status, note, velocity] = e.data;
+    const type = status & 0xF0;
+
+    if (type === 0x90 && velocity > 0) {
+        _midiInputHeld.add(note);
+    } else if (type === 0x80 || (type === 0x90 && velocity === 0)) {
+        _midiInputHeld.delete(note);
+    } else if (type === 0xB0 && note === 64) {
+        // CC64 sustain pedal: on at 64 and up
+        setSustain(velocity >= 64);
+        return;
+    } else {
+        return;
+    }
+
+    // Notes of one chord arrive a few ms apart — settle before matching
+    if (_midiInputTimer) clearTimeout(_midiInputTimer);
+    _midiInputTimer = setTimeout(_midiMatchHeldChord, 30);
+}
+
+/**
+ * Score every chord definition against the held notes.
+ * Pitch classes are compared relative to currentKey; a bass note
+ * on the definition's root breaks ties between equal sets (vim7 vs I6).
+ */
+function identifyChord(midiNotes) {
+    if (!CHORD_LIBRARY || midiNotes.length === 0) return null;
+
+    const held = new Set(midiNotes.map(n => ((n - currentKey) % 12 + 12) % 12));
+    const bass = ((Math.min(...midiNotes) - currentKey) % 12 + 12) % 12;
+    const onScreen = new Set(nodes.map(n => n.name));
+
+    let best = null;
+    for (const [name, def] of Object.entries(CHORD_LIBRARY)) {
+        const pcs = new Set(def.intervals.map(iv => (def.root + iv) % 12));
+        let common = 0;
+        held.forEach(pc => { if (pcs.has(pc)) common++; });
+        const union = held.size + pcs.size - common;
+        const exact = common === held.size && common === pcs.size;
+
+        let score = common / union;
+        if (bass === def.root % 12) score += 0.1;
+        if (onScreen.has(name)) score += 0.01;
+        score += (CHORD_PROBABILITIES.get(name) || 0) * 0.01;
+
+        if (!best || score > best.score) {
+            best = { name, def, score, exact, common, size: pcs.size };
+        }
+    }
+    return best;
+}
+
+function _midiMatchHeldChord() {
+    _midiInputTimer = null;
+
+    if (_midiInputHeld.size === 0) {
+        _midiReleaseInputChord();
+        return;
+    }
+    if (!isActive) return;
+
+    const notes = [..._midiInputHeld];
+    const distinct = new Set(notes.map(n => n % 12));
+    if (distinct.size < 3) return; // Need at least a triad to name a chord
+
+    const match = identifyChord(notes);
+    if (!match) return;
+
+    const node = match.exact ? nodes.find(n => n.name === match.name) : null;
+    if (node) {
+        if (activeNode !== node) {
+            _midiInputDriving = true;
+            queueNodePress(node);
+        }
+        return;
+    }
+
+    const hudChord = document.getElementById('hud-chord');
+    if (hudChord) {
+        const label = getChordName(match.name, match.def);
+        hudChord.textContent = match.exact
+            ? `NOT IN LAYOUT: ${label}`
+            : `CLOSEST: ${label} (${match.common}/${Math.max(match.size, distinct.size)})`;
+    }
+}
+
+function _midiReleaseInputChord() {
+    if (!_midiInputDriving) return;
+    if (audioSystem) queueNodeRelease();
+    activeNode = null;
+    _midiInputDriving = false;
+}
+
+// ============================================================
+// UI
+// ============================================================
+
+function setupMidiUI() {
+    const input = document.getElementById('midi-in');
+    if (input) input.addEventListener('change', (e) => selectMidiInput(e.target.value));
+
+    const out = document.getElementById('midi-out');
+    if (out) out.addEventListener('change', (e) => selectMidiOutput(e.target.value));
+
+    const channel = document.getElementById('midi-channel');
+    if (channel) channel.addEventListener('change', () => midiAllNotesOff()); // silences the old channel
+
+    const vel = document.getElementById('midi-vel');
+    if (vel) {
+        vel.addEventListener('input', (e) => {
+            const label = document.getElementById('midi-vel-val');
+            if (label) label.textContent = e.target.value;
+        });
+    }
+
+    const dyn = document.getElementById('midi-dyn');
+    if (dyn) {
+        dyn.addEventListener('input', (e) => {
+            const label = document.getElementById('midi-dyn-val');
+            if (label) label.textContent = e.target.value + '%';
+        });
+    }
+}
+
+// Node (tests): expose chord identification (CHORD_LIBRARY, nodes and currentKey come from the page)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        identifyChord,
+    };
+}
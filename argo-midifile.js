@@ -0,0 +1,252 @@
+/**
+ * ARGO Standard MIDI File Export
+ *
+ * Keeps a session note log of everything RyojiEngine plays (the same stream
+ * argo-midi.js sends to a port: transposed pad notes with octave scatter,
+ * arpeggio steps at arpSpeed/arpMode timing, ORBIT ghost notes) and writes it,
+ * or a recorded take, as a format 1 .mid file — pure JS, no server.
+ *
+ * Tracks:
+ *   0 → tempo + title
+ *   1 → ARGO Pads    (held chords)
+ *   2 → ARGO Arp     (arpeggio steps)
+ *   3 → ARGO Ghosts  (ORBIT ghost notes)
+ *   4 → ARGO Bass    (bass voice, argo-bass.js)
+ */
+
+// ============================================================
+// SESSION NOTE LOG
+// ============================================================
+let _noteLog = [];        // { note, vel, on, off, kind } — on/off in performance.now() ms
+let _noteLogHeld = [];    // pad entries still sounding
+let _noteLogBass = null;  // bass entry still sounding
+
+const NOTE_LOG_MAX = 20000;
+const SMF_PPQ = 480;
+const SMF_TRACKS = [
+    { kind: 'pad', name: 'ARGO Pads' },
+    { kind: 'arp', name: 'ARGO Arp' },
+    { kind: 'ghost', name: 'ARGO Ghosts' },
+    { kind: 'bass', name: 'ARGO Bass' },
+];
+
+function _noteLogVelocity(vel) {
+    if (typeof midiVelocity === 'function') return midiVelocity(vel);
+    return Math.max(1, Math.min(127, Math.round(96 * (vel === undefined ? 1.0 : vel))));
+}
+
+function _noteLogPush(entry) {
+    _noteLog.push(entry);
+    if (_noteLog.length > NOTE_LOG_MAX) _noteLog.splice(0, _noteLog.length - NOTE_LOG_MAX);
+}
+
+function noteLogChordOn(notes, vels) {
+    noteLogChordOff();
+    const now = performance.now();
+    _noteLogHeld = notes.map((note, i) => ({
+        note, vel: _noteLogVelocity(vels ? vels[i] : 1.0), on: now, off: null, kind: 'pad',
+    }));
+    _noteLogHeld.forEach(_noteLogPush);
+}
+
+function noteLogChordOff() {
+    const now = performance.now();
+    _noteLogHeld.forEach(entry => { entry.off = now; });
+    _noteLogHeld = [];
+}
+
+function noteLogBassOn(note, vel) {
+    noteLogBassOff();
+    _noteLogBass = { note, vel: _noteLogVelocity(vel), on: performance.now(), off: null, kind: 'bass' };
+    _noteLogPush(_noteLogBass);
+}
+
+function noteLogBassOff() {
+    if (_noteLogBass) _noteLogBass.off = performance.now();
+    _noteLogBass = null;
+}
+
+function noteLogPulse(note, vel, durationMs, kind) {
+    const now = performance.now();
+    _noteLogPush({ note, vel: _noteLogVelocity(vel), on: now, off: now + durationMs, kind: kind || 'arp' });
+}
+
+/** Entries that started in [from, to), with times relative to `from` and cut at `to` (held → still sounding at `to`) */
+function noteLogSlice(from, to) {
+    return _noteLog
+        .filter(e => e.on >= from && e.on < to)
+        .map(e => ({
+            note: e.note,
+            vel: e.vel,
+            at: e.on - from,
+            dur: Math.max(1, Math.min(e.off === null ? to : e.off, to) - e.on),
+            kind: e.kind,
+            held: e.off === null || e.off >= to,
+        }));
+}
+
+function noteLogClear() {
+    _noteLog = [];
+    _noteLogHeld = [];
+    _noteLogBass = null;
+}
+
+// ============================================================
+// SMF WRITER
+// ============================================================
+
+function _smfVarLen(value) {
+    let v = Math.max(0, Math.round(value));
+    const bytes = [v & 0x7F];
+    while ((v >>= 7) > 0) bytes.unshift((v & 0x7F) | 0x80);
+    return bytes;
+}
+
+function _smfText(str) {
+    return Array.from(str).map(c => c.charCodeAt(0) & 0x7F);
+}
+
+function _smfChunk(type, data) {
+    const len = data.length;
+    return [..._smfText(type), (len >>> 24) & 0xFF, (len >>> 16) & 0xFF, (len >>> 8) & 0xFF, len & 0xFF, ...data];
+}
+
+/** Absolute-tick events → MTrk body; note-offs sort before note-ons on the same tick */
+function _smfTrack(name, events) {
+    const data = [0x00, 0xFF, 0x03, ..._smfVarLen(name.length), ..._smfText(name)];
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    let last = 0;
+    for (const ev of events) {
+        data.push(..._smfVarLen(ev.tick - last), ...ev.bytes);
+        last = ev.tick;
+    }
+    data.push(0x00, 0xFF, 0x2F, 0x00);
+    return _smfChunk('MTrk', data);
+}
+
+/**
+ * Notes → .mid bytes.
+ * notes: [{ note, vel, at, dur, kind }] with at/dur in ms
+ */
+function buildMidiFile(notes, opts = {}) {
+    const bpm = opts.bpm || 120;
+    const channel = opts.channel || 0;
+    const ticksPerMs = (SMF_PPQ * bpm) / 60000;
+    const toTick = ms => Math.round(ms * ticksPerMs);
+
+    const tempo = Math.round(60000000 / bpm);
+    const title = opts.title || 'ARGO';
+    const conductor = [
+        0x00, 0xFF, 0x03, ..._smfVarLen(title.length), ..._smfText(title),
+        0x00, 0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF,
+        0x00, 0xFF, 0x58, 0x04, 4, 2, 24, 8,
+        0x00, 0xFF, 0x2F, 0x00,
+    ];
+
+    const tracks = [_smfChunk('MTrk', conductor)];
+    for (const { kind, name } of SMF_TRACKS) {
+        const events = [];
+        notes.filter(n => n.kind === kind && n.note >= 0 && n.note <= 127).forEach(n => {
+            const on = toTick(n.at);
+            const off = Math.max(on + 1, toTick(n.at + n.dur));
+            events.push({ tick: on, order: 1, bytes: [0x90 | channel, n.note, n.vel] });
+            events.push({ tick: off, order: 0, bytes: [0x80 | channel, n.note, 0] });
+        });
+        tracks.push(_smfTrack(name, events));
+    }
+
+    const header = _smfChunk('MThd', [0x00, 0x01, 0x00, tracks.length, (SMF_PPQ >> 8) & 0xFF, SMF_PPQ & 0xFF]);
+    return new Uint8Array([].concat(header, ...tracks));
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+function _smfDownload(bytes, filename) {
+    const blob = new Blob([bytes], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function _smfOptions(title) {
+    return {
+        bpm: typeof clockSettings !== 'undefined' ? clockSettings.bpm : 120,
+        channel: typeof _midiChannel === 'function' ? _midiChannel() : 0,
+        title,
+    };
+}
+
+function _smfStamp() {
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+/** Everything played since the page opened (or the log was cleared) */
+function exportSessionMidi() {
+    if (_noteLog.length === 0) return false;
+    const start = _noteLog[0].on;
+    const notes = noteLogSlice(start, performance.now() + 1);
+    _smfDownload(buildMidiFile(notes, _smfOptions('ARGO Session')), `argo-session-${_smfStamp()}.mid`);
+    return true;
+}
+
+/**
+ * The recorder take as it would play back (edited order, BPM quantize).
+ * Events carry the notes captured while they were recorded; inserted chords
+ * are voiced fresh as a held pad.
+ */
+function takeToMidiNotes() {
+    if (typeof recorderSchedule !== 'function') return [];
+    const notes = [];
+    let prevVoicing = null;
+    for (const slot of recorderSchedule()) {
+        const ev = slot.ev;
+        let evNotes = ev.notes;
+        if (!evNotes || evNotes.length === 0) {
+            const def = CHORD_LIBRARY && CHORD_LIBRARY[ev.name];
+            if (!def || !audioSystem) continue;
+            evNotes = audioSystem.voiceChord(def, ev.key, { prev: prevVoicing })
+                .map(note => ({ note, vel: _noteLogVelocity(1.0), at: 0, dur: slot.dur, kind: 'pad', held: true }));
+        }
+        prevVoicing = evNotes.map(n => n.note).sort((a, b) => a - b);
+        // Captured timing is kept; notes are cut at the (possibly quantized) chord length
+        evNotes.forEach(n => {
+            if (n.at >= slot.dur) return;
+            const dur = n.held && n.kind === 'pad' ? slot.dur - n.at : Math.min(n.dur, slot.dur - n.at);
+            notes.push({ note: n.note, vel: n.vel, at: slot.at + n.at, dur, kind: n.kind });
+        });
+    }
+    return notes;
+}
+
+function exportTakeMidi() {
+    const notes = takeToMidiNotes();
+    if (notes.length === 0) return false;
+    _smfDownload(buildMidiFile(notes, _smfOptions('ARGO Take')), `argo-take-${_smfStamp()}.mid`);
+    return true;
+}
+
+function setupMidiFileUI() {
+    const session = document.getElementById('mid-session');
+    if (session) session.addEventListener('click', () => exportSessionMidi());
+
+    const take = document.getElementById('mid-take');
+    if (take) take.addEventListener('click', () => exportTakeMidi());
+}
+
+// Node (tests): expose the SMF writer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SMF_PPQ,
+        SMF_TRACKS,
+        buildMidiFile,
+    };
+}
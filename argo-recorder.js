@@ -0,0 +1,362 @@
+/**
+ * ARGO Progression Recorder
+ *
+ * Captures every handleNodePress (manual clicks, MIDI input and ORBIT auto-triggers)
+ * with its timing, key and engine state, shows the take as a timeline strip
+ * under the canvas, and plays it back through RyojiEngine.
+ *
+ * Event shape:
+ *   { name, key, scale, source, t, len, dur, engine }
+ *   t    → onset in ms from the start of the take
+ *   len  → ms until the next onset (slot length; null while it is the latest event)
+ *   dur  → ms the chord actually sounded (null while still held)
+ *   notes → MIDI notes played during the slot (from the argo-midifile.js note log), for .mid export
+ *
+ * Editing keeps each event's slot (len/dur) and re-times the take from the new order,
+ * so dragging, deleting and inserting never produce overlapping chords.
+ */
+
+// ============================================================
+// STATE
+// ============================================================
+let recEvents = [];
+let _recRecording = false;
+let _recLastOnset = 0;
+let _recPlaying = false;
+let _recPlayTimers = [];
+let _recPlayIndex = -1;
+let _recSelected = -1;
+let _recDragIndex = -1;
+
+const REC_DEFAULT_LEN = 2000; // ms for inserted chords and the final chord of a take
+const REC_PX_PER_SEC = 60;
+
+function _recNow() { return performance.now(); }
+
+function _recSource() {
+    if (typeof _orbitAutoTriggered !== 'undefined' && _orbitAutoTriggered) return 'orbit';
+    if (typeof _midiInputDriving !== 'undefined' && _midiInputDriving) return 'midi';
+    return 'manual';
+}
+
+function _recEngineState() {
+    if (!audioSystem) return {};
+    return {
+        arpActive: audioSystem.arpActive,
+        arpMode: audioSystem.arpMode,
+        arpSpeed: audioSystem.arpSpeed,
+        arpDiv: audioSystem.arpDiv,
+        morphTime: audioSystem.morphTime,
+        octave: typeof _orbitOctave === 'function' ? _orbitOctave() : 0,
+        instrument: audioSystem.instrument,
+    };
+}
+
+// ============================================================
+// CAPTURE (called from handleNodePress / RyojiEngine.stopChord)
+// ============================================================
+
+function recorderOnPress(node) {
+    if (!_recRecording || _recPlaying || !node) return;
+    const now = _recNow();
+
+    const prev = recEvents[recEvents.length - 1];
+    if (prev && prev.len === null) {
+        prev.len = now - _recLastOnset;
+        if (prev.dur === null) prev.dur = prev.len;
+        _recCaptureNotes(prev, _recLastOnset);
+    }
+
+    recEvents.push({
+        name: node.name,
+        key: currentKey,
+        scale: currentScale,
+        source: _recSource(),
+        t: prev ? prev.t + _recSlot(prev) : 0,
+        len: null,
+        dur: null,
+        engine: _recEngineState(),
+    });
+    _recLastOnset = now;
+    renderTimeline();
+}
+
+function recorderOnRelease() {
+    if (!_recRecording || _recPlaying) return;
+    const last = recEvents[recEvents.length - 1];
+    if (last && last.dur === null) {
+        last.dur = _recNow() - _recLastOnset;
+        renderTimeline();
+    }
+}
+
+function toggleRecording() {
+    if (_recPlaying) recorderStop();
+    _recRecording = !_recRecording;
+
+    if (_recRecording) {
+        // A new take continues after the existing events
+        _recLastOnset = _recNow();
+    } else {
+        // Close the final event so it has a slot length
+        const last = recEvents[recEvents.length - 1];
+        if (last && last.len === null) {
+            const elapsed = _recNow() - _recLastOnset;
+            if (last.dur === null) last.dur = elapsed;
+            last.len = Math.max(last.dur, 1);
+            _recCaptureNotes(last, _recLastOnset);
+        }
+    }
+    _recUpdateButtons();
+    renderTimeline();
+}
+
+/** Attach the notes the engine played during a finished slot */
+function _recCaptureNotes(ev, onset) {
+    if (typeof noteLogSlice === 'function') ev.notes = noteLogSlice(onset, onset + ev.len);
+}
+
+// ============================================================
+// EDITING
+// ============================================================
+
+function _recSlot(ev) { return ev.len !== null ? ev.len : (ev.dur !== null ? ev.dur : REC_DEFAULT_LEN); }
+
+function _recTakeLength() {
+    return recEvents.reduce((sum, ev) => sum + _recSlot(ev), 0);
+}
+
+/** Recompute onsets from slot lengths after the order changed */
+function _recRetime() {
+    let t = 0;
+    for (const ev of recEvents) {
+        ev.t = t;
+        t += _recSlot(ev);
+    }
+}
+
+function recorderMove(from, to) {
+    if (from === to || from < 0 || from >= recEvents.length) return;
+    const [ev] = recEvents.splice(from, 1);
+    recEvents.splice(Math.max(0, Math.min(to, recEvents.length)), 0, ev);
+    _recSelected = recEvents.indexOf(ev);
+    _recRetime();
+    renderTimeline();
+}
+
+function recorderDelete(index) {
+    if (index < 0 || index >= recEvents.length) return;
+    recEvents.splice(index, 1);
+    if (_recSelected >= recEvents.length) _recSelected = recEvents.length - 1;
+    _recRetime();
+    renderTimeline();
+}
+
+/** Insert the last played chord after the selected event (or at the end) */
+function recorderInsert() {
+    const node = activeNode || lastPlayedNode;
+    if (!node) return;
+    const at = _recSelected >= 0 ? _recSelected + 1 : recEvents.length;
+    recEvents.splice(at, 0, {
+        name: node.name,
+        key: currentKey,
+        scale: currentScale,
+        source: 'insert',
+        t: 0,
+        len: REC_DEFAULT_LEN,
+        dur: REC_DEFAULT_LEN,
+        engine: _recEngineState(),
+    });
+    _recSelected = at;
+    _recRetime();
+    renderTimeline();
+}
+
+function recorderClear() {
+    recorderStop();
+    if (_recRecording) toggleRecording();
+    recEvents = [];
+    _recSelected = -1;
+    renderTimeline();
+}
+
+// ============================================================
+// PLAYBACK
+// ============================================================
+
+function _recQuantized() { return _getCheckbox('rec-quantize', false); }
+
+/** Onset/duration schedule in ms — original timing, or snapped to the TEMPO beat (clockSettings.bpm) */
+function recorderSchedule() {
+    const beatMs = 60000 / clockSettings.bpm;
+    const quantize = _recQuantized();
+    let t = 0;
+    return recEvents.map(ev => {
+        let len = _recSlot(ev);
+        let dur = ev.dur !== null ? Math.min(ev.dur, len) : len;
+        if (quantize) {
+            len = Math.max(1, Math.round(len / beatMs)) * beatMs;
+            dur = Math.max(1, Math.round(dur / beatMs)) * beatMs;
+            dur = Math.min(dur, len);
+        }
+        const slot = { ev, at: t, dur, len };
+        t += len;
+        return slot;
+    });
+}
+
+function _recApplyEvent(ev) {
+    if (ev.scale !== currentScale) {
+        currentScale = ev.scale;
+        _setSelect('scale-select', currentScale);
+        processData();
+        initAllNodes();
+    }
+    if (ev.key !== currentKey) {
+        currentKey = ev.key;
+        _setSelect('key-select', currentKey);
+        initAllNodes();
+    }
+    if (typeof updateHudKey === 'function') updateHudKey();
+
+    if (audioSystem && ev.engine) {
+        if (ev.engine.arpActive !== undefined) audioSystem.arpActive = ev.engine.arpActive;
+        if (ev.engine.arpMode) audioSystem.arpMode = ev.engine.arpMode;
+        if (ev.engine.arpSpeed) audioSystem.arpSpeed = ev.engine.arpSpeed;
+        if (ev.engine.arpDiv) audioSystem.setArpDiv(ev.engine.arpDiv);
+        if (ev.engine.morphTime) audioSystem.morphTime = ev.engine.morphTime;
+        if (ev.engine.instrument) {
+            audioSystem.setInstrument(ev.engine.instrument);
+            _setSelect('instrument', audioSystem.instrument);
+        }
+    }
+    if (ev.engine && ev.engine.octave !== undefined) _setSliderVal('orbit-octave', ev.engine.octave);
+}
+
+function recorderPlay() {
+    if (!isActive || recEvents.length === 0) return;
+    recorderStop();
+    if (_recRecording) toggleRecording();
+    if (orbitMode) toggleOrbit();
+
+    _recPlaying = true;
+    _recUpdateButtons();
+
+    const schedule = recorderSchedule();
+    schedule.forEach((slot, i) => {
+        _recPlayTimers.push(setTimeout(() => {
+            _recPlayIndex = i;
+            _recApplyEvent(slot.ev);
+            const next = schedule[i + 1];
+            if (typeof bassExpectNext === 'function') {
+                bassExpectNext(next ? CHORD_LIBRARY[next.ev.name] : null, next ? next.ev.key : currentKey, slot.len);
+            }
+            const node = nodes.find(n => n.name === slot.ev.name);
+            if (node) handleNodePress(node);
+            renderTimeline();
+        }, slot.at));
+
+        // Release only if the chord ends before the next one starts (otherwise morph into it)
+        const isLast = i === schedule.length - 1;
+        if (slot.dur < slot.len || isLast) {
+            _recPlayTimers.push(setTimeout(() => {
+                if (audioSystem) audioSystem.stopChord();
+                activeNode = null;
+            }, slot.at + slot.dur));
+        }
+    });
+
+    const total = schedule.length ? schedule[schedule.length - 1].at + schedule[schedule.length - 1].len : 0;
+    _recPlayTimers.push(setTimeout(() => recorderStop(), total + 50));
+}
+
+function recorderStop() {
+    if (!_recPlaying) return;
+    _recPlayTimers.forEach(t => clearTimeout(t));
+    _recPlayTimers = [];
+    _recPlaying = false;
+    _recPlayIndex = -1;
+    if (audioSystem) audioSystem.stopChord();
+    activeNode = null;
+    _recUpdateButtons();
+    renderTimeline();
+}
+
+// ============================================================
+// TIMELINE STRIP
+// ============================================================
+
+function _recUpdateButtons() {
+    const rec = document.getElementById('rec-toggle');
+    if (rec) {
+        rec.textContent = _recRecording ? '● REC' : 'REC';
+        rec.style.borderColor = _recRecording ? '#f44' : '';
+        rec.style.color = _recRecording ? '#f44' : '';
+    }
+    const play = document.getElementById('rec-play');
+    if (play) play.textContent = _recPlaying ? 'STOP' : 'PLAY';
+}
+
+function renderTimeline() {
+    const strip = document.getElementById('timeline-track');
+    if (!strip) return;
+    strip.innerHTML = '';
+
+    recEvents.forEach((ev, i) => {
+        const chip = document.createElement('div');
+        chip.className = 'tl-chip';
+        if (i === _recSelected) chip.classList.add('selected');
+        if (i === _recPlayIndex) chip.classList.add('playing');
+        if (ev.source === 'orbit') chip.classList.add('orbit');
+        chip.style.width = Math.max(36, (_recSlot(ev) / 1000) * REC_PX_PER_SEC) + 'px';
+        chip.draggable = true;
+
+        const def = CHORD_LIBRARY && CHORD_LIBRARY[ev.name];
+        const label = document.createElement('span');
+        label.textContent = def ? getChordName(ev.name, def, ev.key) : ev.name;
+        chip.appendChild(label);
+
+        const del = document.createElement('button');
+        del.className = 'tl-del';
+        del.textContent = '×';
+        del.addEventListener('click', (e) => { e.stopPropagation(); recorderDelete(i); });
+        chip.appendChild(del);
+
+        chip.addEventListener('click', () => {
+            _recSelected = _recSelected === i ? -1 : i;
+            renderTimeline();
+        });
+        chip.addEventListener('dragstart', (e) => {
+            _recDragIndex = i;
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        chip.addEventListener('dragover', (e) => { e.preventDefault(); chip.classList.add('drop'); });
+        chip.addEventListener('dragleave', () => chip.classList.remove('drop'));
+        chip.addEventListener('drop', (e) => {
+            e.preventDefault();
+            recorderMove(_recDragIndex, i);
+            _recDragIndex = -1;
+        });
+
+        strip.appendChild(chip);
+    });
+
+    const info = document.getElementById('timeline-info');
+    if (info) info.textContent = `${recEvents.length} CHORDS · ${(_recTakeLength() / 1000).toFixed(1)}s`;
+}
+
+function setupRecorderUI() {
+    const rec = document.getElementById('rec-toggle');
+    if (rec) rec.addEventListener('click', () => toggleRecording());
+
+    const play = document.getElementById('rec-play');
+    if (play) play.addEventListener('click', () => { if (_recPlaying) recorderStop(); else recorderPlay(); });
+
+    const ins = document.getElementById('rec-insert');
+    if (ins) ins.addEventListener('click', () => recorderInsert());
+
+    const clear = document.getElementById('rec-clear');
+    if (clear) clear.addEventListener('click', () => recorderClear());
+
+    renderTimeline();
+}
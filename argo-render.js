@@ -0,0 +1,657 @@
+/**
+ * ARGO Offline Renderer
+ *
+ * Renders a recorded progression, or N minutes of a seeded ORBIT run, to a WAV file
+ * with an OfflineAudioContext — no screen recording, no realtime AudioContext.
+ *
+ * The graph rebuilds RyojiEngine's chain with plain Web Audio nodes:
+ *   Osc layers → LowPass → dry
+ *                        → ping-pong delay (lowpassed feedback) → wet
+ *                        → convolver reverb (p5.Reverb-style noise impulse) → wet
+ *   Pad: sine + triangle (+3¢) + sine (-2¢) + octave-up sine shimmer, 25ms note stagger
+ *   Arp: sine + triangle (+3¢) pulses every arpSpeed ms, or on the ARP RATE grid with swing, arpMode order
+ *   Other instruments: one layer per note, built by the same argo-instruments.js builder as live
+ *   Bass (argo-bass.js): sine + triangle per bassLine note → own lowpass + level → master
+ *   Transport (argo-clock.js): the grid starts at 0s; QUANTIZE snaps ORBIT bursts to it
+ *   ORBIT: burst/gap/silence timing, arp randomization, ghost notes and DRIFT filter sweep,
+ *          drawn from the same seeded stream (argo-state.js) in the same order as a live run
+ *
+ * Everything is laid out as a plan of oscillator layers first, then rendered a chunk of note starts
+ * at a time; each chunk's releases and tail are mixed into the next, and finished samples go straight
+ * into the WAV, so a long run never holds more than a chunk or so of float samples.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const RENDER_SAMPLE_RATE = 44100;
+const RENDER_TAIL_SEC = 6;         // reverb tail after the last note
+const RENDER_MAX_MINUTES = 10;
+const RENDER_CHUNK_SEC = 60;       // note starts rendered per OfflineAudioContext
+const RENDER_MASTER = 0.7;         // outputVolume(0.7) in RyojiEngine.init
+const RENDER_SWEEP_STEP = 0.05;    // seconds between DRIFT filter automation points
+
+let _renderBusy = false;
+
+/** Seed field, else the seed of the last live ORBIT run (renders what was heard), else random */
+function _renderSeed() {
+    const el = document.getElementById('render-seed');
+    const v = el ? parseInt(el.value) : NaN;
+    if (!isNaN(v)) return v >>> 0;
+    if (_orbitSeed !== null) return _orbitSeed;
+    return Math.floor(Math.random() * 4294967296);
+}
+
+function _renderMinutes() {
+    return Math.max(1, Math.min(RENDER_MAX_MINUTES, _getSlider('render-minutes', 2)));
+}
+
+/** Effect settings as the sidebar (or ORBIT) currently has them */
+function _renderFx(orbit) {
+    const eng = audioSystem || {};
+    const fx = {
+        filterFreq: eng.filterActive === false ? 20000 : 500 + _getSlider('filter-freq', 0.6) * 4500,
+        filterQ: eng.filterActive === false ? 0.3 : 0.5 + _getSlider('filter-res', 0.1) * 20,
+        delayWet: eng.delayActive === false ? 0 : 0.4,
+        delayFeedback: _getSlider('delay-depth', 0.3) * 0.95,
+        delayTime: 0.05 + _getSlider('delay-time', 0.25) * 0.95,
+        reverbWet: eng.reverbActive === false ? 0 : 0.3 + _getSlider('reverb-depth', 0.5) * 0.6,
+        reverbActive: eng.reverbActive !== false,
+        sweep: null,
+        bass: typeof bassSettings !== 'undefined' && bassSettings.on
+            ? { ...bassSettings, beat: bassBeatMs(bassSettings, clockBeatSec(clockSettings) * 1000) }
+            : null,
+        clock: { ...clockSettings },
+    };
+    if (orbit) {
+        // Mirrors _applyOrbitAudio
+        fx.filterFreq = _calcWarmthFreq();
+        if (fx.reverbWet > 0) fx.reverbWet = 0.9;
+        fx.delayFeedback = 0.65;
+        fx.delayTime = 0.5;
+    }
+    return fx;
+}
+
+// ============================================================
+// PLAN — oscillator layers { wave, freq, amp, start, attack, releaseAt, fade, bus }
+//        or instrument notes { instrument, note, vel, pluck, start, attack, releaseAt, fade }
+//        bus 'bass' → the bass lowpass instead of the pad filter
+// ============================================================
+
+function _renderLayer(layers, wave, freq, amp, start, attack, releaseAt, fade) {
+    layers.push({ wave, freq, amp, start, attack, releaseAt, fade });
+}
+
+/** The chord's instrument when it has its own builder (null → RYOJI oscillator layers) */
+function _renderInstrument(name) {
+    return name && typeof instrumentBuilder === 'function' && instrumentBuilder(name) ? name : null;
+}
+
+/** Held pad chord — same four layers as RyojiEngine.startChord */
+function _renderPad(layers, notes, vels, at, attackTime, releaseAt, fade, dry, instrument) {
+    const dryBoost = dry ? 1.5 : 1.0;
+    notes.forEach((note, i) => {
+        const start = at + i * 0.025;
+        if (start >= releaseAt) return;
+        const vel = vels[i];
+        if (instrument) {
+            layers.push({ instrument, note, vel: vel * dryBoost, pluck: false, start, attack: attackTime, releaseAt, fade });
+            return;
+        }
+        const freq = midiToFreq(note);
+        _renderLayer(layers, 'sine', freq, 0.07 * vel * dryBoost, start, attackTime, releaseAt, fade);
+        _renderLayer(layers, 'triangle', freq * Math.pow(2, 3 / 1200), 0.04 * vel * dryBoost, start, attackTime * 1.2, releaseAt, fade);
+        _renderLayer(layers, 'sine', freq * Math.pow(2, -2 / 1200), 0.03 * vel * dryBoost, start, attackTime * 1.5, releaseAt, fade);
+        _renderLayer(layers, 'sine', freq * 2.003, 0.015 * vel * dryBoost, start, attackTime * 2.0, releaseAt, fade);
+    });
+}
+
+/** Arpeggio — free: first step one arpSpeed after the press; divisions: swung grid steps from the onset */
+function _renderArp(layers, notes, mode, rate, at, until, dry, rand, instrument, clock) {
+    let pattern = [...notes];
+    if (mode === 'random-fixed') {
+        for (let i = pattern.length - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            [pattern[i], pattern[j]] = [pattern[j], pattern[i]];
+        }
+    }
+
+    const mainAmp = dry ? 0.12 : 0.08;
+    const triAmp = dry ? 0.05 : 0.03;
+    const decayTime = dry ? 0.3 : 0.8;
+    const triDecay = dry ? 0.35 : 0.9;
+    const holdTime = (dry ? 120 : 180) / 1000;
+
+    const stepSec = clockDivisionSec(rate.div, clock.bpm);
+    const next = (t, first) => (stepSec
+        ? clockNextStep(t, 0, stepSec, clock.swing, !first)
+        : t + rate.speedMs / 1000);
+
+    let index = 0;
+    for (let t = next(at, true); t < until; t = next(t, false)) {
+        const note = mode === 'random-free'
+            ? notes[Math.floor(rand() * notes.length)]
+            : pattern[index % pattern.length];
+        if (instrument) {
+            layers.push({ instrument, note, vel: dry ? 1.5 : 1.0, pluck: true, start: t, attack: 0.01, releaseAt: t + holdTime, fade: decayTime });
+            index++;
+            continue;
+        }
+        const freq = midiToFreq(note);
+        _renderLayer(layers, 'sine', freq, mainAmp, t, 0.01, t + holdTime, decayTime);
+        _renderLayer(layers, 'triangle', freq * Math.pow(2, 3 / 1200), triAmp, t, 0.02, t + holdTime, triDecay);
+        index++;
+    }
+}
+
+/**
+ * Bass under one chord, as bassOnChord/bassOnStop play it: chord.bassChord from bassChordFor,
+ * chord.nextBass / nextBassAt (s) when the next chord is known, chord.bassFade for the last note.
+ */
+function _renderBass(layers, chord, bass) {
+    const sustained = BASS_GATES[bass.pattern] === null;
+    const length = (chord.releaseAt - chord.at) * 1000;
+    const nextAt = chord.nextBass !== null ? (chord.nextBassAt - chord.at) * 1000 : null;
+    bassLine(chord.bassChord, bass, length, chord.nextBass, nextAt).forEach(n => {
+        const start = chord.at + n.at / 1000;
+        const end = start + n.dur / 1000;
+        const last = n.at + n.dur >= length - 1;
+        const fade = last ? chord.bassFade : (sustained ? 0.03 : 0.08);
+        const attack = sustained ? 0.04 : 0.01;
+        const freq = 440 * Math.pow(2, (n.note - 69) / 12);
+        layers.push({ wave: 'sine', freq, amp: 0.25, start, attack, releaseAt: end, fade, bus: 'bass' });
+        layers.push({ wave: 'triangle', freq, amp: 0.12, start, attack, releaseAt: end, fade, bus: 'bass' });
+    });
+}
+
+/** One chord as RyojiEngine would play it, pad or arp (chord.arpRand → forked step stream) */
+function _renderChord(layers, chord, fx) {
+    const dry = !fx.reverbActive;
+    const instrument = _renderInstrument(chord.instrument);
+    if (fx.bass && chord.bassChord) _renderBass(layers, chord, fx.bass);
+    if (chord.arpActive) {
+        const rate = { speedMs: chord.arpSpeed, div: chord.arpDiv };
+        _renderArp(layers, chord.notes, chord.arpMode, rate, chord.at, chord.releaseAt, dry, chord.arpRand, instrument, fx.clock);
+    } else {
+        const attackTime = Math.max(0.08, chord.morphTime * 0.8);
+        _renderPad(layers, chord.notes, chord.vels, chord.at, attackTime, chord.releaseAt, chord.fade, dry, instrument);
+    }
+}
+
+/** Recorder take → chord plan, following recorderPlay's schedule (stop vs. morph) */
+function _renderTakePlan(rand) {
+    const fx = _renderFx(false);
+    const layers = [];
+    const schedule = typeof recorderSchedule === 'function' ? recorderSchedule() : [];
+    let prevVoicing = null;
+
+    schedule.forEach((slot, i) => {
+        const ev = slot.ev;
+        const def = CHORD_LIBRARY && CHORD_LIBRARY[ev.name];
+        if (!def) return;
+        const engine = ev.engine || {};
+        const next = schedule[i + 1];
+        const morphs = next && slot.dur >= slot.len;
+        const morphTime = engine.morphTime || audioSystem.morphTime;
+
+        prevVoicing = audioSystem.baseVoicing(def, ev.key, prevVoicing);
+        const notes = audioSystem.scatterOctaves(prevVoicing, { rand, octave: engine.octave });
+        const nextDef = next && CHORD_LIBRARY[next.ev.name];
+        _renderChord(layers, {
+            notes,
+            bassChord: fx.bass ? bassChordFor(def, ev.key, prevVoicing, fx.bass.source) : null,
+            nextBass: nextDef ? bassNoteFor(bassPitchClass(nextDef, next.ev.key, null, 'root')) : null,
+            nextBassAt: next ? next.at / 1000 : null,
+            bassFade: morphs ? 0.03 : 0.5,
+            arpRand: orbitForkRandom(rand),
+            vels: notes.map(() => 1.0),
+            at: slot.at / 1000,
+            releaseAt: (morphs ? next.at : slot.at + slot.dur) / 1000,
+            // stopChord fades over 0.5s; a morph fades over the next chord's morph time
+            fade: morphs ? ((next.ev.engine && next.ev.engine.morphTime) || morphTime) : 0.5,
+            morphTime,
+            arpActive: engine.arpActive !== undefined ? engine.arpActive : audioSystem.arpActive,
+            arpMode: engine.arpMode || audioSystem.arpMode,
+            arpSpeed: engine.arpSpeed || audioSystem.arpSpeed,
+            arpDiv: engine.arpDiv || audioSystem.arpDiv,
+            instrument: engine.instrument || audioSystem.instrument,
+        }, fx);
+    });
+
+    const end = schedule.length ? (schedule[schedule.length - 1].at + schedule[schedule.length - 1].len) / 1000 : 0;
+    return { layers, fx, length: end + RENDER_TAIL_SEC };
+}
+
+/** Ghost note during ORBIT silence — mirrors _playGhostNote */
+function _renderGhost(layers, chordData, at, rand) {
+    const baseOctave = 60 + (currentKey >= 7 ? -12 : 0);
+    const transposed = chordData.intervals.map(iv => baseOctave + currentKey + chordData.root + iv);
+    let note = transposed[Math.floor(rand() * transposed.length)];
+
+    const scatterProb = _calcScatterProb();
+    const octRoll = rand();
+    if (octRoll < scatterProb * 0.3) note += 12;
+    else if (octRoll < scatterProb * 0.6) note -= 12;
+    const freq = midiToFreq(note);
+
+    const amp = _calcGhostAmp();
+    const attackTime = 0.8 + rand() * 1.2;
+    const detune = Math.pow(2, (rand() * 6 - 3) / 1200);
+    const releaseAt = at + (1500 + rand() * 3000) / 1000;
+
+    _renderLayer(layers, 'sine', freq, amp, at, attackTime, releaseAt, 1.5);
+    _renderLayer(layers, 'sine', freq * detune, amp * 0.5, at, attackTime * 1.3, releaseAt, 2.0);
+}
+
+/**
+ * Weighted pick among the top-5 on-screen transitions — mirrors _orbitAutoSelectNext
+ * (history: the run's chords so far; learned: whether the run blends in learned moves).
+ */
+function _renderNextNode(current, rand, history, learned) {
+    const top5 = topTransitions(current.name, history, learned);
+
+    if (top5.length > 0) {
+        const total = top5.reduce((s, t) => s + t.prob, 0);
+        let roll = rand() * total;
+        for (const t of top5) {
+            roll -= t.prob;
+            if (roll <= 0) return nodes.find(n => n.name === t.next) || current;
+        }
+        return nodes.find(n => n.name === top5[0].next) || current;
+    }
+    return nodes[Math.floor(rand() * nodes.length)];
+}
+
+/**
+ * Seeded ORBIT run → chord plan. Walks the same centering → bursts → silence
+ * cycle as the live state machine, with every random draw taken from rand.
+ */
+function renderOrbitPlan(minutes, rand, startName, learned = true) {
+    const fx = _renderFx(true);
+    const layers = [];
+    const length = minutes * 60;
+    const centeringSec = (typeof _orbitTransitionDuration !== 'undefined' ? _orbitTransitionDuration : 1500) / 1000;
+
+    // DRIFT filter sweep (orbitUpdate advances the phase by driftSpeed * 0.016 per 60fps frame)
+    const sweep = [];
+    let phase = rand() * 100;
+    const driftSpeed = _calcDriftSpeed();
+    const driftRange = _calcDriftRange();
+    const warmthBase = _calcWarmthFreq();
+    for (let t = 0; t < length + RENDER_TAIL_SEC; t += RENDER_SWEEP_STEP) {
+        const s = Math.sin(phase) * 0.35 + Math.sin(phase * 2.7 + 1.3) * 0.15;
+        sweep.push({ t, freq: Math.max(200, Math.min(5000, warmthBase + s * driftRange)) });
+        phase += driftSpeed * 0.016 * RENDER_SWEEP_STEP * 60;
+    }
+    fx.sweep = sweep;
+
+    // Same start as toggleOrbit: the run's start node when re-rendering it, else the current node
+    const start = startName ? nodes.find(n => n.name === startName) : null;
+    let node = start || activeNode || lastPlayedNode || nodes[Math.floor(rand() * nodes.length)];
+    if (!node) return { layers, fx, length: 0 };
+
+    let arpSpeed = audioSystem.arpSpeed;
+    let history = [node.name];
+    let prevVoicing = null;
+    const grid = clockGridSec(fx.clock);
+    let t = 0;
+    while (t < length) {
+        t += centeringSec;
+        let bursts = _calcBurstCount(rand);
+
+        while (bursts > 0 && t < length) {
+            // QUANTIZE: _orbitPlayBurst waits for the next beat or bar
+            if (grid) t = clockNextGrid(t, 0, grid);
+            // _orbitRandomizeArp
+            const arpActive = rand() > 0.5;
+            if (arpActive) arpSpeed = 80 + Math.floor(rand() * 320);
+
+            // startChord: voicing, then velocities (pad) or a forked arp stream
+            prevVoicing = audioSystem.baseVoicing(node.data, currentKey, prevVoicing);
+            const notes = audioSystem.scatterOctaves(prevVoicing, { rand });
+            const vels = arpActive ? notes.map(() => 1.0) : notes.map(() => 0.3 + rand() * 1.2);
+            const arpRand = arpActive ? orbitForkRandom(rand) : null;
+            const burstSec = _calcBurstMs(rand) / 1000;
+            // Walking bass target — mirrors the bassExpectNext call in _orbitPlayBurst
+            const nextDef = fx.bass ? (bursts > 1 ? node.data : bassLikelyNext(node.name, history, learned)) : null;
+
+            _renderChord(layers, {
+                notes, vels, arpRand,
+                bassChord: fx.bass ? bassChordFor(node.data, currentKey, prevVoicing, fx.bass.source) : null,
+                nextBass: nextDef ? bassNoteFor(bassPitchClass(nextDef, currentKey, null, 'root')) : null,
+                nextBassAt: t + burstSec,
+                bassFade: 0.5,
+                at: t,
+                releaseAt: t + burstSec,
+                fade: 0.5,
+                morphTime: audioSystem.morphTime,
+                arpActive,
+                arpMode: audioSystem.arpMode,
+                arpSpeed,
+                arpDiv: audioSystem.arpDiv,
+                instrument: audioSystem.instrument,
+            }, fx);
+
+            t += burstSec;
+            bursts--;
+            if (bursts > 0) t += _calcGapMs(rand) / 1000;
+        }
+
+        // Silence with ghost notes (each ghost has its own forked stream, as in _scheduleGhostNotes)
+        const silenceMs = _calcSilenceMs(rand);
+        const ghostCount = _calcGhostCount(rand);
+        for (let i = 0; i < ghostCount; i++) {
+            const delay = 500 + rand() * Math.max(500, silenceMs - 1500);
+            const ghostRand = orbitForkRandom(rand);
+            if (delay < silenceMs && t + delay / 1000 < length) _renderGhost(layers, node.data, t + delay / 1000, ghostRand);
+        }
+        t += silenceMs / 1000;
+
+        node = _renderNextNode(node, rand, history, learned);
+        if (history[history.length - 1] !== node.name) history = [...history, node.name].slice(-CHORD_HISTORY_MAX);
+    }
+
+    return { layers, fx, length: length + RENDER_TAIL_SEC };
+}
+
+// ============================================================
+// GRAPH
+// ============================================================
+
+/** p5.Reverb impulse: stereo noise with a (1 - n/len)^decay envelope */
+function _renderImpulse(ctx, seconds, decay, rand) {
+    const length = Math.floor(ctx.sampleRate * seconds);
+    const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+    const left = impulse.getChannelData(0);
+    const right = impulse.getChannelData(1);
+    for (let i = 0; i < length; i++) {
+        const env = Math.pow(1 - i / length, decay);
+        left[i] = (rand() * 2 - 1) * env;
+        right[i] = (rand() * 2 - 1) * env;
+    }
+    return impulse;
+}
+
+/** Dry/wet pair into the master bus, like p5 Effect.drywet */
+function _renderEffectOut(ctx, input, wetNode, wet, master) {
+    const dryGain = ctx.createGain();
+    dryGain.gain.value = 1 - wet;
+    input.connect(dryGain);
+    dryGain.connect(master);
+
+    const wetGain = ctx.createGain();
+    wetGain.gain.value = wet;
+    wetNode.connect(wetGain);
+    wetGain.connect(master);
+}
+
+function _renderBuildGraph(ctx, fx, rand) {
+    const master = ctx.createGain();
+    master.gain.value = RENDER_MASTER;
+    master.connect(ctx.destination);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = fx.filterQ;
+    if (fx.sweep && fx.sweep.length) {
+        filter.frequency.setValueAtTime(fx.sweep[0].freq, 0);
+        fx.sweep.forEach(p => filter.frequency.linearRampToValueAtTime(p.freq, p.t));
+    } else {
+        filter.frequency.value = fx.filterFreq;
+    }
+
+    // Android dry path: filter → destination
+    filter.connect(master);
+
+    // Bass: its own lowpass and level, dry to the master
+    const bassIn = ctx.createBiquadFilter();
+    bassIn.type = 'lowpass';
+    bassIn.Q.value = 1;
+    bassIn.frequency.value = fx.bass ? bassToneFreq(fx.bass.tone) : 20000;
+    const bassLevel = ctx.createGain();
+    bassLevel.gain.value = fx.bass ? fx.bass.level : 0;
+    bassIn.connect(bassLevel);
+    bassLevel.connect(master);
+
+    // Ping-pong delay (p5.Delay: lowpass at 2300 Hz in each feedback channel)
+    const splitter = ctx.createChannelSplitter(2);
+    const merger = ctx.createChannelMerger(2);
+    filter.connect(splitter);
+    const sides = [0, 1].map(ch => {
+        const d = ctx.createDelay(2.0);
+        d.delayTime.value = fx.delayTime;
+        const lp = ctx.createBiquadFilter();
+        lp.type = 'lowpass';
+        lp.frequency.value = 2300;
+        const fb = ctx.createGain();
+        fb.gain.value = fx.delayFeedback;
+        d.connect(lp);
+        lp.connect(fb);
+        lp.connect(merger, 0, ch);
+        return { d, fb };
+    });
+    // Mono input enters the left line; each side feeds the other
+    splitter.connect(sides[0].d, 0);
+    sides[0].fb.connect(sides[1].d);
+    sides[1].fb.connect(sides[0].d);
+    _renderEffectOut(ctx, filter, merger, fx.delayWet, master);
+
+    // Convolver reverb — p5.Reverb set(6, 4)
+    const convolver = ctx.createConvolver();
+    convolver.buffer = _renderImpulse(ctx, 6, 4, rand);
+    filter.connect(convolver);
+    _renderEffectOut(ctx, filter, convolver, fx.reverbWet, master);
+
+    return { input: filter, bass: bassIn };
+}
+
+function _renderSchedule(ctx, graph, layers) {
+    const input = graph.input;
+    for (const l of layers) {
+        if (l.instrument) {
+            const voice = instrumentBuilder(l.instrument)(ctx, input, l.note, l.vel, l.start, { attack: l.attack, pluck: l.pluck });
+            if (voice) voice.release(l.releaseAt, l.fade);
+            continue;
+        }
+        const osc = ctx.createOscillator();
+        osc.type = l.wave;
+        osc.frequency.value = l.freq;
+        const gain = ctx.createGain();
+        // Release from wherever the attack ramp has reached (p5 amp() ramps from the current value)
+        const attackEnd = Math.min(l.start + l.attack, l.releaseAt);
+        const reached = l.amp * Math.min(1, (attackEnd - l.start) / l.attack);
+        gain.gain.setValueAtTime(0, l.start);
+        gain.gain.linearRampToValueAtTime(reached, attackEnd);
+        if (attackEnd < l.releaseAt) gain.gain.setValueAtTime(reached, l.releaseAt);
+        gain.gain.linearRampToValueAtTime(0, l.releaseAt + l.fade);
+
+        osc.connect(gain);
+        gain.connect(l.bus === 'bass' ? graph.bass : input);
+        osc.start(l.start);
+        osc.stop(l.releaseAt + l.fade + 0.15);
+    }
+}
+
+/** DRIFT sweep seen from t0: the value it has reached there, then the later points shifted back */
+function _renderSweepFrom(sweep, t0) {
+    if (!sweep || !sweep.length) return sweep;
+    const i = sweep.findIndex(p => p.t > t0);
+    if (i === -1) return [{ t: 0, freq: sweep[sweep.length - 1].freq }];
+    let freq = sweep[i].freq;
+    if (i > 0) {
+        const a = sweep[i - 1];
+        freq = a.freq + (sweep[i].freq - a.freq) * (t0 - a.t) / (sweep[i].t - a.t);
+    }
+    return [{ t: 0, freq }, ...sweep.slice(i).map(p => ({ t: p.t - t0, freq: p.freq }))];
+}
+
+/** Layers starting in frames [from, from + count) → AudioBuffer from `from`, through their release and tail (null when none start) */
+function _renderChunk(OfflineCtx, plan, from, count, total) {
+    const t0 = from / RENDER_SAMPLE_RATE;
+    const t1 = (from + count) / RENDER_SAMPLE_RATE;
+    const layers = plan.layers
+        .filter(l => l.start >= t0 && l.start < t1)
+        .map(l => ({ ...l, start: l.start - t0, releaseAt: l.releaseAt - t0 }));
+    if (layers.length === 0) return Promise.resolve(null);
+    const end = layers.reduce((m, l) => Math.max(m, l.releaseAt + l.fade), 0) + RENDER_TAIL_SEC;
+    const frames = Math.min(total - from, Math.ceil(end * RENDER_SAMPLE_RATE));
+    const ctx = new OfflineCtx(2, frames, RENDER_SAMPLE_RATE);
+    const graph = _renderBuildGraph(ctx, { ...plan.fx, sweep: _renderSweepFrom(plan.fx.sweep, t0) }, createSeededRandom(1));
+    _renderSchedule(ctx, graph, layers);
+    return ctx.startRendering();
+}
+
+/** Pending samples + a chunk that starts where they do */
+function _renderMixIn(mix, buffer) {
+    return mix.map((pending, ch) => {
+        const out = new Float32Array(Math.max(pending.length, buffer.length));
+        out.set(pending);
+        const data = buffer.getChannelData(ch);
+        for (let i = 0; i < data.length; i++) out[i] += data[i];
+        return out;
+    });
+}
+
+/**
+ * Plan → 16-bit PCM WAV Blob. Every layer goes through the same linear graph, so rendering each
+ * chunk's note starts on their own and summing the overlaps gives the one-pass result.
+ */
+async function renderPlanWav(plan, onProgress) {
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) throw new Error('OfflineAudioContext not supported');
+    const total = Math.ceil(plan.length * RENDER_SAMPLE_RATE);
+    const step = RENDER_CHUNK_SEC * RENDER_SAMPLE_RATE;
+    const parts = [_renderWavHeader(total, 2, RENDER_SAMPLE_RATE)];
+    let mix = [new Float32Array(0), new Float32Array(0)];   // rendered samples from `from` on
+    for (let from = 0; from < total; from += step) {
+        const buffer = await _renderChunk(OfflineCtx, plan, from, step, total);
+        if (buffer) mix = _renderMixIn(mix, buffer);
+        // Later chunks only start later, so everything before the next chunk is final
+        const done = Math.min(step, total - from);
+        parts.push(_renderPcm16(mix, done));
+        mix = mix.map(pending => pending.subarray(done));
+        if (onProgress) onProgress((from + done) / total);
+    }
+    return new Blob(parts, { type: 'audio/wav' });
+}
+
+// ============================================================
+// WAV
+// ============================================================
+
+/** 44-byte PCM WAV header for `frames` 16-bit frames */
+function _renderWavHeader(frames, channels, sampleRate) {
+    const dataSize = frames * channels * 2;
+    const view = new DataView(new ArrayBuffer(44));
+    const writeStr = (off, str) => { for (let i = 0; i < str.length; i++) view.setUint8(off + i, str.charCodeAt(i)); };
+
+    writeStr(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeStr(8, 'WAVE');
+    writeStr(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                                  // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeStr(36, 'data');
+    view.setUint32(40, dataSize, true);
+    return new Uint8Array(view.buffer);
+}
+
+/** First `frames` frames of per-channel float samples → interleaved 16-bit PCM bytes (silence past their end) */
+function _renderPcm16(data, frames) {
+    const channels = data.length;
+    const view = new DataView(new ArrayBuffer(frames * channels * 2));
+    let off = 0;
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+            const s = Math.max(-1, Math.min(1, data[ch][i] || 0));
+            view.setInt16(off, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+            off += 2;
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+function _renderSetStatus(text) {
+    const el = document.getElementById('render-status');
+    if (el) el.textContent = text;
+}
+
+function _renderDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function _renderRun(plan, filename) {
+    if (_renderBusy || !plan || plan.layers.length === 0) return;
+    _renderBusy = true;
+    _renderSetStatus('RENDERING…');
+    renderPlanWav(plan, done => _renderSetStatus(`RENDERING… ${Math.round(done * 100)}%`)).then(blob => {
+        _renderDownload(blob, filename);
+        _renderSetStatus(`DONE · ${plan.length.toFixed(1)}s`);
+    }).catch(e => {
+        console.warn('Offline render failed:', e);
+        _renderSetStatus('RENDER FAILED');
+    }).finally(() => {
+        _renderBusy = false;
+    });
+}
+
+/** Recorder take → WAV */
+function renderTakeWav() {
+    if (!audioSystem) return;
+    const seed = _renderSeed();
+    _renderRun(_renderTakePlan(createSeededRandom(seed)), `argo-take-${seed}.wav`);
+}
+
+/** N minutes of ORBIT, reproducible from the seed (defaults to the last live run's seed and start node) */
+function renderOrbitWav() {
+    if (!audioSystem || nodes.length === 0) return;
+    const el = document.getElementById('render-seed');
+    const ownSeed = el && el.value.trim() !== '';
+    const seed = _renderSeed();
+    const minutes = _renderMinutes();
+    const lastRun = !ownSeed && seed === _orbitSeed;
+    const startName = lastRun ? _orbitStartName : null;
+    // A typed seed may come from someone else's link: like a shared replay, no learned moves
+    const learned = lastRun ? _orbitLearned : !ownSeed;
+    _renderRun(renderOrbitPlan(minutes, createSeededRandom(seed), startName, learned), `argo-orbit-${minutes}min-${seed}.wav`);
+}
+
+function setupRenderUI() {
+    const take = document.getElementById('render-take');
+    if (take) take.addEventListener('click', () => renderTakeWav());
+
+    const orbit = document.getElementById('render-orbit');
+    if (orbit) orbit.addEventListener('click', () => renderOrbitWav());
+
+    const minutes = document.getElementById('render-minutes');
+    if (minutes) {
+        minutes.addEventListener('input', (e) => {
+            const label = document.getElementById('render-minutes-val');
+            if (label) label.textContent = e.target.value + 'min';
+        });
+    }
+}
+
+// Node (tests): expose the seeded plan builder (the page's globals come from the test context)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderOrbitPlan,
+    };
+}
@@ -8,8 +8,9 @@
  *   GHOSTS   (0-100) → ghost note count and volume
  *   WARMTH   (0-100) → base filter frequency
  *
- * SHARE → only works in orbit mode, captures orbit params + key/scale
- * URL load → auto-starts orbit with saved config
+ * SHARE → copies a v3 state link (manual play or ORBIT); the URL follows the controls
+ * URL load → restores the state; ORBIT states auto-start orbit with the saved seed
+ * PRESETS → named states in localStorage, JSON file import/export
  */
 
 // ============================================================
@@ -17,12 +18,57 @@
 // ============================================================
 function _getSlider(id, f) { const e = document.getElementById(id); return e ? parseFloat(e.value) : f; }
 function _getCheckbox(id, f) { const e = document.getElementById(id); return e ? e.checked : f; }
+function _getSelect(id, f) { const e = document.getElementById(id); return e ? e.value : f; }
 function _setSelect(id, v) { const e = document.getElementById(id); if (e) e.value = v; }
 function _setCheckbox(id, v) { const e = document.getElementById(id); if (e) e.checked = v; }
 function _setSliderVal(id, v) { const e = document.getElementById(id); if (e && v !== undefined) e.value = v; }
 
+// ============================================================
+// SEEDED RANDOM
+// Every ORBIT draw comes from one seeded stream, so a seed + start node
+// replays the same chords, timings and voicings. Timer-driven draws
+// (arp steps, ghost notes) get forked streams so their jitter can't
+// shift the main sequence.
+// ============================================================
+
+let _orbitSeed = null;        // seed of the current ORBIT run (shared in the URL)
+let _orbitStartName = null;   // node the current run started from
+let _orbitSharedRun = null;   // { seed, start } from a shared link, used by the next toggleOrbit
+let _orbitLearned = true;     // the run blends in learned moves — not when it replays a shared seed
+let _orbitRng = Math.random;
+
+/** mulberry32 — small, fast, good enough for music */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function orbitRandom() { return _orbitRng(); }
+
+/** Whether suggestions blend in learned moves: always in manual play, per run in ORBIT */
+function orbitLearning() {
+    return !orbitMode || _orbitLearned;
+}
+
+/** Child stream seeded from one draw of the ORBIT stream */
+function orbitForkRandom(rand = orbitRandom) {
+    return createSeededRandom(Math.floor(rand() * 4294967296));
+}
+
+function _orbitSeedRun(seed) {
+    _orbitSeed = seed >>> 0;
+    _orbitRng = createSeededRandom(_orbitSeed);
+}
+
 // ============================================================
 // ORBIT PARAM READERS (normalized 0-100 → usable ranges)
+// Random draws take an optional rand() so offline renders can replay them.
 // ============================================================
 
 function _orbitDensity() { return _getSlider('orbit-density', 40); }
@@ -33,30 +79,30 @@ function _orbitWarmth() { return _getSlider('orbit-warmth', 60); }
 function _orbitOctave() { return parseInt(_getSlider('orbit-octave', 2)); }
 
 /** Density → burst count (1-7) */
-function _calcBurstCount() {
+function _calcBurstCount(rand = orbitRandom) {
     const d = _orbitDensity();
-    return 1 + Math.floor((d / 100) * 6) + Math.floor(Math.random() * 2);
+    return 1 + Math.floor((d / 100) * 6) + Math.floor(rand() * 2);
 }
 
 /** Density → burst duration ms (lower density = shorter) */
-function _calcBurstMs() {
+function _calcBurstMs(rand = orbitRandom) {
     const d = _orbitDensity();
     const base = 200 + (d / 100) * 800; // 200-1000ms center
-    return base + Math.random() * 500;
+    return base + rand() * 500;
 }
 
 /** Density → gap between bursts ms */
-function _calcGapMs() {
+function _calcGapMs(rand = orbitRandom) {
     const d = _orbitDensity();
     const base = 300 + ((100 - d) / 100) * 2200; // lighter density = longer gaps
-    return base + Math.random() * 1500;
+    return base + rand() * 1500;
 }
 
 /** Density → silence between nodes ms */
-function _calcSilenceMs() {
+function _calcSilenceMs(rand = orbitRandom) {
     const d = _orbitDensity();
     const base = 2000 + ((100 - d) / 100) * 5000; // lighter density = longer silence
-    return base + Math.random() * 3000;
+    return base + rand() * 3000;
 }
 
 /** Scatter → probability per note (0-0.6) */
@@ -65,10 +111,10 @@ function _calcScatterProb() {
 }
 
 /** Ghosts → count (0-5) */
-function _calcGhostCount() {
+function _calcGhostCount(rand = orbitRandom) {
     const g = _orbitGhosts();
     if (g < 5) return 0;
-    return Math.floor((g / 100) * 5) + Math.floor(Math.random() * 2);
+    return Math.floor((g / 100) * 5) + Math.floor(rand() * 2);
 }
 
 /** Ghosts → amplitude range */
@@ -93,26 +139,50 @@ function _calcDriftRange() {
 }
 
 // ============================================================
-// STATE CAPTURE / RESTORE (orbit-only for sharing)
+// STATE SCHEMA (v3)
+//
+// {
+//   v: 3,
+//   mode: 'manual' | 'orbit',
+//   key, scale, node,            → node = last played chord
+//   octave,                      → OCTAVE SCATTER level
+//   orbit: { density, scatter, drift, ghosts, warmth, seed, start },
+//   fx: { filter, delay, reverb, arp, latch },   → latch optional, older payloads release on let-go
+//   params: { filterFreq, filterRes, delayDepth, delayTime, reverbDepth,
+//             arpSpeed, arpMode, arpDiv, morphTime, instrument },
+//   voicing: { mode, voices, low, high, shape },   → optional, older payloads keep root position
+//   bass: { on, pattern, source, level, tone, beat, sync },  → optional, older payloads have no bass
+//   clock: { bpm, meter, swing, quantize },        → optional, older payloads run free
+// }
+//
+// v1/v2 payloads were flat (orbit params at the top level) — see migrateState.
 // ============================================================
 
-function captureOrbitState() {
+const STATE_VERSION = 3;
+
+function captureState() {
     return {
-        v: 2,
-        orbit: true,
+        v: STATE_VERSION,
+        mode: typeof orbitMode !== 'undefined' && orbitMode ? 'orbit' : 'manual',
         key: typeof currentKey !== 'undefined' ? currentKey : 0,
         scale: typeof currentScale !== 'undefined' ? currentScale : 'major',
-        density: _orbitDensity(),
-        scatter: _orbitScatter(),
-        drift: _orbitDrift(),
-        ghosts: _orbitGhosts(),
-        warmth: _orbitWarmth(),
+        node: typeof lastPlayedNode !== 'undefined' && lastPlayedNode ? lastPlayedNode.name : null,
         octave: _orbitOctave(),
+        orbit: {
+            density: _orbitDensity(),
+            scatter: _orbitScatter(),
+            drift: _orbitDrift(),
+            ghosts: _orbitGhosts(),
+            warmth: _orbitWarmth(),
+            seed: _orbitSeed,
+            start: _orbitStartName,
+        },
         fx: {
             filter: _getCheckbox('filter-toggle', true),
             delay: _getCheckbox('delay-toggle', true),
             reverb: _getCheckbox('reverb-toggle', true),
             arp: _getCheckbox('arp-toggle', true),
+            latch: _getCheckbox('latch-toggle', false),
         },
         params: {
             filterFreq: _getSlider('filter-freq', 0.6),
@@ -121,44 +191,296 @@ function captureOrbitState() {
             delayTime: _getSlider('delay-time', 0.25),
             reverbDepth: _getSlider('reverb-depth', 0.5),
             arpSpeed: _getSlider('arp-speed', 180),
+            arpMode: _getSelect('arp-mode', 'up'),
+            arpDiv: _getSelect('arp-div', 'free'),
             morphTime: _getSlider('morph-time', 500),
+            instrument: _getSelect('instrument', 'ryoji'),
+        },
+        voicing: {
+            mode: _getSelect('voice-mode', 'root'),
+            voices: _getSlider('voice-count', 4),
+            low: _getSlider('voice-low', 48),
+            high: _getSlider('voice-high', 79),
+            shape: _getSelect('voice-shape', 'close'),
+        },
+        bass: {
+            on: _getCheckbox('bass-toggle', false),
+            pattern: _getSelect('bass-pattern', 'sustain'),
+            source: _getSelect('bass-source', 'root'),
+            level: _getSlider('bass-level', 0.6),
+            tone: _getSlider('bass-tone', 0.4),
+            beat: _getSlider('bass-beat', 667),
+            sync: _getCheckbox('bass-sync', false),
+        },
+        clock: {
+            bpm: _getSlider('clock-bpm', 100),
+            meter: _getSelect('clock-meter', '4/4'),
+            swing: _getSlider('clock-swing', 0),
+            quantize: _getSelect('clock-quantize', 'off'),
         },
     };
 }
 
-/** Legacy v1 capture for non-orbit use (minimal) */
-function captureState() {
-    return captureOrbitState();
+/** Legacy name — ORBIT state is part of the full capture now */
+function captureOrbitState() {
+    return captureState();
+}
+
+/**
+ * Old payloads step forward one version at a time.
+ * v1: { key, scale, ... } without a version; v2: { v: 2, orbit: true, density, ..., seed, start }
+ */
+const STATE_MIGRATIONS = {
+    1: s => ({ ...s, v: 2, orbit: !!s.orbit }),
+    2: s => ({
+        v: 3,
+        mode: s.orbit ? 'orbit' : 'manual',
+        key: s.key,
+        scale: s.scale,
+        node: null,
+        octave: s.octave,
+        orbit: {
+            density: s.density,
+            scatter: s.scatter,
+            drift: s.drift,
+            ghosts: s.ghosts,
+            warmth: s.warmth,
+            seed: s.seed,
+            start: s.start,
+        },
+        fx: s.fx,
+        params: s.params,
+    }),
+};
+
+/** Any known payload → v3 (null if it isn't a state object or comes from a newer version) */
+function migrateState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) return null;
+    let s = state.v === undefined ? { ...state, v: 1 } : state;
+    while (s && s.v !== STATE_VERSION) {
+        const step = STATE_MIGRATIONS[s.v];
+        if (!step) return null;
+        s = step(s);
+    }
+    return s;
 }
 
-function applyOrbitState(state) {
-    if (!state) return false;
+// ============================================================
+// STATE VALIDATION
+// Ranges mirror the sidebar inputs; out-of-range numbers are clamped,
+// wrong types dropped (the control keeps its current value).
+// ============================================================
+
+const STATE_SCALES_FALLBACK = ['major', 'minor', 'dorian', 'mixolydian'];
+const STATE_ARP_MODES = ['up', 'random-fixed', 'random-free'];
+const STATE_ARP_DIVS = ['free', '1/4', '1/8', '1/8t', '1/16', '1/16t', '1/32'];
+const STATE_INSTRUMENTS = ['ryoji', 'fmep', 'wavetable', 'sampler'];
+const STATE_VOICING_MODES = ['root', 'lead'];
+const STATE_VOICING_SHAPES = ['close', 'drop2', 'drop3', 'spread'];
+const STATE_BASS_PATTERNS = ['sustain', 'pulse', 'walk'];
+const STATE_BASS_SOURCES = ['root', 'voicing'];
+const STATE_CLOCK_METERS = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '12/8'];
+const STATE_CLOCK_QUANTIZE = ['off', 'beat', 'bar'];
+const STATE_MAX_PAYLOAD = 4096;   // encoded ?s= length
+const STATE_MAX_JSON = 16384;     // decoded JSON length (guards against inflate bombs)
+
+const STATE_SCHEMA = {
+    key: { type: 'int', min: 0, max: 11 },
+    octave: { type: 'int', min: 0, max: 4 },
+    orbit: {
+        density: { type: 'number', min: 0, max: 100 },
+        scatter: { type: 'number', min: 0, max: 100 },
+        drift: { type: 'number', min: 0, max: 100 },
+        ghosts: { type: 'number', min: 0, max: 100 },
+        warmth: { type: 'number', min: 0, max: 100 },
+        seed: { type: 'int', min: 0, max: 4294967295, nullable: true },
+        start: { type: 'name', nullable: true },
+    },
+    fx: {
+        filter: { type: 'bool' },
+        delay: { type: 'bool' },
+        reverb: { type: 'bool' },
+        arp: { type: 'bool' },
+        latch: { type: 'bool' },
+    },
+    params: {
+        filterFreq: { type: 'number', min: 0, max: 1 },
+        filterRes: { type: 'number', min: 0, max: 1 },
+        delayDepth: { type: 'number', min: 0, max: 1 },
+        delayTime: { type: 'number', min: 0, max: 1 },
+        reverbDepth: { type: 'number', min: 0, max: 1 },
+        arpSpeed: { type: 'number', min: 50, max: 500 },
+        arpMode: { type: 'enum', values: STATE_ARP_MODES },
+        arpDiv: { type: 'enum', values: STATE_ARP_DIVS },
+        morphTime: { type: 'number', min: 50, max: 2000 },
+        instrument: { type: 'enum', values: STATE_INSTRUMENTS },
+    },
+    voicing: {
+        mode: { type: 'enum', values: STATE_VOICING_MODES },
+        voices: { type: 'int', min: 2, max: 6 },
+        low: { type: 'int', min: 24, max: 96 },
+        high: { type: 'int', min: 36, max: 108 },
+        shape: { type: 'enum', values: STATE_VOICING_SHAPES },
+    },
+    bass: {
+        on: { type: 'bool' },
+        pattern: { type: 'enum', values: STATE_BASS_PATTERNS },
+        source: { type: 'enum', values: STATE_BASS_SOURCES },
+        level: { type: 'number', min: 0, max: 1 },
+        tone: { type: 'number', min: 0, max: 1 },
+        beat: { type: 'number', min: 200, max: 1500 },
+        sync: { type: 'bool' },
+    },
+    clock: {
+        bpm: { type: 'number', min: 40, max: 200 },
+        meter: { type: 'enum', values: STATE_CLOCK_METERS },
+        swing: { type: 'number', min: 0, max: 1 },
+        quantize: { type: 'enum', values: STATE_CLOCK_QUANTIZE },
+    },
+};
+
+/** One field → [value, problem]; value undefined means "drop it" */
+function _validateField(rule, value, path) {
+    if (value === undefined) return [undefined, null];
+    if (value === null) return rule.nullable ? [null, null] : [undefined, `${path} is empty`];
+
+    switch (rule.type) {
+        case 'bool':
+            return typeof value === 'boolean' ? [value, null] : [undefined, `${path} is not on/off`];
+        case 'enum':
+            return rule.values.includes(value) ? [value, null] : [undefined, `${path} "${String(value).slice(0, 20)}" is unknown`];
+        case 'name':
+            return typeof value === 'string' && /^[^\u0000-\u001f<>]{1,32}$/.test(value)
+                ? [value, null] : [undefined, `${path} is not a chord name`];
+        case 'int':
+        case 'number': {
+            const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof n !== 'number' || !Number.isFinite(n)) return [undefined, `${path} is not a number`];
+            let v = rule.type === 'int' ? Math.round(n) : n;
+            v = Math.max(rule.min, Math.min(rule.max, v));
+            return [v, v !== n ? `${path} ${n} → ${v}` : null];
+        }
+    }
+    return [undefined, null];
+}
+
+function _validateGroup(schema, obj, path, problems) {
+    if (obj === undefined) return undefined;
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        problems.push(`${path} is not a group`);
+        return undefined;
+    }
+    const out = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const [v, problem] = _validateField(rule, obj[field], `${path}.${field}`);
+        if (problem) problems.push(problem);
+        if (v !== undefined) out[field] = v;
+    }
+    return out;
+}
+
+/**
+ * Raw payload → { state, problems }.
+ * state is a clean v3 object (only schema fields, clamped), or null when rejected.
+ */
+function validateState(raw) {
+    const problems = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { state: null, problems: ['not a state object'] };
+    }
+    const migrated = migrateState(raw);
+    if (!migrated) {
+        return { state: null, problems: [`unsupported version ${String(raw.v).slice(0, 10)}`] };
+    }
+
+    const scales = typeof SCALE_MODES !== 'undefined' ? Object.keys(SCALE_MODES) : STATE_SCALES_FALLBACK;
+    const state = { v: STATE_VERSION };
+
+    state.mode = migrated.mode === 'orbit' ? 'orbit' : 'manual';
+    if (migrated.mode !== undefined && migrated.mode !== 'orbit' && migrated.mode !== 'manual') {
+        problems.push(`mode "${String(migrated.mode).slice(0, 20)}" is unknown`);
+    }
+
+    for (const field of ['key', 'octave']) {
+        const [v, problem] = _validateField(STATE_SCHEMA[field], migrated[field], field);
+        if (problem) problems.push(problem);
+        if (v !== undefined) state[field] = v;
+    }
+
+    if (migrated.scale !== undefined) {
+        if (scales.includes(migrated.scale)) state.scale = migrated.scale;
+        else problems.push(`scale "${String(migrated.scale).slice(0, 20)}" is unknown`);
+    }
+
+    const [node, nodeProblem] = _validateField({ type: 'name', nullable: true }, migrated.node, 'node');
+    if (nodeProblem) problems.push(nodeProblem);
+    if (node !== undefined) state.node = node;
+
+    for (const group of ['orbit', 'fx', 'params', 'voicing', 'bass', 'clock']) {
+        const v = _validateGroup(STATE_SCHEMA[group], migrated[group], group, problems);
+        if (v !== undefined) state[group] = v;
+    }
+
+    return { state, problems };
+}
+
+/** HUD line for state problems (bad share link, bad preset file); clears itself */
+let _stateReportTimer = null;
+function reportStateProblems(source, problems) {
+    if (!problems || problems.length === 0) return;
+    console.warn(`${source}:`, problems);
+    const el = document.getElementById('hud-status');
+    if (!el) return;
+    const more = problems.length > 1 ? ` (+${problems.length - 1})` : '';
+    el.textContent = `${source}: ${problems[0]}${more}`.toUpperCase();
+    el.classList.add('visible');
+    if (_stateReportTimer) clearTimeout(_stateReportTimer);
+    _stateReportTimer = setTimeout(() => el.classList.remove('visible'), 8000);
+}
+
+function applyState(raw, source = 'STATE') {
+    const { state, problems } = validateState(raw);
+    if (!state) {
+        reportStateProblems(source, problems);
+        return false;
+    }
 
     currentKey = state.key || 0;
-    currentScale = state.scale || 'major';
+    const knownScales = typeof SCALE_MODES !== 'undefined' ? Object.keys(SCALE_MODES) : ['major', 'minor'];
+    currentScale = knownScales.includes(state.scale) ? state.scale : 'major';
     _setSelect('key-select', currentKey);
     _setSelect('scale-select', currentScale);
-    const hudKey = document.getElementById('hud-key');
-    if (hudKey) hudKey.textContent = `KEY: ${KEY_NAMES[currentKey]} ${currentScale.toUpperCase()}`;
+    if (typeof updateHudKey === 'function') {
+        updateHudKey();
+    } else {
+        const hudKey = document.getElementById('hud-key');
+        if (hudKey) hudKey.textContent = `KEY: ${KEY_NAMES[currentKey]} ${currentScale.toUpperCase()}`;
+    }
 
-    // Set orbit sliders
-    if (state.density !== undefined) _setSliderVal('orbit-density', state.density);
-    if (state.scatter !== undefined) _setSliderVal('orbit-scatter', state.scatter);
-    if (state.drift !== undefined) _setSliderVal('orbit-drift', state.drift);
-    if (state.ghosts !== undefined) _setSliderVal('orbit-ghosts', state.ghosts);
-    if (state.warmth !== undefined) _setSliderVal('orbit-warmth', state.warmth);
     if (state.octave !== undefined) {
         _setSliderVal('orbit-octave', state.octave);
         const octLabel = document.getElementById('orbit-octave-val');
         if (octLabel) octLabel.textContent = state.octave;
     }
 
+    // Set orbit sliders
+    const orbit = state.orbit || {};
+    if (orbit.density !== undefined) _setSliderVal('orbit-density', orbit.density);
+    if (orbit.scatter !== undefined) _setSliderVal('orbit-scatter', orbit.scatter);
+    if (orbit.drift !== undefined) _setSliderVal('orbit-drift', orbit.drift);
+    if (orbit.ghosts !== undefined) _setSliderVal('orbit-ghosts', orbit.ghosts);
+    if (orbit.warmth !== undefined) _setSliderVal('orbit-warmth', orbit.warmth);
+
+    // Seed + start node → the next ORBIT run replays the shared piece
+    _orbitSharedRun = Number.isFinite(orbit.seed) ? { seed: orbit.seed, start: orbit.start || null } : null;
+
     // Audio FX toggles
     if (state.fx) {
-        _setCheckbox('filter-toggle', state.fx.filter);
-        _setCheckbox('delay-toggle', state.fx.delay);
-        _setCheckbox('reverb-toggle', state.fx.reverb);
+        if (state.fx.filter !== undefined) _setCheckbox('filter-toggle', state.fx.filter);
+        if (state.fx.delay !== undefined) _setCheckbox('delay-toggle', state.fx.delay);
+        if (state.fx.reverb !== undefined) _setCheckbox('reverb-toggle', state.fx.reverb);
         if (state.fx.arp !== undefined) _setCheckbox('arp-toggle', state.fx.arp);
+        if (state.fx.latch !== undefined) _setCheckbox('latch-toggle', state.fx.latch);
     }
     // All audio params
     if (state.params) {
@@ -169,20 +491,61 @@ function applyOrbitState(state) {
         _setSliderVal('reverb-depth', state.params.reverbDepth);
         _setSliderVal('arp-speed', state.params.arpSpeed);
         _setSliderVal('morph-time', state.params.morphTime);
+        if (state.params.arpMode) _setSelect('arp-mode', state.params.arpMode);
+        if (state.params.arpDiv) _setSelect('arp-div', state.params.arpDiv);
+        if (state.params.instrument) _setSelect('instrument', state.params.instrument);
         const arpBpm = document.getElementById('arp-bpm');
         if (arpBpm && state.params.arpSpeed) arpBpm.textContent = state.params.arpSpeed + 'ms';
         const morphVal = document.getElementById('morph-time-val');
         if (morphVal && state.params.morphTime) morphVal.textContent = state.params.morphTime + 'ms';
     }
+    if (state.voicing) {
+        if (state.voicing.mode) _setSelect('voice-mode', state.voicing.mode);
+        if (state.voicing.shape) _setSelect('voice-shape', state.voicing.shape);
+        _setSliderVal('voice-count', state.voicing.voices);
+        _setSliderVal('voice-low', state.voicing.low);
+        _setSliderVal('voice-high', state.voicing.high);
+        const countVal = document.getElementById('voice-count-val');
+        if (countVal && state.voicing.voices) countVal.textContent = state.voicing.voices;
+        if (typeof updateVoiceRangeLabels === 'function') updateVoiceRangeLabels();
+    }
+    if (state.bass) {
+        if (state.bass.on !== undefined) _setCheckbox('bass-toggle', state.bass.on);
+        if (state.bass.sync !== undefined) _setCheckbox('bass-sync', state.bass.sync);
+        if (state.bass.pattern) _setSelect('bass-pattern', state.bass.pattern);
+        if (state.bass.source) _setSelect('bass-source', state.bass.source);
+        _setSliderVal('bass-level', state.bass.level);
+        _setSliderVal('bass-tone', state.bass.tone);
+        _setSliderVal('bass-beat', state.bass.beat);
+        const beatVal = document.getElementById('bass-beat-val');
+        if (beatVal && state.bass.beat) beatVal.textContent = state.bass.beat + 'ms';
+    }
+    if (state.clock) {
+        _setSliderVal('clock-bpm', state.clock.bpm);
+        _setSliderVal('clock-swing', state.clock.swing);
+        if (state.clock.meter) _setSelect('clock-meter', state.clock.meter);
+        if (state.clock.quantize) _setSelect('clock-quantize', state.clock.quantize);
+        const bpmVal = document.getElementById('clock-bpm-val');
+        if (bpmVal && state.clock.bpm) bpmVal.textContent = state.clock.bpm;
+        const swingVal = document.getElementById('clock-swing-val');
+        if (swingVal && state.clock.swing !== undefined) swingVal.textContent = Math.round(state.clock.swing * 100) + '%';
+    }
 
     processData();
     initAllNodes();
+
+    // Last played chord → transition glow and background-click replay start from it
+    const node = state.node ? nodes.find(n => n.name === state.node) : null;
+    if (node) lastPlayedNode = node;
+    else if (state.node) problems.push(`node ${state.node} is not in this layout`);
+    reportStateProblems(source, problems);
+
     _pendingOrbitState = state;
     return true;
 }
 
 // Alias for legacy code
-function applyState(state) { return applyOrbitState(state); }
+function applyOrbitState(state, source) { return applyState(state, source); }
 
 let _pendingOrbitState = null;
 function applyPendingAudioState() {
@@ -191,10 +554,11 @@ function applyPendingAudioState() {
     _pendingOrbitState = null;
 
     if (s.fx) {
-        audioSystem.toggleFilter(s.fx.filter);
-        audioSystem.toggleDelay(s.fx.delay);
-        audioSystem.toggleReverb(s.fx.reverb);
+        if (s.fx.filter !== undefined) audioSystem.toggleFilter(s.fx.filter);
+        if (s.fx.delay !== undefined) audioSystem.toggleDelay(s.fx.delay);
+        if (s.fx.reverb !== undefined) audioSystem.toggleReverb(s.fx.reverb);
         if (s.fx.arp !== undefined) audioSystem.toggleArpeggio(s.fx.arp);
+        if (s.fx.latch !== undefined) setLatch(s.fx.latch);
     }
     if (s.params) {
         if (s.params.filterFreq !== undefined) audioSystem.setFilterFreq(s.params.filterFreq);
@@ -204,86 +568,295 @@ function applyPendingAudioState() {
         if (s.params.reverbDepth !== undefined) audioSystem.setReverbDepth(s.params.reverbDepth);
         if (s.params.arpSpeed !== undefined) audioSystem.setArpSpeed(s.params.arpSpeed);
         if (s.params.morphTime !== undefined) audioSystem.setMorphTime(s.params.morphTime);
+        if (s.params.arpMode) audioSystem.setArpMode(s.params.arpMode);
+        if (s.params.arpDiv) audioSystem.setArpDiv(s.params.arpDiv);
+        if (s.params.instrument) {
+            audioSystem.setInstrument(s.params.instrument);
+            if (typeof updateSamplerStatus === 'function') updateSamplerStatus();
+        }
     }
+    if (s.voicing) audioSystem.setVoicing(s.voicing);
+    if (s.bass && typeof setBass === 'function') setBass(s.bass);
+    if (s.clock && typeof setClock === 'function') setClock(s.clock);
 
-    // Auto-start orbit if the state says orbit
-    if (s.orbit && !orbitMode) {
+    // Auto-start orbit if the state says orbit; a manual preset ends a running orbit
+    if (s.mode === 'orbit' && !orbitMode) {
         setTimeout(() => { toggleOrbit(); }, 600);
+    } else if (s.mode !== 'orbit' && orbitMode) {
+        toggleOrbit();
     }
 }
 
 // ============================================================
 // URL SERIALIZATION
 // ============================================================
+/** URL-safe base64 (no padding) — '+' would turn into a space in a query string */
+function _b64UrlEncode(bin) {
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _b64UrlDecode(encoded) {
+    // Older plain-base64 links may have had '+' turned into ' ' by the query parser
+    let b = encoded.replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+    while (b.length % 4) b += '=';
+    return atob(b);
+}
+
 function serializeToURL(state) {
     try {
         const json = JSON.stringify(state);
         if (typeof pako !== 'undefined') {
             const c = pako.deflate(json);
-            const b = btoa(String.fromCharCode.apply(null, c));
-            return b.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+            return _b64UrlEncode(String.fromCharCode.apply(null, c));
         }
-        return btoa(unescape(encodeURIComponent(json)));
+        return _b64UrlEncode(unescape(encodeURIComponent(json)));
     } catch (e) { return null; }
 }
-function deserializeFromURL(encoded) {
+
+/**
+ * ?s= payload → { state, error } — state is the parsed (not yet validated) object.
+ * Payloads are URL-safe base64 of deflated JSON (pako) or of plain UTF-8 JSON;
+ * both are accepted so links made with and without pako open either way.
+ */
+function decodeStatePayload(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0) return { state: null, error: 'empty link' };
+    if (encoded.length > STATE_MAX_PAYLOAD) return { state: null, error: 'link too long' };
+
+    let bin;
     try {
-        if (typeof pako !== 'undefined') {
-            let b = encoded.replace(/-/g, '+').replace(/_/g, '/');
-            while (b.length % 4) b += '=';
-            const bin = atob(b);
+        bin = _b64UrlDecode(encoded);
+    } catch (e) {
+        return { state: null, error: 'link is corrupted' };
+    }
+
+    let json = null;
+    if (typeof pako !== 'undefined') {
+        try {
             const bytes = new Uint8Array(bin.length);
             for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-            return JSON.parse(pako.inflate(bytes, { to: 'string' }));
-        }
-        return JSON.parse(decodeURIComponent(escape(atob(encoded))));
-    } catch (e) { return null; }
+            json = pako.inflate(bytes, { to: 'string' });
+        } catch (e) { json = null; }
+    }
+    if (json === null) {
+        try { json = decodeURIComponent(escape(bin)); } catch (e) { return { state: null, error: 'link is corrupted' }; }
+    }
+    if (typeof json !== 'string' || json.length > STATE_MAX_JSON) return { state: null, error: 'link is corrupted' };
+
+    try {
+        return { state: JSON.parse(json), error: null };
+    } catch (e) {
+        return { state: null, error: 'link is not valid JSON' };
+    }
+}
+
+function deserializeFromURL(encoded) {
+    return decodeStatePayload(encoded).state;
 }
 
 function loadStateFromURL() {
     const p = new URLSearchParams(window.location.search);
     const e = p.get('s');
     if (!e) return false;
-    const s = deserializeFromURL(e);
-    return s ? applyOrbitState(s) : false;
+    const { state, error } = decodeStatePayload(e);
+    if (!state) {
+        reportStateProblems('LINK', [error]);
+        return false;
+    }
+    return applyState(state, 'LINK');
 }
 
-// No more auto-updating URL — only SHARE button writes URL
+function _shareURL(state) {
+    const e = serializeToURL(state || captureState());
+    if (!e) return null;
+    return window.location.origin + window.location.pathname + '?s=' + e;
+}
+
+/** Keep the address bar in sync with the controls (debounced, no history entries) */
+let _urlUpdateTimer = null;
 function updateURL() {
-    // Intentionally empty — removed auto-URL updates
+    if (_urlUpdateTimer) clearTimeout(_urlUpdateTimer);
+    _urlUpdateTimer = setTimeout(() => {
+        _urlUpdateTimer = null;
+        const url = _shareURL();
+        if (url && window.history && window.history.replaceState) {
+            try { window.history.replaceState(null, '', url); } catch (e) { }
+        }
+    }, 400);
 }
 
 // ============================================================
-// SHARE (orbit only)
+// SHARE
 // ============================================================
+function _flashButton(id, text, color) {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    const o = btn.dataset.label || btn.textContent;
+    btn.dataset.label = o;
+    btn.textContent = text;
+    btn.style.borderColor = color;
+    btn.style.color = color;
+    setTimeout(() => { btn.textContent = o; btn.style.borderColor = ''; btn.style.color = ''; delete btn.dataset.label; }, 2000);
+}
+
 function shareState() {
-    if (!orbitMode) {
-        // Show feedback that share only works in orbit
-        const btn = document.getElementById('share-btn');
-        if (btn) {
-            const o = btn.textContent;
-            btn.textContent = 'ORBIT ONLY';
-            btn.style.borderColor = '#f44';
-            btn.style.color = '#f44';
-            setTimeout(() => { btn.textContent = o; btn.style.borderColor = ''; btn.style.color = ''; }, 2000);
-        }
+    const url = _shareURL();
+    if (!url) return;
+
+    navigator.clipboard.writeText(url).then(() => {
+        _flashButton('share-btn', 'COPIED ✓', '#0f0');
+    }).catch(() => prompt('Share URL:', url));
+}
+
+// ============================================================
+// PRESETS (localStorage, JSON import/export)
+// ============================================================
+const PRESET_STORAGE_KEY = 'argo-presets';
+
+function loadPresets() {
+    try {
+        const raw = localStorage.getItem(PRESET_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) { return {}; }
+}
+
+function _storePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+        return true;
+    } catch (e) {
+        console.warn('Preset save failed:', e);
+        return false;
+    }
+}
+
+function savePreset(name) {
+    name = (name || '').trim();
+    if (!name) return false;
+    const presets = loadPresets();
+    presets[name] = captureState();
+    return _storePresets(presets);
+}
+
+function loadPreset(name) {
+    const state = loadPresets()[name];
+    if (!state || !applyState(state, `PRESET ${name}`)) return false;
+    if (isActive) applyPendingAudioState();
+    updateURL();
+    return true;
+}
+
+function deletePreset(name) {
+    const presets = loadPresets();
+    if (!(name in presets)) return false;
+    delete presets[name];
+    return _storePresets(presets);
+}
+
+/** All presets as one JSON file: { argoPresets: 1, presets: { name: state } } */
+function exportPresets() {
+    const json = JSON.stringify({ argoPresets: 1, presets: loadPresets() }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'argo-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Merge presets from an exported file (or a single state object) — returns the count imported */
+function importPresets(json) {
+    let data;
+    try { data = JSON.parse(json); } catch (e) { return 0; }
+    if (!data || typeof data !== 'object') return 0;
+
+    const incoming = data.presets && typeof data.presets === 'object'
+        ? data.presets
+        : { [`IMPORTED ${new Date().toLocaleString()}`]: data };
+
+    const presets = loadPresets();
+    let count = 0;
+    for (const [name, state] of Object.entries(incoming)) {
+        const { state: clean, problems } = validateState(state);
+        if (!clean) continue;
+        if (problems.length) reportStateProblems(`PRESET ${name}`, problems);
+        presets[name] = clean;
+        count++;
+    }
+    if (count > 0) _storePresets(presets);
+    return count;
+}
+
+function _presetRefreshSelect(selected) {
+    const sel = document.getElementById('preset-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const names = Object.keys(loadPresets()).sort();
+    if (names.length === 0) {
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = 'NO PRESETS';
+        sel.appendChild(opt);
         return;
     }
+    names.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name.toUpperCase();
+        sel.appendChild(opt);
+    });
+    if (selected && names.includes(selected)) sel.value = selected;
+}
 
-    const s = captureOrbitState();
-    const e = serializeToURL(s);
-    if (!e) return;
+function setupPresetUI() {
+    _presetRefreshSelect();
+    const sel = document.getElementById('preset-select');
+    const nameInput = document.getElementById('preset-name');
+
+    const save = document.getElementById('preset-save');
+    if (save) save.addEventListener('click', () => {
+        const name = nameInput ? nameInput.value : '';
+        if (savePreset(name)) {
+            _presetRefreshSelect(name.trim());
+            if (nameInput) nameInput.value = '';
+            _flashButton('preset-save', 'SAVED ✓', '#0f0');
+        } else {
+            _flashButton('preset-save', 'NAME?', '#f44');
+        }
+    });
 
-    const url = window.location.origin + window.location.pathname + '?s=' + e;
-    navigator.clipboard.writeText(url).then(() => {
-        const btn = document.getElementById('share-btn');
-        if (!btn) return;
-        const o = btn.textContent;
-        btn.textContent = 'COPIED ✓';
-        btn.style.borderColor = '#0f0';
-        btn.style.color = '#0f0';
-        setTimeout(() => { btn.textContent = o; btn.style.borderColor = ''; btn.style.color = ''; }, 2000);
-    }).catch(() => prompt('Share URL:', url));
+    const load = document.getElementById('preset-load');
+    if (load) load.addEventListener('click', () => {
+        if (sel && sel.value) loadPreset(sel.value);
+    });
+
+    const del = document.getElementById('preset-delete');
+    if (del) del.addEventListener('click', () => {
+        if (sel && sel.value && deletePreset(sel.value)) _presetRefreshSelect();
+    });
+
+    const exp = document.getElementById('preset-export');
+    if (exp) exp.addEventListener('click', () => exportPresets());
+
+    const file = document.getElementById('preset-file');
+    const imp = document.getElementById('preset-import');
+    if (imp && file) {
+        imp.addEventListener('click', () => file.click());
+        file.addEventListener('change', () => {
+            const f = file.files && file.files[0];
+            if (!f) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const count = importPresets(reader.result);
+                _presetRefreshSelect();
+                _flashButton('preset-import', count ? `+${count} ✓` : 'INVALID', count ? '#0f0' : '#f44');
+            };
+            reader.readAsText(f);
+            file.value = '';
+        });
+    }
 }
 
 // ============================================================
@@ -292,6 +865,7 @@ function shareState() {
 
 let _orbitPhase = 'idle';
 let _orbitTimer = null;
+let _orbitQueued = null;      // clock job holding a burst for the QUANTIZE grid
 let _orbitTransitionStart = 0;
 let _orbitTransitionDuration = 1500;
 let _orbitNextNode = null;
@@ -367,11 +941,13 @@ function _restoreOrbitAudio() {
 
 function _orbitRandomizeArp() {
     if (!audioSystem) return;
-    const arpOn = Math.random() > 0.5;
+    const arpOn = orbitRandom() > 0.5;
     audioSystem.toggleArpeggio(arpOn);
     audioSystem.arpActive = arpOn;
     if (arpOn) {
-        audioSystem.arpSpeed = 80 + Math.floor(Math.random() * 320);
+        // The draw is made either way so a synced ARP RATE keeps the seeded stream in step
+        const speed = 80 + Math.floor(orbitRandom() * 320);
+        if (audioSystem.arpDiv === 'free') audioSystem.arpSpeed = speed;
     }
 }
 
@@ -379,7 +955,7 @@ function _orbitRandomizeArp() {
 // GHOST NOTES
 // ============================================================
 
-function _playGhostNote() {
+function _playGhostNote(rand = orbitRandom) {
     if (!orbitMode || !audioSystem || !audioSystem.filter || !_ghostNoteChordData) return;
 
     try {
@@ -388,18 +964,18 @@ function _playGhostNote() {
         if (currentKey >= 7) octaveShift = -12;
         const baseOctave = 60 + octaveShift;
         const transposed = cd.intervals.map(iv => baseOctave + currentKey + cd.root + iv);
-        const freqs = transposed.map(m => midiToFreq(m));
 
-        let freq = freqs[Math.floor(Math.random() * freqs.length)];
+        let note = transposed[Math.floor(rand() * transposed.length)];
 
         // Apply scatter probability
         const scatterProb = _calcScatterProb();
-        const octRoll = Math.random();
-        if (octRoll < scatterProb * 0.3) freq *= 2;
-        else if (octRoll < scatterProb * 0.6) freq *= 0.5;
+        const octRoll = rand();
+        if (octRoll < scatterProb * 0.3) note += 12;
+        else if (octRoll < scatterProb * 0.6) note -= 12;
+        const freq = midiToFreq(note);
 
         const amp = _calcGhostAmp();
-        const attackTime = 0.8 + Math.random() * 1.2;
+        const attackTime = 0.8 + rand() * 1.2;
 
         const osc = new p5.Oscillator();
         osc.setType('sine');
@@ -412,14 +988,18 @@ function _playGhostNote() {
 
         const osc2 = new p5.Oscillator();
         osc2.setType('sine');
-        osc2.freq(freq * Math.pow(2, (Math.random() * 6 - 3) / 1200));
+        osc2.freq(freq * Math.pow(2, (rand() * 6 - 3) / 1200));
         osc2.disconnect();
         osc2.connect(audioSystem.filter);
         osc2.start();
         osc2.amp(0);
         osc2.amp(amp * 0.5, attackTime * 1.3);
 
-        const sustainTime = 1500 + Math.random() * 3000;
+        const sustainTime = 1500 + rand() * 3000;
+        // Ghost amp tops out around 0.03 → map onto the 0.3-1.5 engine velocity range
+        const ghostVel = 0.3 + (amp / 0.03) * 0.5;
+        if (typeof midiNotePulse === 'function') midiNotePulse(note, ghostVel, attackTime * 1000 + sustainTime);
+        if (typeof noteLogPulse === 'function') noteLogPulse(note, ghostVel, attackTime * 1000 + sustainTime, 'ghost');
         setTimeout(() => {
             osc.amp(0, 1.5);
             osc2.amp(0, 2.0);
@@ -436,9 +1016,10 @@ function _scheduleGhostNotes(silenceDurationMs) {
     const count = _calcGhostCount();
 
     for (let i = 0; i < count; i++) {
-        const delay = 500 + Math.random() * Math.max(500, silenceDurationMs - 1500);
+        const delay = 500 + orbitRandom() * Math.max(500, silenceDurationMs - 1500);
+        const ghostRand = orbitForkRandom();
         const timer = setTimeout(() => {
-            if (orbitMode && _orbitPhase === 'silence') _playGhostNote();
+            if (orbitMode && _orbitPhase === 'silence') _playGhostNote(ghostRand);
         }, delay);
         _ghostNoteTimers.push(timer);
     }
@@ -457,10 +1038,8 @@ function _orbitArrangeConnected(centerNode) {
     const center = _getCanvasCenter();
     const ringRadius = 200;
 
-    const allTrans = CHORD_TRANSITIONS.get(centerNode.name) || [];
-    const nodeNames = new Set(nodes.map(n => n.name));
-    const valid = allTrans.filter(t => nodeNames.has(t.next));
-    const top5 = [...valid].sort((a, b) => b.prob - a.prob).slice(0, 5);
+    // centerNode plays next, so it extends the current history
+    const top5 = topTransitions(centerNode.name);
 
     _orbitVisibleNodes = new Set([centerNode.name]);
     top5.forEach(t => _orbitVisibleNodes.add(t.next));
@@ -492,6 +1071,7 @@ function _orbitArrangeConnected(centerNode) {
 
 function _orbitClearTimers() {
     if (_orbitTimer) { clearTimeout(_orbitTimer); _orbitTimer = null; }
+    if (_orbitQueued) { clockCancel(_orbitQueued); _orbitQueued = null; }
     _clearGhostNotes();
 }
 
@@ -511,9 +1091,20 @@ function toggleOrbit() {
         _orbitIsSounding = false;
         _orbitVisibleNodes = new Set();
         _orbitCenterNode = null;
-        _filterSweepPhase = Math.random() * 100;
 
-        const startNode = activeNode || lastPlayedNode || nodes[Math.floor(Math.random() * nodes.length)];
+        // A shared link replays its own seed and start node; otherwise start a fresh run
+        const shared = _orbitSharedRun;
+        _orbitSharedRun = null;
+        _orbitSeedRun(shared ? shared.seed : Math.floor(Math.random() * 4294967296));
+        _orbitLearned = !shared;
+        _filterSweepPhase = orbitRandom() * 100;
+
+        const sharedStart = shared && shared.start ? nodes.find(n => n.name === shared.start) : null;
+        const startNode = sharedStart || activeNode || lastPlayedNode || nodes[Math.floor(orbitRandom() * nodes.length)];
+        _orbitStartName = startNode ? startNode.name : null;
+        // Start from the same state the render does: no earlier chords as context, no voicing to lead from
+        chordHistory = startNode ? [startNode.name] : [];
+        if (audioSystem) audioSystem.lastVoicing = null;
         if (startNode) _orbitBeginCentering(startNode);
     } else {
         _orbitPhase = 'idle';
@@ -559,6 +1150,18 @@ function _orbitPlayBurst() {
     _orbitPhase = 'bursting';
     _orbitIsSounding = true;
 
+    // TEMPO QUANTIZE: the burst starts on the next beat or bar (right away when off)
+    _orbitClearTimers();
+    _orbitQueued = clockQuantize(at => {
+        _orbitQueued = null;
+        _orbitSoundBurst(at);
+    });
+}
+
+/** at: context time the burst's chord starts (null → now); burst, gap and silence count from there */
+function _orbitSoundBurst(at) {
+    if (!orbitMode || !_orbitNextNode) return;
+
     _orbitRandomizeArp();
 
     // Re-apply warmth each burst (user may have changed slider)
@@ -566,10 +1169,17 @@ function _orbitPlayBurst() {
     if (audioSystem && audioSystem.filter) audioSystem.filter.freq(warmthFreq);
 
     _orbitAutoTriggered = true;
-    handleNodePress(_orbitNextNode);
+    handleNodePress(_orbitNextNode, at);
     _orbitAutoTriggered = false;
 
     const burstMs = _calcBurstMs();
+    const leadMs = clockLeadMs(at);
+
+    // Walking bass: the next burst repeats this chord; after the last one, aim at the likeliest next
+    if (typeof bassExpectNext === 'function') {
+        const next = _orbitBurstCount > 1 ? _orbitNextNode.data : bassLikelyNext(_orbitNextNode.name);
+        bassExpectNext(next, currentKey, leadMs + burstMs);
+    }
 
     _orbitClearTimers();
     _orbitTimer = setTimeout(() => {
@@ -587,7 +1197,7 @@ function _orbitPlayBurst() {
         } else {
             _orbitStartSilence();
         }
-    }, burstMs);
+    }, leadMs + burstMs);
 }
 
 function _orbitStartSilence() {
@@ -607,22 +1217,19 @@ function _orbitStartSilence() {
 function _orbitAutoSelectNext(currentNode) {
     if (!orbitMode || !currentNode) return;
 
-    const allTrans = CHORD_TRANSITIONS.get(currentNode.name) || [];
-    const nodeNames = new Set(nodes.map(n => n.name));
-    const valid = allTrans.filter(t => nodeNames.has(t.next));
-    const top5 = [...valid].sort((a, b) => b.prob - a.prob).slice(0, 5);
+    const top5 = topTransitions(currentNode.name);
 
     let nextNode = null;
     if (top5.length > 0) {
         const total = top5.reduce((s, t) => s + t.prob, 0);
-        let roll = Math.random() * total;
+        let roll = orbitRandom() * total;
         for (const t of top5) {
             roll -= t.prob;
             if (roll <= 0) { nextNode = nodes.find(n => n.name === t.next); break; }
         }
         if (!nextNode) nextNode = nodes.find(n => n.name === top5[0].next);
     }
-    if (!nextNode) nextNode = nodes[Math.floor(Math.random() * nodes.length)];
+    if (!nextNode) nextNode = nodes[Math.floor(orbitRandom() * nodes.length)];
 
     _orbitBeginCentering(nextNode);
 }
@@ -669,3 +1276,20 @@ function isOrbitVisible(nodeName) {
     if (_orbitVisibleNodes.size === 0) return true;
     return _orbitVisibleNodes.has(nodeName);
 }
+
+// Node (tests): expose the pure state functions, and applying a state (with stubbed DOM + audio)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATE_VERSION,
+        STATE_SCHEMA,
+        migrateState,
+        validateState,
+        serializeToURL,
+        deserializeFromURL,
+        decodeStatePayload,
+        createSeededRandom,
+        orbitForkRandom,
+        applyState,
+        applyPendingAudioState,
+    };
+}
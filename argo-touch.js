@@ -0,0 +1,273 @@
+/**
+ * ARGO Touch
+ *
+ * Multi-touch on the mobile canvas:
+ *   finger on a node     → holds it in its own RyojiEngine voice group, so several fingers
+ *                          sound several chords; sliding moves that finger's chord
+ *   long press on a node → latches it: it keeps sounding after the finger lifts (tap it to stop)
+ *   two fingers on empty space:
+ *     swipe              → transpose: right or up a semitone per TOUCH_SWIPE_PX, left or down
+ *     pinch              → zoom the layout (layoutZoom)
+ * While held, a finger's offset from its node and its force shape the chord (expressNode).
+ * A single finger on empty space plays the last chord, as it always has — a beat late
+ * (TOUCH_GESTURE_MS), so the first finger of a gesture sounds nothing. Presses go through
+ * queueNodePress with the finger's voice group, so TEMPO QUANTIZE applies per finger.
+ */
+
+// ============================================================
+// SETTINGS
+// ============================================================
+const TOUCH_LATCH_MS = 600;
+const TOUCH_GESTURE_MS = 150;   // a finger on empty space waits this long for a second one
+const TOUCH_SLOP_PX = 12;       // movement that cancels a long press
+const TOUCH_SWIPE_PX = 60;      // finger travel per transposed semitone
+const TOUCH_PINCH = 0.15;       // finger distance change (ratio) that makes a pinch
+const TOUCH_ZOOM = [0.6, 2.5];
+
+let touchActive = false;        // a finger is on the canvas — the mouse fallback stays out
+const _touches = new Map();     // Touch.identifier → { x0, y0, x, y, node, voice, empty, latched, latchTimer, replayTimer, silence }
+const _touchLatched = new Map(); // node name → voice group still sounding after its finger lifted
+let _touchGesture = null;       // { ids, type, zoom0, steps } — two fingers on empty space
+let _touchVoiceSeq = 0;
+
+// ============================================================
+// GESTURES (pure) — fingers are { x0, y0, x, y }
+// ============================================================
+
+/** Two fingers → 'pinch' once their distance changes, 'swipe' once they travel together, else null */
+function touchClassify(a, b) {
+    if (Math.abs(touchPinchScale(a, b) - 1) > TOUCH_PINCH) return 'pinch';
+    const dot = (a.x - a.x0) * (b.x - b.x0) + (a.y - a.y0) * (b.y - b.y0);
+    const { dx, dy } = _touchTravel(a, b);
+    return dot > 0 && Math.hypot(dx, dy) > TOUCH_SWIPE_PX / 2 ? 'swipe' : null;
+}
+
+/** Finger distance now / at the start */
+function touchPinchScale(a, b) {
+    const d0 = Math.hypot(b.x0 - a.x0, b.y0 - a.y0);
+    return d0 > 0 ? Math.hypot(b.x - a.x, b.y - a.y) / d0 : 1;
+}
+
+/** Semitones for a swipe: along its main axis, right and up positive */
+function touchSwipeSteps(a, b) {
+    const { dx, dy } = _touchTravel(a, b);
+    const along = Math.abs(dx) > Math.abs(dy) ? dx : -dy;
+    return Math.trunc(along / TOUCH_SWIPE_PX) || 0; // no -0
+}
+
+function _touchTravel(a, b) {
+    return { dx: (a.x - a.x0 + b.x - b.x0) / 2, dy: (a.y - a.y0 + b.y - b.y0) / 2 };
+}
+
+// ============================================================
+// FINGERS
+// ============================================================
+
+function _touchNodeAt(x, y) {
+    return nodes.find(n => n.contains(x, y)) || null;
+}
+
+function _touchPress(finger, node) {
+    if (!finger.voice) finger.voice = 'touch' + (++_touchVoiceSeq);
+    finger.node = node;
+    queueNodePress(node, {}, finger.voice);
+}
+
+/** force: a finger joining a gesture lets go even in LATCH mode */
+function _touchRelease(finger, force = false) {
+    clearTimeout(finger.latchTimer);
+    clearTimeout(finger.replayTimer);
+    finger.latchTimer = null;
+    finger.replayTimer = null;
+    if (finger.voice && !finger.latched) queueNodeRelease(finger.voice, force);
+    finger.voice = null;
+    finger.node = null;
+}
+
+function _touchLatch(finger) {
+    finger.latchTimer = null;
+    if (!finger.node) return;
+    finger.latched = true;
+    finger.node.latched = true;
+    _touchLatched.set(finger.node.name, finger.voice);
+    if (navigator.vibrate) navigator.vibrate(20);
+}
+
+/** One finger on empty space: the last chord again, once no second finger has made it a gesture */
+function _touchReplay(finger) {
+    finger.replayTimer = null;
+    if (lastPlayedNode) _touchPress(finger, lastPlayedNode);
+    _touchSyncActive();
+}
+
+function _touchUnlatch(node) {
+    const voice = _touchLatched.get(node.name);
+    _touchLatched.delete(node.name);
+    node.latched = false;
+    queueNodeRelease(voice, true);
+}
+
+/** activeNode follows the latest finger still holding a chord */
+function _touchSyncActive() {
+    const held = [..._touches.values()].filter(f => f.node && !f.latched);
+    activeNode = held.length ? held[held.length - 1].node : null;
+    touchActive = _touches.size > 0;
+}
+
+function _touchTranspose(semitones) {
+    const key = ((currentKey + semitones) % 12 + 12) % 12;
+    const keySelect = document.getElementById('key-select');
+    if (keySelect) {
+        keySelect.value = key;
+        keySelect.dispatchEvent(new Event('change'));
+    } else {
+        currentKey = key;
+        updateHudKey();
+        updateURL();
+    }
+}
+
+function _touchRunGesture() {
+    const g = _touchGesture;
+    const [a, b] = g.ids.map(id => _touches.get(id));
+    if (!g.type) g.type = touchClassify(a, b);
+    if (g.type === 'pinch') {
+        layoutZoom = Math.min(TOUCH_ZOOM[1], Math.max(TOUCH_ZOOM[0], g.zoom0 * touchPinchScale(a, b)));
+        relayoutNodes();
+    } else if (g.type === 'swipe') {
+        const steps = touchSwipeSteps(a, b);
+        if (steps !== g.steps) _touchTranspose(steps - g.steps);
+        g.steps = steps;
+    }
+}
+
+/** After initAllNodes (a transpose rebuilds them): fingers and latches point at the new nodes */
+function touchRefresh() {
+    const byName = name => nodes.find(n => n.name === name) || null;
+    _touches.forEach(f => { if (f.node) f.node = byName(f.node.name); });
+    _touchLatched.forEach((voice, name) => {
+        const node = byName(name);
+        if (node) node.latched = true;
+    });
+}
+
+// ============================================================
+// EVENTS
+// ============================================================
+
+// Touches over the drawer, HUD or buttons (mobile/sketch.js knows which) play nothing
+function _touchOverUI(touch) {
+    return typeof _isTouchOverUI === 'function' && _isTouchOverUI(touch.clientX, touch.clientY);
+}
+
+// Touch.force where the screen has it (0 = unsupported) → pointer pressure
+function _touchForce(touch) {
+    return touch.force > 0 ? touch.force : 0.5;
+}
+
+function _touchPoint(touch, rect) {
+    return { x: touch.clientX - rect.left, y: touch.clientY - rect.top };
+}
+
+function _touchStart(e) {
+    e.preventDefault();
+    userStartAudio();
+    if (getAudioContext().state !== 'running') getAudioContext().resume();
+    if (!isActive) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    for (const touch of e.changedTouches) {
+        if (_touchOverUI(touch)) continue;
+        const { x, y } = _touchPoint(touch, rect);
+        const finger = { x0: x, y0: y, x, y, node: null, voice: null, empty: false, latched: false, latchTimer: null, replayTimer: null, silence: false };
+        _touches.set(touch.identifier, finger);
+        const node = _touchNodeAt(x, y);
+
+        if (node && _touchLatched.has(node.name)) {
+            _touchUnlatch(node); // a tap on a latched chord stops it
+        } else if (node) {
+            _touchPress(finger, node);
+            expressNode(node, x, y, _touchForce(touch), finger.voice);
+            finger.latchTimer = setTimeout(() => _touchLatch(finger), TOUCH_LATCH_MS);
+        } else {
+            finger.empty = true;
+            const empty = [..._touches.entries()].filter(([, f]) => f.empty);
+            if (empty.length === 2 && !_touchGesture) {
+                // Second finger on empty space: a gesture, not a chord
+                empty.forEach(([, f]) => {
+                    f.silence = false;
+                    _touchRelease(f, true);
+                });
+                _touchGesture = { ids: empty.map(([id]) => id), type: null, zoom0: layoutZoom, steps: 0 };
+            } else if (_touches.size === 1 && latchMode && isHeldOver()) {
+                finger.silence = true; // LATCH: a tap on empty space silences the latched chord (on lift)
+            } else if (_touches.size === 1 && lastPlayedNode) {
+                finger.replayTimer = setTimeout(() => _touchReplay(finger), TOUCH_GESTURE_MS);
+            }
+        }
+    }
+    _touchSyncActive();
+}
+
+function _touchMove(e) {
+    e.preventDefault();
+    if (!isActive) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    for (const touch of e.changedTouches) {
+        const finger = _touches.get(touch.identifier);
+        if (!finger) continue;
+        Object.assign(finger, _touchPoint(touch, rect));
+        if (Math.hypot(finger.x - finger.x0, finger.y - finger.y0) > TOUCH_SLOP_PX) {
+            clearTimeout(finger.latchTimer);
+            finger.latchTimer = null;
+        }
+        // Slide: this finger's chord follows it (a latched chord stays put)
+        if (!finger.voice || finger.latched) continue;
+        if (_touchOverUI(touch)) continue;
+        const node = _touchNodeAt(finger.x, finger.y);
+        if (node && node !== finger.node && !_touchLatched.has(node.name)) {
+            _touchPress(finger, node);
+            finger.empty = false;
+        }
+        // Expression around the finger's node (not for the last chord replayed from empty space)
+        if (!finger.empty) expressNode(finger.node, finger.x, finger.y, _touchForce(touch), finger.voice);
+    }
+    if (_touchGesture) _touchRunGesture();
+    _touchSyncActive();
+}
+
+function _touchEnd(e) {
+    e.preventDefault();
+    // Android fix: Also resume AudioContext on touchend for extra robustness
+    if (getAudioContext().state !== 'running') getAudioContext().resume();
+
+    for (const touch of e.changedTouches) {
+        const finger = _touches.get(touch.identifier);
+        if (!finger) continue;
+        if (finger.replayTimer && isActive) _touchReplay(finger); // a quick tap still sounds
+        _touches.delete(touch.identifier);
+        if (isActive) _touchRelease(finger);
+        if (isActive && finger.silence && latchMode) releaseHeldOver();
+        if (_touchGesture && _touchGesture.ids.includes(touch.identifier)) _touchGesture = null;
+    }
+    _touchSyncActive();
+}
+
+/** Bind to the mobile canvas — only touches on the canvas, not the UI over it */
+function setupTouch(canvasElt) {
+    canvasElt.addEventListener('touchstart', _touchStart, { passive: false });
+    canvasElt.addEventListener('touchmove', _touchMove, { passive: false });
+    canvasElt.addEventListener('touchend', _touchEnd, { passive: false });
+    canvasElt.addEventListener('touchcancel', _touchEnd, { passive: false });
+}
+
+// Node (tests): expose the gesture maths
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TOUCH_SWIPE_PX,
+        touchClassify,
+        touchPinchScale,
+        touchSwipeSteps,
+    };
+}
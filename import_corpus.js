@@ -0,0 +1,475 @@
+// import_corpus.js - ARGO corpus importer
+//
+// Builds the *_Normalized_Probabilities.csv / *_Normalized_Transitions.csv pair the app
+// loads (argo-core.js), plus the 2nd/3rd-order *_Normalized_Transitions_Order2/3.csv, from a
+// folder of chord charts. Every tune is transposed to degree
+// numbers relative to its key ("Dm7 G7 Cmaj7" in C → 2m7 57 1maj7) and counted into the
+// major, minor, dorian or mixolydian corpus by the key's mode. Modal tunes need their key
+// written out ("D dorian", "G mixolydian"); a guessed key is major or minor.
+//
+// Input (by extension, folders are read recursively):
+//   .cho .chopro .chordpro .crd   ChordPro: [Chord] tags, {key: ...}, grid sections
+//   .musicxml .xml                MusicXML <harmony> elements, the first <key> of the score
+//   .txt .chords                  iReal-style charts ("| Dm7 G7 | C^7 |", "Title:"/"Key:" headers)
+//                                 and plain "Dm7 G7 Cmaj7" lines
+// A tune without a key is given the best-fitting one (see guessKey).
+//
+// Usage:  node import_corpus.js <folder> [--out <dir>] [--force] [--verbose]
+//   --out      where to write the CSVs (default: current directory)
+//   --force    overwrite existing CSVs
+//   --verbose  list every tune with its key and chord count
+// Exit code 1 when nothing could be imported or a CSV would be overwritten.
+const fs = require('fs');
+const path = require('path');
+
+const NOTE_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+// Semitones above the tonic → corpus degree spelling (both contexts use the same set)
+const DEGREES = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+const CONTEXT_FILES = {
+    major: {
+        prob: 'Major_Normalized_Probabilities.csv', trans: 'Major_Normalized_Transitions.csv',
+        trans2: 'Major_Normalized_Transitions_Order2.csv', trans3: 'Major_Normalized_Transitions_Order3.csv',
+    },
+    minor: {
+        prob: 'Minor_Normalized_Probabilities.csv', trans: 'Minor_Normalized_Transitions.csv',
+        trans2: 'Minor_Normalized_Transitions_Order2.csv', trans3: 'Minor_Normalized_Transitions_Order3.csv',
+    },
+    dorian: {
+        prob: 'Dorian_Normalized_Probabilities.csv', trans: 'Dorian_Normalized_Transitions.csv',
+        trans2: 'Dorian_Normalized_Transitions_Order2.csv', trans3: 'Dorian_Normalized_Transitions_Order3.csv',
+    },
+    mixolydian: {
+        prob: 'Mixolydian_Normalized_Probabilities.csv', trans: 'Mixolydian_Normalized_Transitions.csv',
+        trans2: 'Mixolydian_Normalized_Transitions_Order2.csv', trans3: 'Mixolydian_Normalized_Transitions_Order3.csv',
+    },
+};
+// Mode → tonic above the major scale's (MusicXML key signatures count fifths from the major tonic)
+const MODE_TONIC = { major: 0, minor: 9, dorian: 2, mixolydian: 7 };
+// Header of the transition CSV per order (2nd/3rd order add the chords before Current_Chord)
+const TRANSITION_HEADERS = {
+    1: 'Current_Chord,Next_Chord,Count,Probability',
+    2: 'Prev_Chord,Current_Chord,Next_Chord,Count,Probability',
+    3: 'Prev2_Chord,Prev_Chord,Current_Chord,Next_Chord,Count,Probability',
+};
+const FORMATS = {
+    '.cho': 'chordpro', '.chopro': 'chordpro', '.chordpro': 'chordpro', '.crd': 'chordpro',
+    '.musicxml': 'musicxml', '.xml': 'musicxml',
+    '.txt': 'text', '.chords': 'text',
+};
+
+// ============================================================
+// CHORD SYMBOLS
+// ============================================================
+
+// Written quality → [corpus spelling, spelling when nothing follows], longest first
+// (iReal: ^ maj7, - minor, h half-dim, o dim)
+const QUALITY_PREFIXES = [
+    ['m7b5', 'm7b5'], ['-7b5', 'm7b5'], ['min7b5', 'm7b5'], ['ø7', 'm7b5'], ['ø', 'm7b5'], ['h7', 'm7b5'], ['h', 'm7b5'],
+    ['dim7', '07'], ['°7', '07'], ['o7', '07'], ['dim', '0'], ['°', '0'], ['o', '0'],
+    ['mMaj', 'mmaj', 'mmaj7'], ['mmaj', 'mmaj', 'mmaj7'], ['m^', 'mmaj', 'mmaj7'], ['-^', 'mmaj', 'mmaj7'], ['minmaj', 'mmaj', 'mmaj7'],
+    ['maj', 'maj', 'Maj'], ['Maj', 'maj', 'Maj'], ['ma', 'maj', 'Maj'], ['M', 'maj', 'Maj'], ['^', 'maj', 'maj7'], ['Δ', 'maj', 'maj7'],
+    ['min', 'm'], ['mi', 'm'], ['m', 'm'], ['-', 'm'],
+    ['aug', 'aug'], ['+', 'aug'],
+];
+
+/**
+ * Chord symbol → { pc, quality } with quality in corpus spelling ("Maj", "m7", "7b9", "07", ...),
+ * or null when the token is not a chord. Slash basses are dropped, parenthesised tensions folded in.
+ */
+function parseChordSymbol(symbol) {
+    const m = String(symbol).trim().replace('6/9', '69').match(/^([A-G])([#b♯♭]?)([^/]*)(?:\/[A-G][#b♯♭]?)?$/);
+    if (!m) return null;
+    const pc = (NOTE_PC[m[1]] + (/[#♯]/.test(m[2]) ? 1 : /[b♭]/.test(m[2]) ? -1 : 0) + 12) % 12;
+    let rest = m[3].replace(/[(),]/g, '');
+
+    let base = '';
+    let bare = 'Maj';
+    for (const [prefix, spelled, alone = spelled] of QUALITY_PREFIXES) {
+        if (rest.startsWith(prefix)) {
+            base = spelled;
+            bare = alone;
+            rest = rest.slice(prefix.length);
+            break;
+        }
+    }
+    rest = rest.replace(/\+(\d+)/g, '#$1').replace(/-(\d+)/g, 'b$1').replace(/\+$/, '#5')
+        .replace(/sus4/, 'sus').replace(/sus2/, 'sus');
+    if (!/^[0-9#b]*$/.test(rest.replace(/add|sus|alt/g, ''))) return null;
+
+    let quality;
+    if (rest === '') quality = bare;
+    else if (base === 'maj') quality = /^\d/.test(rest) ? 'maj' + rest : rest;
+    else if (base === 'aug') quality = /^\d/.test(rest) ? rest + '#5' : 'aug' + rest;
+    else if (base === '0' && rest.startsWith('7')) quality = '07' + rest.slice(1);
+    else quality = base + rest;
+    return { pc, quality };
+}
+
+function chordFamily(quality) {
+    if (quality === '0' || quality === '07' || quality.startsWith('m7b5')) return 'dim';
+    if (/^m(?!aj)/.test(quality)) return 'min';
+    if (/^(maj|Maj|6|69|add|aug|sus$)/.test(quality)) return 'maj';
+    return 'dom';
+}
+
+/** Key text ("Bb", "Bbm", "G-", "F# minor", "D dorian", "G mixo") → { tonic, mode } or null. */
+function parseKey(text) {
+    const m = String(text).trim().match(/^([A-G])([#b♯♭]?)\s*(.*)$/);
+    if (!m) return null;
+    const tonic = (NOTE_PC[m[1]] + (/[#♯]/.test(m[2]) ? 1 : /[b♭]/.test(m[2]) ? -1 : 0) + 12) % 12;
+    if (/^dor/i.test(m[3])) return { tonic, mode: 'dorian' };
+    if (/^mix/i.test(m[3])) return { tonic, mode: 'mixolydian' };
+    const minor = /^(min|-)/i.test(m[3]) || /^m(?!aj)/.test(m[3]);
+    return { tonic, mode: minor ? 'minor' : 'major' };
+}
+
+// Diatonic degree → expected families, per mode (harmonic minor V, natural minor bVII)
+const DIATONIC = {
+    major: { 0: ['maj'], 2: ['min'], 4: ['min'], 5: ['maj'], 7: ['dom', 'maj'], 9: ['min'], 11: ['dim'] },
+    minor: { 0: ['min'], 2: ['dim'], 3: ['maj'], 5: ['min'], 7: ['dom', 'min'], 8: ['maj'], 10: ['maj', 'dom'] },
+};
+
+/**
+ * Best-fitting key for a chord list: diatonic roots score, matching families more,
+ * and the tonic chord is expected last (and, less strongly, first).
+ */
+function guessKey(chords) {
+    let best = { tonic: 0, mode: 'major' };
+    let bestScore = -Infinity;
+    for (const mode of ['major', 'minor']) {
+        for (let tonic = 0; tonic < 12; tonic++) {
+            let score = 0;
+            chords.forEach(c => {
+                const expected = DIATONIC[mode][(c.pc - tonic + 12) % 12];
+                if (expected) score += expected.includes(chordFamily(c.quality)) ? 1 : 0.5;
+            });
+            const isTonic = c => c && c.pc === tonic && chordFamily(c.quality) === DIATONIC[mode][0][0];
+            if (isTonic(chords[chords.length - 1])) score += 3;
+            if (isTonic(chords[0])) score += 1;
+            if (score > bestScore) { best = { tonic, mode }; bestScore = score; }
+        }
+    }
+    return best;
+}
+
+// ============================================================
+// READERS — each returns [{ title, key: { tonic, mode } | null, chords: [{ pc, quality }] }]
+// ============================================================
+
+function newTune(title) {
+    return { title, key: null, chords: [] };
+}
+
+// Chord-chart tokens: bar lines, iReal repeats (x / %), endings and section marks are skipped
+function tokenizeChart(line) {
+    return line.replace(/(^|\s)\([^)]*\)/g, ' ') // iReal alternate chords
+        .replace(/<[^>]*>/g, ' ') // iReal comments
+        .split(/[\s|[\]{}]+/)
+        .filter(Boolean);
+}
+
+// "| Dm7 G7 | % |": x and % repeat the previous bar
+function readChartLine(line, tune, lastBar) {
+    let bar = [];
+    let previous = lastBar;
+    for (const bit of line.split(/[|[\]{}]/)) {
+        const tokens = tokenizeChart(bit);
+        if (tokens.length === 1 && (tokens[0] === 'x' || tokens[0] === '%')) {
+            bar = previous;
+        } else {
+            bar = tokens.map(parseChordSymbol).filter(Boolean);
+        }
+        tune.chords.push(...bar);
+        if (bar.length) previous = bar;
+    }
+    return previous;
+}
+
+function isChordLine(line) {
+    const tokens = tokenizeChart(line).filter(t => !/^(x|%|n|N\.?C\.?|\.|\/|T\d+|\*\w|N\d|[SQYr])$/.test(t));
+    if (tokens.length === 0) return false;
+    return tokens.filter(t => parseChordSymbol(t)).length * 2 >= tokens.length;
+}
+
+/** iReal-style and plain text: "Title:" starts a new tune, "Key:" sets its key. */
+function readText(source, name) {
+    const tunes = [];
+    let tune = newTune(name);
+    let lastBar = [];
+    for (const raw of source.split(/\r?\n/)) {
+        const line = raw.trim();
+        const header = line.match(/^(\w+)\s*:\s*(.*)$/);
+        if (header) {
+            const field = header[1].toLowerCase();
+            if (field === 'title') {
+                if (tune.chords.length) tunes.push(tune);
+                tune = newTune(header[2] || name);
+                lastBar = [];
+            } else if (field === 'key') {
+                tune.key = parseKey(header[2]);
+            }
+            continue;
+        }
+        if (line.startsWith('#') || !isChordLine(line)) continue;
+        lastBar = readChartLine(line, tune, lastBar);
+    }
+    if (tune.chords.length) tunes.push(tune);
+    return tunes;
+}
+
+/** ChordPro: [Chord] tags inline with lyrics, chart lines inside grid sections. */
+function readChordPro(source, name) {
+    const tunes = [];
+    let tune = newTune(name);
+    let inGrid = false;
+    let lastBar = [];
+    for (const raw of source.split(/\r?\n/)) {
+        const line = raw.trim();
+        const directive = line.match(/^\{\s*([\w-]+)\s*(?::\s*(.*?))?\s*\}$/);
+        if (directive) {
+            const field = directive[1].toLowerCase();
+            if (field === 'title' || field === 't' || field === 'new_song' || field === 'ns') {
+                if (tune.chords.length) tunes.push(tune);
+                tune = newTune(directive[2] || name);
+            } else if (field === 'key' || field === 'k') {
+                tune.key = parseKey(directive[2] || '');
+            } else if (field === 'start_of_grid' || field === 'sog') {
+                inGrid = true;
+                lastBar = [];
+            } else if (field === 'end_of_grid' || field === 'eog') {
+                inGrid = false;
+            }
+            continue;
+        }
+        if (line.startsWith('#')) continue;
+        if (inGrid) {
+            lastBar = readChartLine(line, tune, lastBar);
+            continue;
+        }
+        for (const [, symbol] of line.matchAll(/\[([^\]]+)\]/g)) {
+            const chord = parseChordSymbol(symbol);
+            if (chord) tune.chords.push(chord);
+        }
+    }
+    if (tune.chords.length) tunes.push(tune);
+    return tunes;
+}
+
+// MusicXML <kind> values → corpus spelling (null: not a chord we count)
+const MUSICXML_KINDS = {
+    'major': 'Maj', 'minor': 'm', 'augmented': 'aug', 'diminished': '0',
+    'dominant': '7', 'major-seventh': 'maj7', 'minor-seventh': 'm7', 'diminished-seventh': '07',
+    'augmented-seventh': '7#5', 'half-diminished': 'm7b5', 'major-minor': 'mmaj7',
+    'major-sixth': '6', 'minor-sixth': 'm6',
+    'dominant-ninth': '9', 'major-ninth': 'maj9', 'minor-ninth': 'm9',
+    'dominant-11th': '11', 'major-11th': 'maj11', 'minor-11th': 'm11',
+    'dominant-13th': '13', 'major-13th': 'maj13', 'minor-13th': 'm13',
+    'suspended-second': 'sus', 'suspended-fourth': 'sus',
+    'power': 'Maj', 'none': null, 'other': null, 'pedal': null,
+    'Neapolitan': 'Maj', 'Italian': '7', 'French': '7', 'German': '7', 'Tristan': '7',
+};
+
+function xmlText(xml, tag) {
+    const m = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+    return m ? m[1].trim() : null;
+}
+
+/** MusicXML: every <harmony> in document order, keyed by the score's first <key>. */
+function readMusicXml(source, name) {
+    const tune = newTune(xmlText(source, 'work-title') || xmlText(source, 'movement-title') || name);
+
+    const key = source.match(/<key(?:\s[^>]*)?>([\s\S]*?)<\/key>/);
+    if (key) {
+        const fifths = parseInt(xmlText(key[1], 'fifths'), 10) || 0;
+        const written = xmlText(key[1], 'mode');
+        const mode = MODE_TONIC.hasOwnProperty(written) ? written : 'major';
+        // Circle of fifths → major tonic, then the mode's tonic on that scale (relative minor: a sixth up)
+        tune.key = { tonic: ((fifths * 7) % 12 + 12 + MODE_TONIC[mode]) % 12, mode };
+    }
+
+    for (const [, harmony] of source.matchAll(/<harmony(?:\s[^>]*)?>([\s\S]*?)<\/harmony>/g)) {
+        const step = xmlText(harmony, 'root-step');
+        const kind = xmlText(harmony, 'kind');
+        let quality = MUSICXML_KINDS[kind];
+        if (!step || !NOTE_PC.hasOwnProperty(step) || !quality) continue;
+
+        const alter = parseFloat(xmlText(harmony, 'root-alter')) || 0;
+        for (const [, degree] of harmony.matchAll(/<degree(?:\s[^>]*)?>([\s\S]*?)<\/degree>/g)) {
+            const value = xmlText(degree, 'degree-value');
+            const degAlter = parseFloat(xmlText(degree, 'degree-alter')) || 0;
+            const type = xmlText(degree, 'degree-type');
+            if (!value || type === 'subtract') continue;
+            const sign = degAlter < 0 ? 'b' : degAlter > 0 ? '#' : '';
+            quality += (type === 'add' && !sign && quality === 'Maj' ? 'add' : sign) + value;
+        }
+        if (quality.startsWith('Maj') && quality !== 'Maj') quality = quality.slice(3);
+        tune.chords.push({ pc: (NOTE_PC[step] + Math.round(alter) + 12) % 12, quality });
+    }
+    return tune.chords.length ? [tune] : [];
+}
+
+const READERS = { text: readText, chordpro: readChordPro, musicxml: readMusicXml };
+
+// ============================================================
+// COUNTING
+// ============================================================
+
+/** { pc, quality } in a key → corpus name ("2m7", "b7maj7"). */
+function toDegreeName(chord, key) {
+    return DEGREES[(chord.pc - key.tonic + 12) % 12] + chord.quality;
+}
+
+function countTransition(table, from, next) {
+    if (!table.has(from)) table.set(from, new Map());
+    const row = table.get(from);
+    row.set(next, (row.get(next) || 0) + 1);
+}
+
+/**
+ * Tunes → per-context chord and transition counts. Repeated chords count once
+ * and make no self-transition; transitions never cross from one tune to the next.
+ * transitions: order → Map<'prev,current' (comma-joined history), Map<next, count>>.
+ */
+function countCorpus(tunes) {
+    const empty = () => ({ chords: new Map(), transitions: { 1: new Map(), 2: new Map(), 3: new Map() }, tunes: 0 });
+    const corpus = {};
+    Object.keys(CONTEXT_FILES).forEach(mode => { corpus[mode] = empty(); });
+    for (const tune of tunes) {
+        const key = tune.key || guessKey(tune.chords);
+        const target = corpus[key.mode];
+        target.tunes++;
+
+        const names = tune.chords.map(c => toDegreeName(c, key))
+            .filter((n, i, all) => i === 0 || n !== all[i - 1]);
+        names.forEach((n, i) => {
+            target.chords.set(n, (target.chords.get(n) || 0) + 1);
+            for (let order = 1; order <= 3 && order <= i; order++) {
+                countTransition(target.transitions[order], names.slice(i - order, i).join(','), n);
+            }
+        });
+    }
+    return corpus;
+}
+
+// Same ordering as the shipped CSVs: code-point order on names, then count descending
+function byName(a, b) { return a < b ? -1 : a > b ? 1 : 0; }
+
+function formatProb(p) {
+    return Number.isInteger(p) ? p.toFixed(1) : String(p);
+}
+
+/** Counts → the CSV texts for one context: prob, trans, trans2, trans3. */
+function buildCsvs({ chords, transitions }) {
+    let total = 0;
+    chords.forEach(c => { total += c; });
+    const probLines = [...chords].sort((a, b) => b[1] - a[1] || byName(a[0], b[0]))
+        .map(([name, count]) => `${name},${count},${formatProb(count / total)}`);
+
+    const transCsv = order => {
+        const lines = [TRANSITION_HEADERS[order]];
+        const table = transitions[order];
+        for (const from of [...table.keys()].sort(byName)) {
+            const row = table.get(from);
+            let rowTotal = 0;
+            row.forEach(c => { rowTotal += c; });
+            [...row].sort((a, b) => b[1] - a[1] || byName(a[0], b[0]))
+                .forEach(([next, count]) => lines.push(`${from},${next},${count},${formatProb(count / rowTotal)}`));
+        }
+        return lines.join('\n') + '\n';
+    };
+
+    return {
+        prob: ['Normalized_Chord,Count,Probability', ...probLines].join('\n') + '\n',
+        trans: transCsv(1),
+        trans2: transCsv(2),
+        trans3: transCsv(3),
+    };
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function collectFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...collectFiles(full));
+        else if (FORMATS[path.extname(entry.name).toLowerCase()]) files.push(full);
+    }
+    return files.sort();
+}
+
+function readTunes(file) {
+    const format = FORMATS[path.extname(file).toLowerCase()];
+    const name = path.basename(file, path.extname(file));
+    return READERS[format](fs.readFileSync(file, 'utf8'), name);
+}
+
+function main(argv) {
+    const flag = name => argv.includes(name);
+    const option = name => { const i = argv.indexOf(name); return i >= 0 ? argv[i + 1] : undefined; };
+    const input = argv.find((a, i) => !a.startsWith('--') && argv[i - 1] !== '--out');
+    const outDir = option('--out') || '.';
+
+    if (!input || !fs.existsSync(input) || !fs.statSync(input).isDirectory()) {
+        console.error('Usage: node import_corpus.js <folder> [--out <dir>] [--force] [--verbose]');
+        return 1;
+    }
+
+    const tunes = [];
+    for (const file of collectFiles(input)) {
+        const found = readTunes(file);
+        if (found.length === 0) console.log(`⚠ ${path.relative(input, file)}: no chords`);
+        for (const tune of found) {
+            tunes.push(tune);
+            if (flag('--verbose')) {
+                const key = tune.key || guessKey(tune.chords);
+                const names = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+                console.log(`  ${tune.title}: ${names[key.tonic]} ${key.mode}${tune.key ? '' : ' (guessed)'}, ${tune.chords.length} chords`);
+            }
+        }
+    }
+    if (tunes.length === 0) {
+        console.error(`✗ no tunes found in ${input}`);
+        return 1;
+    }
+
+    const corpus = countCorpus(tunes);
+    const writes = [];
+    for (const [context, files] of Object.entries(CONTEXT_FILES)) {
+        if (corpus[context].tunes === 0) continue;
+        const csv = buildCsvs(corpus[context]);
+        Object.entries(files).forEach(([kind, file]) => writes.push([path.join(outDir, file), csv[kind]]));
+        const { tunes: count, chords, transitions } = corpus[context];
+        console.log(`✓ ${context}: ${count} tune(s), ${chords.size} chords, ${transitions[1].size} with transitions, ` +
+            `${transitions[2].size} 2nd-order and ${transitions[3].size} 3rd-order contexts`);
+    }
+
+    const existing = writes.filter(([file]) => fs.existsSync(file));
+    if (existing.length && !flag('--force')) {
+        existing.forEach(([file]) => console.error(`✗ ${file} exists (use --force to overwrite)`));
+        return 1;
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [file, text] of writes) {
+        fs.writeFileSync(file, text);
+        console.log(`  wrote ${file}`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+} else {
+    module.exports = {
+        parseChordSymbol,
+        parseKey,
+        guessKey,
+        readText,
+        readChordPro,
+        readMusicXml,
+        countCorpus,
+        buildCsvs,
+    };
+}
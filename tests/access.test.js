@@ -0,0 +1,32 @@
+/**
+ * Access tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { accessDescribe, accessPadInput } = require('../argo-access.js');
+
+const pad = (pressed = [], axes = [0, 0]) => ({
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+    axes,
+});
+
+test('announcements name the chord, its function and its top-5 rank', () => {
+    assert.strictEqual(accessDescribe('Cmaj7', 'Tonic'), 'Cmaj7, Tonic');
+    assert.strictEqual(accessDescribe('G7', 'Dominant', { rank: 1, of: 5, prob: 0.318 }), 'G7, Dominant, next 1 of 5, 32%');
+    assert.strictEqual(accessDescribe('Bb7', undefined), 'Bb7');
+});
+
+test('D-pad and face buttons follow the standard mapping', () => {
+    assert.deepStrictEqual(accessPadInput(pad([12, 0])), { up: true, down: false, left: false, right: false, confirm: true, back: false });
+    assert.deepStrictEqual(accessPadInput(pad([15, 1])), { up: false, down: false, left: false, right: true, confirm: false, back: true });
+});
+
+test('the left stick moves past the deadzone only', () => {
+    assert.strictEqual(accessPadInput(pad([], [-0.9, 0])).left, true);
+    assert.strictEqual(accessPadInput(pad([], [0, 0.8])).down, true);
+    const drift = accessPadInput(pad([], [0.3, -0.4]));
+    assert.ok(!drift.left && !drift.right && !drift.up && !drift.down);
+    assert.strictEqual(accessPadInput({ buttons: [], axes: [] }).confirm, false);
+});
@@ -0,0 +1,82 @@
+/**
+ * Bass tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    BASS_LOW,
+    BASS_DEFAULTS,
+    bassPitchClass,
+    bassNoteFor,
+    bassWalkTones,
+    bassBeatNote,
+    bassChordFor,
+    bassLine,
+    bassBeatMs,
+    bassToneFreq,
+} = require('../argo-bass.js');
+
+const I = { root: 0, intervals: [0, 4, 7, 11] };
+const V7 = { root: 7, intervals: [0, 4, 7, 10, 14] };
+const IoverE = { root: 0, intervals: [0, 4, 7], bass: 4 };
+
+test('bass is the root, the slash bass, or the lowest voiced note', () => {
+    assert.strictEqual(bassPitchClass(V7, 0, null, 'root'), 7);
+    assert.strictEqual(bassPitchClass(V7, 5, null, 'root'), 0);
+    assert.strictEqual(bassPitchClass(IoverE, 2, null, 'root'), 6);
+    assert.strictEqual(bassPitchClass(I, 0, [64, 60, 67], 'voicing'), 0);
+    assert.strictEqual(bassPitchClass(I, 0, [64, 67, 71, 72], 'voicing'), 4);
+    assert.strictEqual(bassPitchClass(I, 0, [], 'voicing'), 0);
+});
+
+test('bass notes stay in one octave from BASS_LOW', () => {
+    for (let pc = 0; pc < 12; pc++) {
+        const note = bassNoteFor(pc);
+        assert.ok(note >= BASS_LOW && note < BASS_LOW + 12);
+        assert.strictEqual(note % 12, pc);
+    }
+});
+
+test('walking tones are the chord tones above the bass, tensions left out', () => {
+    assert.deepStrictEqual(bassWalkTones(V7, 0, 43), [47, 50, 53, 55]);
+    assert.deepStrictEqual(bassChordFor(IoverE, 0, null, 'root'), { bass: 40, tones: [43, 48, 52] });
+});
+
+test('a walk climbs the chord, then approaches the next bass by a semitone', () => {
+    const chord = bassChordFor(I, 0, null, 'root');
+    const walk = [0, 1, 2, 3].map(beat => bassBeatNote('walk', beat, chord, null, null));
+    assert.deepStrictEqual(walk.slice(0, 3), [36, 40, 43]);
+    assert.strictEqual(bassBeatNote('walk', 3, chord, 43, 47), 44);
+    assert.strictEqual(bassBeatNote('walk', 3, chord, 43, 40), 42);
+    assert.strictEqual(bassBeatNote('sustain', 2, chord, 43, 40), null);
+    assert.strictEqual(bassBeatNote('pulse', 3, chord, 43, 40), 36);
+});
+
+test('bass lines gate each beat or hold the note for the whole chord', () => {
+    const chord = bassChordFor(I, 0, null, 'root');
+    const settings = { ...BASS_DEFAULTS, beat: 500 };
+
+    const held = bassLine(chord, { ...settings, pattern: 'sustain' }, 2000);
+    assert.deepStrictEqual(held, [{ note: 36, at: 0, dur: 2000 }]);
+
+    const pulse = bassLine(chord, { ...settings, pattern: 'pulse' }, 1800);
+    assert.deepStrictEqual(pulse.map(n => [n.at, n.dur]), [[0, 250], [500, 250], [1000, 250], [1500, 250]]);
+
+    const walk = bassLine(chord, { ...settings, pattern: 'walk' }, 2000, 41, 2000);
+    assert.deepStrictEqual(walk.map(n => n.note), [36, 40, 43, 42]);
+    assert.strictEqual(walk[3].dur, 450);
+});
+
+test('SYNC takes the transport beat instead of BEAT', () => {
+    assert.strictEqual(bassBeatMs({ ...BASS_DEFAULTS, beat: 600 }, 500), 600);
+    assert.strictEqual(bassBeatMs({ ...BASS_DEFAULTS, beat: 600, sync: true }, 500), 500);
+    assert.strictEqual(bassBeatMs({ ...BASS_DEFAULTS, beat: 600, sync: true }, null), 600);
+});
+
+test('TONE maps onto 80 Hz - 2 kHz', () => {
+    assert.strictEqual(bassToneFreq(0), 80);
+    assert.strictEqual(Math.round(bassToneFreq(1)), 2000);
+    assert.strictEqual(bassToneFreq(2), bassToneFreq(1));
+});
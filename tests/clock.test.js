@@ -0,0 +1,66 @@
+/**
+ * Transport tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    CLOCK_DEFAULTS,
+    clockBeatSec,
+    clockBarSec,
+    clockDivisionSec,
+    clockGridSec,
+    clockNextGrid,
+    clockSwingStep,
+    clockNextStep,
+    clockPosition,
+} = require('../argo-clock.js');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test('BPM counts quarter notes; the meter sets the beat and the bar', () => {
+    const common = { ...CLOCK_DEFAULTS, bpm: 120, meter: '4/4' };
+    close(clockBeatSec(common), 0.5);
+    close(clockBarSec(common), 2);
+    const compound = { ...common, meter: '6/8' };
+    close(clockBeatSec(compound), 0.25);
+    close(clockBarSec(compound), 1.5);
+});
+
+test('arp divisions follow the BPM; free has no grid', () => {
+    close(clockDivisionSec('1/16', 120), 0.125);
+    close(clockDivisionSec('1/8t', 90), 60 / 90 / 3);
+    assert.strictEqual(clockDivisionSec('free', 120), null);
+});
+
+test('QUANTIZE waits for the next beat or bar, but not after a slightly late press', () => {
+    const s = { ...CLOCK_DEFAULTS, bpm: 120 };
+    assert.strictEqual(clockGridSec(s), null);
+    close(clockGridSec({ ...s, quantize: 'beat' }), 0.5);
+    close(clockGridSec({ ...s, quantize: 'bar' }), 2);
+
+    close(clockNextGrid(1.2, 0, 0.5), 1.5);
+    close(clockNextGrid(1.01, 0, 0.5), 1.01);
+    close(clockNextGrid(0.1, 0, 2), 2);
+    close(clockNextGrid(10.3, 10, 0.5), 10.5);
+});
+
+test('swing pushes odd steps up to a triplet', () => {
+    close(clockSwingStep(0, 0, 0.3, 1), 0);
+    close(clockSwingStep(1, 0, 0.3, 1), 0.4);
+    close(clockSwingStep(3, 2, 0.3, 0), 2.9);
+
+    // steps at 0, 0.35, 0.6, 0.95 with half swing
+    close(clockNextStep(0.05, 0, 0.3, 0.5), 0.35);
+    close(clockNextStep(0.35, 0, 0.3, 0.5), 0.35);
+    close(clockNextStep(0.35, 0, 0.3, 0.5, true), 0.6);
+    close(clockNextStep(0.7, 0, 0.3, 0.5, true), 0.95);
+});
+
+test('the transport position reads as bar and beat', () => {
+    const waltz = { ...CLOCK_DEFAULTS, bpm: 120, meter: '3/4' };
+    assert.deepStrictEqual(clockPosition(0, 0, waltz), { bar: 1, beat: 1 });
+    assert.deepStrictEqual(clockPosition(2.25, 0, waltz), { bar: 2, beat: 2 });
+    assert.deepStrictEqual(clockPosition(1.5, 0, waltz), { bar: 2, beat: 1 });
+});
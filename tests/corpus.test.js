@@ -0,0 +1,268 @@
+/**
+ * Corpus importer tests — run with: node --test tests/
+ *
+ * import_corpus.js is a CLI; required as a module it only exposes its parsers
+ * and counters. The end-to-end test writes a small chart folder to a temp dir
+ * and feeds the resulting CSVs through buildChordData like the app would.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const {
+    parseChordSymbol,
+    parseKey,
+    guessKey,
+    readText,
+    readChordPro,
+    readMusicXml,
+    countCorpus,
+    buildCsvs,
+} = require('../import_corpus.js');
+const { buildChordData } = require('../argo-core.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const quality = s => parseChordSymbol(s).quality;
+
+// ============================================================
+// CHORD SYMBOLS + KEYS
+// ============================================================
+
+test('chord symbols are respelled the way the corpus CSVs spell them', () => {
+    assert.deepStrictEqual(parseChordSymbol('F#m7b5'), { pc: 6, quality: 'm7b5' });
+    assert.deepStrictEqual(parseChordSymbol('Bb13#11'), { pc: 10, quality: '13#11' });
+    assert.strictEqual(quality('C'), 'Maj');
+    assert.strictEqual(quality('Cmaj7'), 'maj7');
+    assert.strictEqual(quality('CM7'), 'maj7');
+    assert.strictEqual(quality('Cdim'), '0');
+    assert.strictEqual(quality('Cdim7'), '07');
+    assert.strictEqual(quality('C7sus4'), '7sus');
+    assert.strictEqual(quality('C6/9'), '69');
+    assert.strictEqual(quality('C7(b9)'), '7b9');
+    assert.strictEqual(quality('C+7'), '7#5');
+    // Slash basses are dropped
+    assert.deepStrictEqual(parseChordSymbol('C/E'), { pc: 0, quality: 'Maj' });
+});
+
+test('iReal shorthand: ^ maj7, - minor, h half-diminished, o diminished', () => {
+    assert.strictEqual(quality('C^7'), 'maj7');
+    assert.strictEqual(quality('C^'), 'maj7');
+    assert.strictEqual(quality('C-7'), 'm7');
+    assert.strictEqual(quality('C-'), 'm');
+    assert.strictEqual(quality('Ch7'), 'm7b5');
+    assert.strictEqual(quality('Co7'), '07');
+    assert.strictEqual(quality('C-^7'), 'mmaj7');
+});
+
+test('words that are not chords are rejected', () => {
+    for (const word of ['Hello', 'Be', 'x', '%', 'N.C.', 'T44', '*A']) {
+        assert.strictEqual(parseChordSymbol(word), null, word);
+    }
+});
+
+test('keys parse with their mode', () => {
+    assert.deepStrictEqual(parseKey('Bb'), { tonic: 10, mode: 'major' });
+    assert.deepStrictEqual(parseKey('Bbm'), { tonic: 10, mode: 'minor' });
+    assert.deepStrictEqual(parseKey('G-'), { tonic: 7, mode: 'minor' });
+    assert.deepStrictEqual(parseKey('F# minor'), { tonic: 6, mode: 'minor' });
+    assert.deepStrictEqual(parseKey('Ebmaj'), { tonic: 3, mode: 'major' });
+    assert.deepStrictEqual(parseKey('D dorian'), { tonic: 2, mode: 'dorian' });
+    assert.deepStrictEqual(parseKey('G Mixolydian'), { tonic: 7, mode: 'mixolydian' });
+    assert.deepStrictEqual(parseKey('Bbmixo'), { tonic: 10, mode: 'mixolydian' });
+    assert.strictEqual(parseKey('none'), null);
+});
+
+test('a missing key is guessed from the chords', () => {
+    const chords = s => s.split(' ').map(parseChordSymbol);
+    assert.deepStrictEqual(guessKey(chords('Dm7 G7 Cmaj7')), { tonic: 0, mode: 'major' });
+    assert.deepStrictEqual(guessKey(chords('Bm7b5 E7 Am7')), { tonic: 9, mode: 'minor' });
+    assert.deepStrictEqual(guessKey(chords('Ebmaj7 Fm7 Bb7 Ebmaj7')), { tonic: 3, mode: 'major' });
+});
+
+// ============================================================
+// READERS
+// ============================================================
+
+test('iReal-style text: headers, bars, repeats and alternate chords', () => {
+    const tunes = readText([
+        'Title: Blue Thing',
+        'Key: F',
+        'T44 *A | F^7 (Gb7) | x | Gh7 C7b9 | F^7 |',
+        'Title: Second',
+        'Key: D-',
+        '{ D-7 | Eh7 A7b9 | D-7 }',
+    ].join('\n'), 'file');
+    assert.strictEqual(tunes.length, 2);
+    assert.strictEqual(tunes[0].title, 'Blue Thing');
+    assert.deepStrictEqual(tunes[0].key, { tonic: 5, mode: 'major' });
+    assert.deepStrictEqual(tunes[0].chords.map(c => c.quality), ['maj7', 'maj7', 'm7b5', '7b9', 'maj7']);
+    assert.deepStrictEqual(tunes[1].key, { tonic: 2, mode: 'minor' });
+    assert.strictEqual(tunes[1].chords.length, 4);
+});
+
+test('plain text: chord lines are read, lyric lines skipped', () => {
+    const [tune] = readText('Dm7 G7 Cmaj7\nA bad day for singing\nAm7 D7 G7 C', 'plain');
+    assert.strictEqual(tune.title, 'plain');
+    assert.strictEqual(tune.key, null);
+    assert.deepStrictEqual(tune.chords.map(c => c.pc), [2, 7, 0, 9, 2, 7, 0]);
+});
+
+test('ChordPro: inline chords, key directive and grids', () => {
+    const [tune] = readChordPro([
+        '{title: Song}',
+        '{key: Am}',
+        '# comment [G]',
+        '[Am]Words and [Dm7]more [E7]words',
+        '{start_of_grid}',
+        '| Am . . . | % |',
+        '{end_of_grid}',
+    ].join('\n'), 'file');
+    assert.strictEqual(tune.title, 'Song');
+    assert.deepStrictEqual(tune.key, { tonic: 9, mode: 'minor' });
+    assert.deepStrictEqual(tune.chords.map(c => c.quality), ['m', 'm7', '7', 'm', 'm']);
+});
+
+test('MusicXML: harmony kinds, root alters, degrees and the key signature', () => {
+    const harmony = (step, alter, kind, degree = '') => `<harmony><root><root-step>${step}</root-step>` +
+        (alter ? `<root-alter>${alter}</root-alter>` : '') + `</root><kind text="x">${kind}</kind>${degree}</harmony>`;
+    const [tune] = readMusicXml(`<?xml version="1.0"?><score-partwise><work><work-title>Tune</work-title></work>
+        <part><measure><attributes><key><fifths>-3</fifths><mode>minor</mode></key></attributes>
+        ${harmony('C', 0, 'minor-seventh')}
+        ${harmony('D', 0, 'half-diminished')}
+        ${harmony('G', 0, 'dominant', '<degree><degree-value>9</degree-value><degree-alter>-1</degree-alter><degree-type>add</degree-type></degree>')}
+        ${harmony('A', -1, 'major-seventh')}
+        ${harmony('C', 0, 'none')}
+        </measure></part></score-partwise>`, 'file');
+    assert.strictEqual(tune.title, 'Tune');
+    assert.deepStrictEqual(tune.key, { tonic: 0, mode: 'minor' });
+    assert.deepStrictEqual(tune.chords, [
+        { pc: 0, quality: 'm7' }, { pc: 2, quality: 'm7b5' }, { pc: 7, quality: '7b9' }, { pc: 8, quality: 'maj7' },
+    ]);
+});
+
+test('MusicXML: modal key signatures name the mode\'s tonic', () => {
+    const keyed = (fifths, mode) => readMusicXml(`<score-partwise><part><measure><attributes><key><fifths>${fifths}</fifths>` +
+        `<mode>${mode}</mode></key></attributes><harmony><root><root-step>C</root-step></root><kind>major</kind></harmony>` +
+        '</measure></part></score-partwise>', 'file')[0].key;
+    assert.deepStrictEqual(keyed(0, 'dorian'), { tonic: 2, mode: 'dorian' });
+    assert.deepStrictEqual(keyed(-1, 'mixolydian'), { tonic: 0, mode: 'mixolydian' });
+    assert.deepStrictEqual(keyed(0, 'lydian'), { tonic: 0, mode: 'major' });
+});
+
+// ============================================================
+// COUNTING + CSV
+// ============================================================
+
+test('tunes are transposed to degrees and split by mode', () => {
+    const tune = (key, symbols) => ({ title: '', key: parseKey(key), chords: symbols.split(' ').map(parseChordSymbol) });
+    const corpus = countCorpus([
+        tune('C', 'Dm7 G7 Cmaj7 Cmaj7'),
+        tune('F', 'Gm7 C7 Fmaj7'),
+        tune('Am', 'Bm7b5 E7 Am7'),
+    ]);
+    assert.strictEqual(corpus.major.tunes, 2);
+    assert.strictEqual(corpus.minor.tunes, 1);
+    // Repeated chords count once and make no self-transition
+    assert.deepStrictEqual([...corpus.major.chords], [['2m7', 2], ['57', 2], ['1maj7', 2]]);
+    assert.strictEqual(corpus.major.transitions[1].has('1maj7'), false);
+    assert.deepStrictEqual([...corpus.minor.transitions[1].get('2m7b5')], [['57', 1]]);
+    // Higher orders are keyed by the chords before the current one
+    assert.deepStrictEqual([...corpus.major.transitions[2].get('2m7,57')], [['1maj7', 2]]);
+    assert.deepStrictEqual([...corpus.minor.transitions[2].get('2m7b5,57')], [['1m7', 1]]);
+    assert.strictEqual(corpus.major.transitions[3].size, 0);
+});
+
+test('modal tunes get their own corpus, degrees counted from the modal tonic', () => {
+    const tune = (key, symbols) => ({ title: '', key: parseKey(key), chords: symbols.split(' ').map(parseChordSymbol) });
+    const corpus = countCorpus([
+        tune('D dorian', 'Dm7 G7 Dm7 Cmaj7'),
+        tune('G mixolydian', 'G7 Fmaj7 G7'),
+        tune('C', 'Dm7 G7 Cmaj7'),
+    ]);
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(corpus).map(([mode, c]) => [mode, c.tunes])),
+        { major: 1, minor: 0, dorian: 1, mixolydian: 1 });
+    assert.deepStrictEqual([...corpus.dorian.transitions[1].get('1m7')], [['47', 1], ['b7maj7', 1]]);
+    assert.deepStrictEqual([...corpus.mixolydian.transitions[1].get('17')], [['b7maj7', 1]]);
+});
+
+test('CSVs keep the shipped column format and normalize per chord', () => {
+    const tune = symbols => ({ title: '', key: { tonic: 0, mode: 'major' }, chords: symbols.split(' ').map(parseChordSymbol) });
+    const { prob, trans } = buildCsvs(countCorpus([tune('Dm7 G7 C'), tune('Dm7 G7 Am7')]).major);
+    assert.strictEqual(prob, [
+        'Normalized_Chord,Count,Probability',
+        '2m7,2,0.3333333333333333',
+        '57,2,0.3333333333333333',
+        '1Maj,1,0.16666666666666666',
+        '6m7,1,0.16666666666666666',
+        '',
+    ].join('\n'));
+    assert.strictEqual(trans, [
+        'Current_Chord,Next_Chord,Count,Probability',
+        '2m7,57,2,1.0',
+        '57,1Maj,1,0.5',
+        '57,6m7,1,0.5',
+        '',
+    ].join('\n'));
+});
+
+test('2nd/3rd-order CSVs add the previous chords as leading columns', () => {
+    const tune = symbols => ({ title: '', key: { tonic: 0, mode: 'major' }, chords: symbols.split(' ').map(parseChordSymbol) });
+    const { trans2, trans3 } = buildCsvs(countCorpus([tune('Dm7 G7 C'), tune('Em7 G7 Am7')]).major);
+    assert.strictEqual(trans2, [
+        'Prev_Chord,Current_Chord,Next_Chord,Count,Probability',
+        '2m7,57,1Maj,1,1.0',
+        '3m7,57,6m7,1,1.0',
+        '',
+    ].join('\n'));
+    assert.strictEqual(trans3, 'Prev2_Chord,Prev_Chord,Current_Chord,Next_Chord,Count,Probability\n');
+});
+
+test('import_corpus.js writes CSVs the app can load', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'argo-corpus-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'charts'));
+        fs.writeFileSync(path.join(dir, 'charts', 'a.txt'), 'Key: C\n| Dm7 G7 | Cmaj7 | Am7 | Dm7 G7 | C6 |\n');
+        fs.writeFileSync(path.join(dir, 'charts', 'b.cho'), '{key: Dm}\n[Em7b5]one [A7b9]two [Dm7]three\n');
+        fs.writeFileSync(path.join(dir, 'charts', 'c.txt'), 'Key: E dorian\n| Em7 | A7 | Em7 | Dmaj7 |\n');
+        const out = path.join(dir, 'out');
+        const args = [path.join(ROOT, 'import_corpus.js'), path.join(dir, 'charts'), '--out', out];
+
+        const run = spawnSync(process.execPath, args, { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(run.status, 0, run.stderr);
+        assert.deepStrictEqual(fs.readdirSync(out).sort(), [
+            'Dorian_Normalized_Probabilities.csv', 'Dorian_Normalized_Transitions.csv',
+            'Dorian_Normalized_Transitions_Order2.csv', 'Dorian_Normalized_Transitions_Order3.csv',
+            'Major_Normalized_Probabilities.csv', 'Major_Normalized_Transitions.csv',
+            'Major_Normalized_Transitions_Order2.csv', 'Major_Normalized_Transitions_Order3.csv',
+            'Minor_Normalized_Probabilities.csv', 'Minor_Normalized_Transitions.csv',
+            'Minor_Normalized_Transitions_Order2.csv', 'Minor_Normalized_Transitions_Order3.csv',
+        ]);
+
+        // Existing files are kept unless --force
+        assert.strictEqual(spawnSync(process.execPath, args, { encoding: 'utf8', timeout: 60000 }).status, 1);
+        assert.strictEqual(spawnSync(process.execPath, [...args, '--force'], { encoding: 'utf8', timeout: 60000 }).status, 0);
+
+        const rows = file => fs.readFileSync(path.join(out, file), 'utf8').trim().split('\n').slice(1).map(l => l.split(','));
+        const { transitions } = buildChordData(
+            rows('Minor_Normalized_Probabilities.csv').map(([chord, , p]) => ({ chord, prob: parseFloat(p) })),
+            rows('Minor_Normalized_Transitions.csv').map(([current, next, count]) => ({ current, next, count: parseFloat(count) })),
+            { nodes: [] }, 'minor',
+        );
+        assert.deepStrictEqual(transitions.get('iim7b5'), [{ next: 'V7alt', prob: 1 }]);
+
+        // A dorian corpus maps onto the Dorian layout's names
+        const dorian = buildChordData(
+            rows('Dorian_Normalized_Probabilities.csv').map(([chord, , p]) => ({ chord, prob: parseFloat(p) })),
+            rows('Dorian_Normalized_Transitions.csv').map(([current, next, count]) => ({ current, next, count: parseFloat(count) })),
+            { nodes: [] }, 'minor',
+        );
+        assert.deepStrictEqual(dorian.transitions.get('im7'), [{ next: 'IV7', prob: 0.5 }, { next: 'bVIImaj7', prob: 0.5 }]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
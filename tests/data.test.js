@@ -0,0 +1,296 @@
+/**
+ * Chord mapping / transition processing tests — run with: node --test tests/
+ *
+ * argo-core.js is a browser script; it only exposes its pure data functions
+ * through module.exports when loaded under Node. The corpus tests read the
+ * real CSVs and layouts the way loadArgoData() does.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const {
+    SCALE_MODES,
+    LAYOUT_ALIASES,
+    mapCsvChordToRoman,
+    buildChordData,
+    parseContextCsv,
+    buildContextTransitions,
+    blendContextTransitions,
+    fitLayout,
+} = require('../argo-core.js');
+
+const ROOT = path.join(__dirname, '..');
+const EPSILON = 1e-9;
+
+function readCsv(file) {
+    const [header, ...lines] = fs.readFileSync(path.join(ROOT, file), 'utf8').trim().split(/\r?\n/);
+    const cols = header.split(',');
+    return lines.map(line => {
+        const cells = line.split(',');
+        return Object.fromEntries(cols.map((c, i) => [c, cells[i]]));
+    });
+}
+
+function readLayout(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function corpusRows(mode) {
+    const probRows = readCsv(mode.prob).map(r => ({ chord: r.Normalized_Chord, prob: parseFloat(r.Probability) }));
+    const transRows = readCsv(mode.trans).map(r => ({ current: r.Current_Chord, next: r.Next_Chord, count: parseFloat(r.Count) }));
+    return { probRows, transRows };
+}
+
+// Every layout the app can show: the desktop modes plus the mobile major layout
+const LAYOUTS = [
+    ...Object.entries(SCALE_MODES).map(([name, mode]) => ({ name, mode, layout: mode.layout })),
+    { name: 'mobile major', mode: SCALE_MODES.major, layout: 'mobile/Chord_Layout_Config_Mobile_Major.json' },
+];
+
+// ============================================================
+// CSV → ROMAN
+// ============================================================
+
+test('scale degrees map to roman numerals with case by quality', () => {
+    assert.strictEqual(mapCsvChordToRoman('1maj7', false), 'Imaj7');
+    assert.strictEqual(mapCsvChordToRoman('2m7', false), 'iim7');
+    assert.strictEqual(mapCsvChordToRoman('57', false), 'V7');
+    assert.strictEqual(mapCsvChordToRoman('b7maj7', false), 'bVIImaj7');
+    assert.strictEqual(mapCsvChordToRoman('#4m7b5', false), '#ivm7b5');
+    assert.strictEqual(mapCsvChordToRoman('', false), null);
+});
+
+test('parenthetical voicings are stripped', () => {
+    assert.strictEqual(mapCsvChordToRoman('16(Fm7)', false), 'I6');
+    assert.strictEqual(mapCsvChordToRoman('4m7(b5)', false), 'ivm7');
+});
+
+test('"07" becomes a lowercase °7', () => {
+    assert.strictEqual(mapCsvChordToRoman('#407', false), '#iv°7');
+    assert.strictEqual(mapCsvChordToRoman('707', true), 'vii°7');
+});
+
+test('minor context folds altered dominants and the m9/m11 family', () => {
+    assert.strictEqual(mapCsvChordToRoman('57b9', true), 'V7alt');
+    assert.strictEqual(mapCsvChordToRoman('57#5', true), 'V7alt');
+    assert.strictEqual(mapCsvChordToRoman('57sus4b9', true), 'V7sus4b9');
+    assert.strictEqual(mapCsvChordToRoman('1m9', true), 'im7');
+    assert.strictEqual(mapCsvChordToRoman('1m', true), 'im7');
+    // Major context leaves them alone
+    assert.strictEqual(mapCsvChordToRoman('57b9', false), 'V7b9');
+    assert.strictEqual(mapCsvChordToRoman('1m9', false), 'im9');
+});
+
+// ============================================================
+// TRANSITION PROCESSING (fixtures)
+// ============================================================
+
+const FIXTURE_LAYOUT = {
+    nodes: [
+        { name: 'Imaj7', func: 'Tonic', r: 0 },
+        { name: 'IIImMaj7', func: 'Tonic', r: 3 },
+        { name: 'iim7', func: 'Subdominant', r: 3 },
+        { name: 'IVmaj7', func: 'Subdominant', r: 3 },
+        { name: 'V7', func: 'Dominant', r: 3 },
+        { name: 'vim7', func: 'Tonic', r: 4.8 },
+        { name: 'iiim7', func: 'Tonic', r: 6.6 },
+    ],
+};
+
+test('spellings that map to one chord are merged by count and renormalized', () => {
+    const { transitions } = buildChordData([], [
+        { current: '1maj7', next: '2m7', count: 2 },
+        { current: '1maj7', next: '2m7(9)', count: 2 },
+        { current: '1maj7', next: '57', count: 4 },
+        { current: '1maj7', next: '1maj7', count: 9 },
+    ], { nodes: [] }, 'major');
+    assert.deepStrictEqual(transitions.get('Imaj7'), [
+        { next: 'iim7', prob: 0.5 },
+        { next: 'V7', prob: 0.5 },
+    ]);
+});
+
+test('probabilities of merged spellings are summed', () => {
+    const { probabilities } = buildChordData([
+        { chord: '16', prob: 0.1 },
+        { chord: '16(Fm7)', prob: 0.05 },
+    ], [], { nodes: [] }, 'major');
+    assert.ok(Math.abs(probabilities.get('I6') - 0.15) < EPSILON);
+});
+
+test('aliases clone the source chord and targets are remapped to layout names', () => {
+    const { probabilities, transitions } = buildChordData(
+        [{ chord: '3maj7', prob: 0.2 }],
+        [
+            { current: '3maj7', next: '6m7', count: 1 },
+            { current: '2m7', next: '3maj7', count: 1 },
+        ],
+        FIXTURE_LAYOUT, 'major',
+    );
+    assert.strictEqual(probabilities.get('IIImMaj7'), 0.2);
+    assert.deepStrictEqual(transitions.get('IIImMaj7')[0], { next: 'vim7', prob: 1 });
+    // Clones are independent copies
+    assert.notStrictEqual(transitions.get('IIImMaj7')[0], transitions.get('IIImaj7')[0]);
+    // 'IIImaj7' is not on the layout, its alias is
+    assert.strictEqual(transitions.get('iim7')[0].next, 'IIImMaj7');
+});
+
+test('layout nodes are padded to five targets with synthetic probabilities', () => {
+    const { transitions } = buildChordData([], [
+        { current: '1maj7', next: '57', count: 1 },
+    ], FIXTURE_LAYOUT, 'major');
+
+    const list = transitions.get('Imaj7');
+    assert.strictEqual(list.length, 5);
+    assert.deepStrictEqual(list[0], { next: 'V7', prob: 1 });
+
+    const padding = list.slice(1);
+    assert.ok(padding.every(t => t.synthetic));
+    assert.deepStrictEqual(padding.map(t => t.prob.toFixed(2)), ['0.15', '0.13', '0.11', '0.09']);
+    // Same function first, then the closest ring
+    assert.deepStrictEqual(padding.map(t => t.next), ['IIImMaj7', 'vim7', 'iiim7', 'iim7']);
+
+    // A node with no corpus data still gets five
+    assert.strictEqual(transitions.get('iiim7').length, 5);
+});
+
+// ============================================================
+// HIGHER-ORDER CONTEXT
+// ============================================================
+
+test('order-2/3 CSVs parse with the history oldest first', () => {
+    const rows = parseContextCsv([
+        'Prev2_Chord,Prev_Chord,Current_Chord,Next_Chord,Count,Probability',
+        '6m7,2m7,57,1maj7,3,0.75',
+        '6m7,2m7,57,16,1,0.25',
+    ].join('\n'));
+    assert.deepStrictEqual(rows[0], { history: ['6m7', '2m7', '57'], next: '1maj7', count: 3 });
+    assert.deepStrictEqual(parseContextCsv('Prev_Chord,Current_Chord,Next_Chord,Count,Probability\n2m7,57,1maj7,2,1.0')[0].history, ['2m7', '57']);
+});
+
+test('contexts are mapped to layout names and normalized', () => {
+    const contexts = buildContextTransitions([
+        { history: ['2m7', '57'], next: '1maj7', count: 3 },
+        { history: ['2m7', '57'], next: '3maj7', count: 1 },
+        { history: ['2m7', '57'], next: '57', count: 5 },
+        { history: ['3maj7', '2m7'], next: '57', count: 2 },
+    ], FIXTURE_LAYOUT, 'major');
+    assert.deepStrictEqual(contexts.get('iim7>V7'), {
+        total: 4,
+        list: [{ next: 'Imaj7', prob: 0.75 }, { next: 'IIImMaj7', prob: 0.25 }],
+    });
+    assert.ok(contexts.has('IIImMaj7>iim7'));
+});
+
+test('context blends into the first-order list and backs off when sparse', () => {
+    const firstOrder = [{ next: 'Imaj7', prob: 0.2 }, { next: 'vim7', prob: 0.8 }];
+    const contexts = new Map([
+        ['iim7>V7', { total: 45, list: [{ next: 'Imaj7', prob: 1 }] }],
+        ['iiim7>V7', { total: 1, list: [{ next: 'Imaj7', prob: 1 }] }],
+    ]);
+    const prob = (list, name) => list.find(t => t.next === name).prob;
+
+    // No context: first order unchanged
+    assert.strictEqual(blendContextTransitions(firstOrder, contexts, ['V7']), firstOrder);
+    assert.strictEqual(blendContextTransitions(firstOrder, contexts, ['IVmaj7', 'V7']), firstOrder);
+
+    // ii–V with plenty of data: λ = 45 / 50
+    const wellKnown = blendContextTransitions(firstOrder, contexts, ['iim7', 'V7']);
+    assert.ok(Math.abs(prob(wellKnown, 'Imaj7') - (0.2 * 0.1 + 0.9)) < EPSILON);
+    assert.ok(Math.abs(prob(wellKnown, 'vim7') - 0.08) < EPSILON);
+
+    // Seen once: λ = 1 / 6, first order still wins
+    const sparse = blendContextTransitions(firstOrder, contexts, ['iiim7', 'V7']);
+    assert.ok(prob(sparse, 'vim7') > prob(sparse, 'Imaj7'));
+});
+
+// ============================================================
+// REAL CORPUS
+// ============================================================
+
+for (const context of ['major', 'minor']) {
+    const mode = SCALE_MODES[context];
+
+    test(`${context} probability CSV sums to 1 and survives mapping`, () => {
+        const { probRows, transRows } = corpusRows(mode);
+        const csvTotal = probRows.reduce((sum, r) => sum + r.prob, 0);
+        assert.ok(Math.abs(csvTotal - 1) < 1e-6, `CSV total ${csvTotal}`);
+
+        const { probabilities } = buildChordData(probRows, transRows, { nodes: [] }, context);
+        let mapped = 0;
+        probabilities.forEach((p, name) => {
+            // Alias entries are copies of another chord's probability
+            if (!(name in LAYOUT_ALIASES[context])) mapped += p;
+        });
+        assert.ok(Math.abs(mapped - 1) < 1e-6, `mapped total ${mapped}`);
+    });
+}
+
+for (const { name, mode, layout: layoutFile } of LAYOUTS) {
+    test(`${name}: every layout node has valid outgoing transitions`, () => {
+        const { probRows, transRows } = corpusRows(mode);
+        const layout = readLayout(layoutFile);
+        const { transitions } = buildChordData(probRows, transRows, layout, mode.context);
+        const names = new Set(layout.nodes.map(n => n.name));
+
+        for (const node of layout.nodes) {
+            const list = transitions.get(node.name);
+            assert.ok(list, `${node.name} has no transitions`);
+
+            const onLayout = list.filter(t => names.has(t.next) && t.next !== node.name);
+            assert.ok(onLayout.length >= 5, `${node.name}: ${onLayout.length} layout targets`);
+
+            for (const t of list) {
+                assert.notStrictEqual(t.next, node.name, `${node.name} loops to itself`);
+                assert.ok(Number.isFinite(t.prob) && t.prob > 0 && t.prob <= 1, `${node.name} → ${t.next}: ${t.prob}`);
+            }
+        }
+    });
+
+    test(`${name}: corpus transitions are normalized per chord`, () => {
+        const { probRows, transRows } = corpusRows(mode);
+        const layout = readLayout(layoutFile);
+        const { transitions } = buildChordData(probRows, transRows, layout, mode.context);
+
+        let checked = 0;
+        transitions.forEach((list, chord) => {
+            const corpus = list.filter(t => !t.synthetic);
+            if (corpus.length === 0) return;
+            const total = corpus.reduce((sum, t) => sum + t.prob, 0);
+            assert.ok(Math.abs(total - 1) < 1e-9, `${chord} sums to ${total}`);
+            checked++;
+        });
+        assert.ok(checked > 0);
+    });
+}
+
+// ============================================================
+// LAYOUT FIT + DATA LINTER
+// ============================================================
+
+test('layouts fit right of the sidebar with the outer ring inside the margin', () => {
+    const layout = { nodes: [{ r: 0 }, { r: 8 }] };
+    assert.deepStrictEqual(fitLayout(layout, 1280, 720, 280, 50), { centerX: 780, centerY: 360, scale: 310 / 8 });
+    // Narrow portrait: the width limits the scale
+    assert.strictEqual(fitLayout(layout, 360, 800, 0, 60).scale, 120 / 8);
+    assert.strictEqual(fitLayout({ nodes: [{ r: 0 }] }, 800, 600, 0, 50).scale, 35);
+});
+
+test('validate_layout.js --json reports every layout, and the shipped data passes', () => {
+    const run = spawnSync(process.execPath, [path.join(ROOT, 'validate_layout.js'), '--json'], { encoding: 'utf8', timeout: 60000 });
+    const reportJson = JSON.parse(run.stdout);
+    // The shipped data passes (warnings only)
+    assert.strictEqual(reportJson.ok, true);
+    assert.strictEqual(reportJson.errors, 0);
+    assert.strictEqual(run.status, 0);
+    assert.strictEqual(reportJson.errors + reportJson.warnings, reportJson.issues.length);
+    assert.deepStrictEqual(reportJson.layouts.map(l => l.file).sort(), LAYOUTS.map(l => l.layout).sort());
+    for (const issue of reportJson.issues) {
+        assert.ok(['error', 'warning'].includes(issue.level));
+        assert.ok(issue.check && issue.file && issue.message);
+    }
+});
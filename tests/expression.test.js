@@ -0,0 +1,37 @@
+/**
+ * Expression tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { expressionOffset, expressionParams } = require('../argo-core.js');
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('the node centre plays the chord as it is', () => {
+    const params = expressionParams(expressionOffset(0, 0, 22));
+    assert.strictEqual(params.filterMul, 1);
+    assert.strictEqual(params.spread, 0);
+    assert.strictEqual(params.shimmer, 1);
+});
+
+test('offsets scale with the node radius and stop at full reach', () => {
+    const half = expressionOffset(33, 0, 22);
+    assert.ok(close(half.x, 0.5) && half.y === 0);
+    const far = expressionOffset(0, -1000, 22, 0.8);
+    assert.ok(close(far.y, -1) && far.x === 0);
+    assert.strictEqual(far.pressure, 0.8);
+    const diagonal = expressionOffset(300, 400, 10);
+    assert.ok(close(Math.hypot(diagonal.x, diagonal.y), 1));
+});
+
+test('up opens the filter, sideways spreads the detune, pressure drives the shimmer', () => {
+    const up = expressionParams({ x: 0, y: -1, pressure: 0.5 });
+    const down = expressionParams({ x: 0, y: 1, pressure: 0.5 });
+    assert.ok(up.filterMul > 2 && down.filterMul < 0.5);
+    assert.ok(close(up.filterMul * down.filterMul, 1));
+    assert.strictEqual(expressionParams({ x: -0.5, y: 0, pressure: 0.5 }).spread, expressionParams({ x: 0.5, y: 0, pressure: 0.5 }).spread);
+    assert.strictEqual(expressionParams({ x: 0, y: 0, pressure: 0 }).shimmer, 0);
+    assert.strictEqual(expressionParams({ x: 0, y: 0, pressure: 1.4 }).shimmer, 2);
+});
@@ -0,0 +1,102 @@
+/**
+ * Instrument tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    INSTRUMENTS,
+    sfzNoteNumber,
+    parseSfz,
+    sampleRootFromName,
+    regionsFromSamples,
+    sampleRegionsFor,
+    wavetableCoefficients,
+} = require('../argo-instruments.js');
+
+test('SFZ notes read as numbers or names with c4 = 60', () => {
+    assert.strictEqual(sfzNoteNumber('60'), 60);
+    assert.strictEqual(sfzNoteNumber('c4'), 60);
+    assert.strictEqual(sfzNoteNumber('C#4'), 61);
+    assert.strictEqual(sfzNoteNumber('db4'), 61);
+    assert.strictEqual(sfzNoteNumber('a-1'), 9);
+    assert.strictEqual(sfzNoteNumber('h4'), null);
+    assert.strictEqual(sfzNoteNumber('200'), null);
+});
+
+test('SFZ regions inherit group and global opcodes', () => {
+    const { regions, problems } = parseSfz(`
+// Felt piano
+<control> default_path=samples\\
+<global> volume=-3 ampeg_attack=0.01
+<group> lovel=1 hivel=80
+<region> sample=Piano C3.wav lokey=c3 hikey=f3 pitch_keycenter=c3
+<region> sample=piano_g3.wav key=g3 tune=-12 /* pp layer */
+<group> lovel=81
+<region> sample=loud.wav lokey=0 hikey=127 loop_mode=loop_continuous loop_start=100 loop_end=5000
+<region> lokey=10
+`);
+    assert.strictEqual(regions.length, 3);
+    assert.deepStrictEqual(problems, ['region 4 has no sample']);
+
+    assert.strictEqual(regions[0].sample, 'samples/Piano C3.wav');
+    assert.deepStrictEqual([regions[0].lokey, regions[0].hikey, regions[0].key], [48, 53, 48]);
+    assert.deepStrictEqual([regions[0].lovel, regions[0].hivel], [1, 80]);
+    assert.strictEqual(regions[0].volume, -3);
+    assert.strictEqual(regions[0].attack, 0.01);
+
+    assert.deepStrictEqual([regions[1].lokey, regions[1].hikey, regions[1].key], [55, 55, 55]);
+    assert.strictEqual(regions[1].tune, -12);
+
+    assert.deepStrictEqual([regions[2].lovel, regions[2].hivel], [81, 127]);
+    assert.strictEqual(regions[2].loopMode, 'loop_continuous');
+    assert.deepStrictEqual([regions[2].loopStart, regions[2].loopEnd], [100, 5000]);
+});
+
+test('loose sample files take their root from the name', () => {
+    assert.strictEqual(sampleRootFromName('Piano C#3.wav'), 49);
+    assert.strictEqual(sampleRootFromName('pad_Bb2.ogg'), 46);
+    assert.strictEqual(sampleRootFromName('strings/v2_A4.flac'), 69);
+    assert.strictEqual(sampleRootFromName('epiano-60.wav'), 60);
+    assert.strictEqual(sampleRootFromName('ambience.wav'), null);
+});
+
+test('loose samples split the keyboard halfway between roots', () => {
+    const regions = regionsFromSamples([
+        { sample: 'c5.wav', key: 72 },
+        { sample: 'c3.wav', key: 48 },
+        { sample: 'noise.wav', key: null },
+        { sample: 'g3.wav', key: 55 },
+    ]);
+    assert.deepStrictEqual(regions.map(r => [r.sample, r.lokey, r.hikey, r.key]), [
+        ['c3.wav', 0, 51, 48],
+        ['g3.wav', 52, 63, 55],
+        ['c5.wav', 64, 127, 72],
+    ]);
+});
+
+test('every matching region sounds; misses borrow the nearest one', () => {
+    const regions = [
+        { sample: 'soft', lokey: 48, hikey: 59, lovel: 1, hivel: 80 },
+        { sample: 'loud', lokey: 48, hikey: 59, lovel: 81, hivel: 127 },
+        { sample: 'pad', lokey: 55, hikey: 72, lovel: 1, hivel: 127 },
+    ];
+    assert.deepStrictEqual(sampleRegionsFor(regions, 50, 60).map(r => r.sample), ['soft']);
+    assert.deepStrictEqual(sampleRegionsFor(regions, 57, 100).map(r => r.sample), ['loud', 'pad']);
+    assert.deepStrictEqual(sampleRegionsFor(regions, 80, 60).map(r => r.sample), ['pad']);
+    assert.deepStrictEqual(sampleRegionsFor(regions, 40, 100).map(r => r.sample), ['loud']);
+    assert.deepStrictEqual(sampleRegionsFor([], 60, 100), []);
+});
+
+test('wavetable frames become sine partials', () => {
+    const { real, imag } = wavetableCoefficients([1, 0.5, 0.25]);
+    assert.deepStrictEqual([...real], [0, 0, 0, 0]);
+    assert.deepStrictEqual([...imag], [0, 1, 0.5, 0.25]);
+});
+
+test('RYOJI stays the oscillator preset among the instruments', () => {
+    assert.deepStrictEqual(Object.keys(INSTRUMENTS), ['ryoji', 'fmep', 'wavetable', 'sampler']);
+    assert.strictEqual(INSTRUMENTS.ryoji.build, null);
+    assert.strictEqual(INSTRUMENTS.sampler.ready(), false);
+});
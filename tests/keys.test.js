@@ -0,0 +1,84 @@
+/**
+ * Keyboard play tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    keyCodeFor,
+    keyLabelFor,
+    buildKeymap,
+    keyShape,
+} = require('../argo-keys.js');
+const { invertVoicing } = require('../argo-core.js');
+
+const layoutNodes = names => names.map(name => ({ name }));
+
+test('key labels and physical codes round-trip', () => {
+    assert.strictEqual(keyCodeFor('g'), 'KeyG');
+    assert.strictEqual(keyCodeFor('G'), 'KeyG');
+    assert.strictEqual(keyCodeFor(';'), 'Semicolon');
+    assert.strictEqual(keyCodeFor('7'), 'Digit7');
+    assert.strictEqual(keyCodeFor('3'), null);   // 1-5 jump to the top-5
+    assert.strictEqual(keyCodeFor('F1'), null);
+    ['KeyG', 'Semicolon', 'Digit7', 'BracketLeft'].forEach(code => assert.strictEqual(keyCodeFor(keyLabelFor(code)), code));
+    assert.strictEqual(keyLabelFor('KeyG'), 'G');
+    assert.strictEqual(keyLabelFor('Space'), null);
+});
+
+test('nodes take the home row first, in layout order', () => {
+    const { map, problems } = buildKeymap(layoutNodes(['1', '4', '5', '6m']));
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual([...map], [['KeyA', '1'], ['KeyS', '4'], ['KeyD', '5'], ['KeyF', '6m']]);
+});
+
+test('layout pins win and the rest fill the free keys', () => {
+    const { map } = buildKeymap(layoutNodes(['1', '4', '5']), { 5: 'a', 1: 'j' });
+    assert.strictEqual(map.get('KeyA'), '5');
+    assert.strictEqual(map.get('KeyJ'), '1');
+    assert.strictEqual(map.get('KeyS'), '4');
+    assert.strictEqual(map.size, 3);
+});
+
+test('bad pins are reported and skipped', () => {
+    const { map, problems } = buildKeymap(layoutNodes(['1', '4', '5']), { 1: 'a', 4: 'A', 5: '2', 9: 'k' });
+    assert.deepStrictEqual(problems, [
+        'keymap: "A" is taken by 1',
+        'keymap: 5 → "2" is not a playable key',
+        'keymap: 9 is not in the layout',
+    ]);
+    assert.deepStrictEqual([...map.values()].sort(), ['1', '4', '5']);
+});
+
+test('the shipped major layout gets a key on every node, the number pad included', () => {
+    const { nodes } = require('../Chord_Layout_Config_v11_Major.json');
+    const { map, problems } = buildKeymap(nodes);
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(map.size, nodes.length);
+    assert.ok(![...map.keys()].some(code => /^Digit[1-5]$/.test(code)));
+    assert.strictEqual(map.get('Numpad7'), nodes[42].name);
+    assert.strictEqual(keyCodeFor(keyLabelFor('NumpadAdd')), 'NumpadAdd');
+});
+
+test('nodes beyond the last free key are reported', () => {
+    const names = Array.from({ length: 60 }, (_, i) => `x${i}`);
+    const { map, problems } = buildKeymap(layoutNodes(names));
+    assert.strictEqual(map.size, 57);
+    assert.deepStrictEqual(problems, ['keymap: no key left for x57, x58, x59']);
+});
+
+test('modifiers pick inversion or octave', () => {
+    assert.deepStrictEqual(keyShape({}), { inversion: 0, octave: 0 });
+    assert.deepStrictEqual(keyShape({ shiftKey: true }), { inversion: 1, octave: 0 });
+    assert.deepStrictEqual(keyShape({ altKey: true }), { inversion: 0, octave: -1 });
+    assert.deepStrictEqual(keyShape({ shiftKey: true, altKey: true }), { inversion: 0, octave: 1 });
+});
+
+test('inversions raise the lowest notes, octaves shift the chord', () => {
+    assert.deepStrictEqual(invertVoicing([64, 60, 67]), [60, 64, 67]);
+    assert.deepStrictEqual(invertVoicing([60, 64, 67], 1), [64, 67, 72]);
+    assert.deepStrictEqual(invertVoicing([60, 64, 67], 2), [67, 72, 76]);
+    assert.deepStrictEqual(invertVoicing([60, 64, 67], 0, -1), [48, 52, 55]);
+    assert.deepStrictEqual(invertVoicing([60], 3), [60]);
+});
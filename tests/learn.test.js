@@ -0,0 +1,68 @@
+/**
+ * Transition learning tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    sanitizeLearned,
+    mergeLearned,
+    learnedTransitions,
+    blendLearnedTransitions,
+} = require('../argo-learn.js');
+
+const EPSILON = 1e-9;
+
+test('sanitize keeps positive integer counts and drops everything else', () => {
+    assert.deepStrictEqual(sanitizeLearned({
+        major: {
+            iim7: { V7: 3, IVmaj7: '2', vim7: -1, iim7: 4, bad: 'x' },
+            V7: null,
+            Imaj7: { vim7: 2.7 },
+        },
+        minor: 'nope',
+    }), {
+        major: { iim7: { V7: 3, IVmaj7: 2 }, Imaj7: { vim7: 2 } },
+    });
+    assert.deepStrictEqual(sanitizeLearned(null), {});
+    assert.deepStrictEqual(sanitizeLearned({ major: { a: { b: 1e12 } } }), { major: { a: { b: 1e6 } } });
+});
+
+test('merge adds counts table by table', () => {
+    const a = { major: { iim7: { V7: 2 } } };
+    mergeLearned(a, { major: { iim7: { V7: 1, IVmaj7: 1 } }, dorian: { im7: { IV7: 5 } } });
+    assert.deepStrictEqual(a, {
+        major: { iim7: { V7: 3, IVmaj7: 1 } },
+        dorian: { im7: { IV7: 5 } },
+    });
+});
+
+test('learned counts normalize to probabilities', () => {
+    assert.deepStrictEqual(learnedTransitions({ V7: 3, IVmaj7: 1 }), [
+        { next: 'V7', prob: 0.75 },
+        { next: 'IVmaj7', prob: 0.25 },
+    ]);
+    assert.deepStrictEqual(learnedTransitions(undefined), []);
+});
+
+test('the user weight blends learned moves into the corpus list', () => {
+    const corpus = [{ next: 'V7', prob: 0.6 }, { next: 'vim7', prob: 0.4, synthetic: true }];
+    const prob = (list, name) => list.find(t => t.next === name).prob;
+
+    // Nothing learned, or weight 0: the corpus list as is
+    assert.strictEqual(blendLearnedTransitions(corpus, {}, 0.5), corpus);
+    assert.strictEqual(blendLearnedTransitions(corpus, { bVIImaj7: 2 }, 0), corpus);
+
+    const blended = blendLearnedTransitions(corpus, { bVIImaj7: 1, V7: 1 }, 0.25);
+    assert.ok(Math.abs(prob(blended, 'V7') - (0.6 * 0.75 + 0.5 * 0.25)) < EPSILON);
+    assert.ok(Math.abs(prob(blended, 'vim7') - 0.3) < EPSILON);
+    assert.ok(Math.abs(prob(blended, 'bVIImaj7') - 0.125) < EPSILON);
+    // Your moves are real data, not padding
+    assert.strictEqual(blended.find(t => t.next === 'V7').synthetic, undefined);
+
+    // Full weight: only what you played
+    const yours = blendLearnedTransitions(corpus, { bVIImaj7: 1 }, 1);
+    assert.strictEqual(prob(yours, 'bVIImaj7'), 1);
+    assert.strictEqual(prob(yours, 'V7'), 0);
+});
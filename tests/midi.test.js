@@ -0,0 +1,77 @@
+/**
+ * MIDI input chord identification tests — run with: node --test tests/
+ *
+ * identifyChord reads CHORD_LIBRARY, CHORD_PROBABILITIES, nodes and currentKey
+ * as page globals; the tests set them from Chord_Definitions.json.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { identifyChord } = require('../argo-midi.js');
+
+const LIBRARY = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'Chord_Definitions.json'), 'utf8'));
+
+function identify(notes, { key = 0, onScreen = [], probabilities = [] } = {}) {
+    Object.assign(global, {
+        CHORD_LIBRARY: LIBRARY,
+        CHORD_PROBABILITIES: new Map(probabilities),
+        nodes: onScreen.map(name => ({ name })),
+        currentKey: key,
+    });
+    try {
+        return identifyChord(notes);
+    } finally {
+        for (const name of ['CHORD_LIBRARY', 'CHORD_PROBABILITIES', 'nodes', 'currentKey']) delete global[name];
+    }
+}
+
+test('root position matches exactly', () => {
+    const match = identify([60, 64, 67, 71]);
+    assert.strictEqual(match.name, 'Imaj7');
+    assert.strictEqual(match.exact, true);
+});
+
+test('inversions and spread voicings match the same chord', () => {
+    for (const notes of [[64, 67, 71, 72], [67, 71, 72, 76], [71, 72, 76, 79], [48, 71, 76, 79]]) {
+        const match = identify(notes);
+        assert.strictEqual(match.name, 'Imaj7', notes.join(' '));
+        assert.strictEqual(match.exact, true, notes.join(' '));
+    }
+});
+
+test('pitch classes are read relative to the key', () => {
+    assert.strictEqual(identify([62, 66, 69, 73], { key: 2 }).name, 'Imaj7');
+    assert.strictEqual(identify([57, 60, 64, 67], { key: 0 }).name, 'vim7');
+    assert.strictEqual(identify([59, 62, 66, 69], { key: 2 }).name, 'vim7');
+});
+
+test('the bass note picks between chords with the same notes', () => {
+    assert.strictEqual(identify([57, 60, 64, 67]).name, 'vim7');
+    assert.strictEqual(identify([48, 57, 64, 67]).name, 'I6');
+});
+
+test('a near miss returns the closest chord, not exact', () => {
+    const extra = identify([60, 64, 67, 71, 73]);
+    assert.strictEqual(extra.name, 'Imaj7');
+    assert.strictEqual(extra.exact, false);
+    assert.strictEqual(extra.common, 4);
+
+    const triad = identify([60, 64, 67]);
+    assert.strictEqual(triad.exact, false);
+    assert.strictEqual(triad.common, 3);
+    assert.strictEqual(triad.size, 4);
+});
+
+test('on-screen nodes, then corpus probability, break ties', () => {
+    const tied = identify([60, 64, 67]);
+    const other = tied.name === 'I6' ? 'Imaj7' : 'I6';
+    assert.strictEqual(identify([60, 64, 67], { onScreen: [other] }).name, other);
+    assert.strictEqual(identify([60, 64, 67], { probabilities: [[other, 0.5]] }).name, other);
+});
+
+test('no notes, no chord', () => {
+    assert.strictEqual(identify([]), null);
+});
@@ -0,0 +1,124 @@
+/**
+ * Standard MIDI File writer tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SMF_PPQ, SMF_TRACKS, buildMidiFile } = require('../argo-midifile.js');
+
+/** .mid bytes → { format, ppq, tracks: [[{ delta, tick, bytes }]] } */
+function parseSmf(bytes) {
+    let pos = 0;
+    const u32 = () => { const v = (bytes[pos] << 24 | bytes[pos + 1] << 16 | bytes[pos + 2] << 8 | bytes[pos + 3]) >>> 0; pos += 4; return v; };
+    const u16 = () => { const v = bytes[pos] << 8 | bytes[pos + 1]; pos += 2; return v; };
+    const str = (n) => { const s = String.fromCharCode(...bytes.slice(pos, pos + n)); pos += n; return s; };
+    const varLen = () => { let v = 0, b; do { b = bytes[pos++]; v = (v << 7) | (b & 0x7F); } while (b & 0x80); return v; };
+
+    assert.strictEqual(str(4), 'MThd');
+    assert.strictEqual(u32(), 6);
+    const format = u16();
+    const count = u16();
+    const ppq = u16();
+
+    const tracks = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(str(4), 'MTrk');
+        const end = u32() + pos;
+        const events = [];
+        let tick = 0;
+        while (pos < end) {
+            const delta = varLen();
+            tick += delta;
+            const start = pos;
+            if (bytes[pos] === 0xFF) {
+                pos += 2;
+                const len = varLen();
+                pos += len;
+            } else {
+                pos += 3;
+            }
+            events.push({ delta, tick, bytes: [...bytes.slice(start, pos)] });
+        }
+        assert.strictEqual(pos, end, 'track length matches its events');
+        tracks.push(events);
+    }
+    assert.strictEqual(pos, bytes.length, 'no trailing bytes');
+    return { format, ppq, tracks };
+}
+
+const notesOf = (track) => track.filter(e => (e.bytes[0] & 0xE0) === 0x80);
+
+test('header: format 1, a conductor track plus one per kind, PPQ', () => {
+    const smf = parseSmf(buildMidiFile([]));
+    assert.strictEqual(smf.format, 1);
+    assert.strictEqual(smf.ppq, SMF_PPQ);
+    assert.strictEqual(smf.tracks.length, 1 + SMF_TRACKS.length);
+    smf.tracks.forEach(track => assert.deepStrictEqual(track[track.length - 1].bytes, [0xFF, 0x2F, 0x00]));
+});
+
+test('conductor track carries the title, tempo and 4/4', () => {
+    const { tracks } = parseSmf(buildMidiFile([], { bpm: 90, title: 'Take' }));
+    const [title, tempo, meter] = tracks[0];
+    assert.deepStrictEqual(title.bytes, [0xFF, 0x03, 4, ...Buffer.from('Take')]);
+    const usPerBeat = Math.round(60000000 / 90);
+    assert.deepStrictEqual(tempo.bytes, [0xFF, 0x51, 0x03, usPerBeat >> 16, (usPerBeat >> 8) & 0xFF, usPerBeat & 0xFF]);
+    assert.deepStrictEqual(meter.bytes, [0xFF, 0x58, 0x04, 4, 2, 24, 8]);
+});
+
+test('notes land on their kind\'s track at PPQ ticks for the tempo', () => {
+    const notes = [
+        { note: 60, vel: 100, at: 0, dur: 500, kind: 'pad' },
+        { note: 72, vel: 80, at: 250, dur: 100, kind: 'arp' },
+        { note: 36, vel: 90, at: 1000, dur: 1000, kind: 'bass' },
+    ];
+    const { tracks } = parseSmf(buildMidiFile(notes, { bpm: 120, channel: 2 }));
+    const trackOf = kind => tracks[1 + SMF_TRACKS.findIndex(t => t.kind === kind)];
+
+    // 120 BPM: one beat = 500 ms = SMF_PPQ ticks
+    assert.deepStrictEqual(notesOf(trackOf('pad')).map(e => [e.tick, ...e.bytes]), [
+        [0, 0x92, 60, 100],
+        [SMF_PPQ, 0x82, 60, 0],
+    ]);
+    assert.deepStrictEqual(notesOf(trackOf('arp')).map(e => [e.tick, ...e.bytes]), [
+        [SMF_PPQ / 2, 0x92, 72, 80],
+        [Math.round(SMF_PPQ * 0.7), 0x82, 72, 0],
+    ]);
+    assert.deepStrictEqual(notesOf(trackOf('bass')).map(e => e.tick), [SMF_PPQ * 2, SMF_PPQ * 4]);
+    assert.strictEqual(notesOf(trackOf('ghost')).length, 0);
+});
+
+test('deltas use variable-length quantities', () => {
+    // 10 s at 120 BPM = 20 beats = 9600 ticks → two bytes
+    const bytes = buildMidiFile([{ note: 60, vel: 100, at: 10000, dur: 500, kind: 'pad' }]);
+    const { tracks } = parseSmf(bytes);
+    const [on, off] = notesOf(tracks[1]);
+    assert.strictEqual(on.delta, 9600);
+    assert.strictEqual(off.delta, SMF_PPQ);
+    const at = bytes.indexOf(0x90);
+    assert.deepStrictEqual([...bytes.slice(at - 2, at)], [0x80 | (9600 >> 7), 9600 & 0x7F]);
+});
+
+test('a repeated note\'s off comes before the next on at the same tick', () => {
+    const notes = [
+        { note: 60, vel: 100, at: 0, dur: 500, kind: 'pad' },
+        { note: 60, vel: 90, at: 500, dur: 500, kind: 'pad' },
+    ];
+    const { tracks } = parseSmf(buildMidiFile(notes));
+    assert.deepStrictEqual(notesOf(tracks[1]).map(e => [e.tick, e.bytes[0], e.bytes[2]]), [
+        [0, 0x90, 100],
+        [SMF_PPQ, 0x80, 0],
+        [SMF_PPQ, 0x90, 90],
+        [SMF_PPQ * 2, 0x80, 0],
+    ]);
+});
+
+test('a note shorter than a tick still lasts one, and out-of-range notes are dropped', () => {
+    const notes = [
+        { note: 60, vel: 100, at: 0, dur: 0.1, kind: 'arp' },
+        { note: 128, vel: 100, at: 0, dur: 500, kind: 'arp' },
+        { note: -1, vel: 100, at: 0, dur: 500, kind: 'arp' },
+    ];
+    const { tracks } = parseSmf(buildMidiFile(notes));
+    assert.deepStrictEqual(notesOf(tracks[2]).map(e => [e.tick, e.bytes[1]]), [[0, 60], [1, 60]]);
+});
@@ -0,0 +1,143 @@
+/**
+ * Seeded ORBIT tests — run with: node --test tests/
+ *
+ * The plan tests load argo-state.js, argo-clock.js and argo-render.js into one
+ * context, as the page's script tags do, with stub nodes and a stub engine.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { createSeededRandom, orbitForkRandom } = require('../argo-state.js');
+
+function draws(rand, n) {
+    return Array.from({ length: n }, () => rand());
+}
+
+// ============================================================
+// SEEDED STREAM
+// ============================================================
+
+test('the same seed gives the same sequence', () => {
+    assert.deepStrictEqual(draws(createSeededRandom(42), 20), draws(createSeededRandom(42), 20));
+    assert.notDeepStrictEqual(draws(createSeededRandom(42), 20), draws(createSeededRandom(43), 20));
+    for (const x of draws(createSeededRandom(7), 1000)) assert.ok(x >= 0 && x < 1);
+});
+
+test('seeds are taken as unsigned 32-bit', () => {
+    assert.deepStrictEqual(draws(createSeededRandom(-1), 5), draws(createSeededRandom(4294967295), 5));
+});
+
+test('a fork takes one draw from its parent, whatever it draws itself', () => {
+    const plain = createSeededRandom(42);
+    plain();
+    const expected = draws(plain, 10);
+
+    const parent = createSeededRandom(42);
+    const fork = orbitForkRandom(parent);
+    draws(fork, 100);
+    assert.deepStrictEqual(draws(parent, 10), expected);
+});
+
+test('forks are reproducible and independent of each other', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    assert.deepStrictEqual(draws(orbitForkRandom(a), 10), draws(orbitForkRandom(b), 10));
+
+    const first = orbitForkRandom(a);
+    const second = orbitForkRandom(a);
+    assert.notDeepStrictEqual(draws(first, 10), draws(second, 10));
+});
+
+// ============================================================
+// ORBIT PLAN
+// ============================================================
+
+const CHORDS = {
+    Imaj7: { root: 0, intervals: [0, 4, 7, 11] },
+    vim7: { root: 9, intervals: [0, 3, 7, 10] },
+    IVmaj7: { root: 5, intervals: [0, 4, 7, 11] },
+    V7: { root: 7, intervals: [0, 4, 7, 10] },
+};
+const MOVES = {
+    Imaj7: [{ next: 'vim7', prob: 0.5 }, { next: 'IVmaj7', prob: 0.3 }, { next: 'V7', prob: 0.2 }],
+    vim7: [{ next: 'IVmaj7', prob: 0.6 }, { next: 'V7', prob: 0.4 }],
+    IVmaj7: [{ next: 'V7', prob: 0.7 }, { next: 'Imaj7', prob: 0.3 }],
+    V7: [{ next: 'Imaj7', prob: 0.9 }, { next: 'vim7', prob: 0.1 }],
+};
+
+/** A page with the three scripts loaded; played: chord names in the order the plan voices them */
+function loadPage() {
+    const played = [];
+    const ctx = vm.createContext({
+        console,
+        document: { getElementById: () => null },
+        nodes: Object.entries(CHORDS).map(([name, data]) => ({ name, data: { name, ...data } })),
+        activeNode: null,
+        lastPlayedNode: null,
+        currentKey: 0,
+        CHORD_HISTORY_MAX: 3,
+        midiToFreq: (m) => 440 * Math.pow(2, (m - 69) / 12),
+        topTransitions: (name) => MOVES[name] || [],
+        audioSystem: {
+            arpSpeed: 180, arpMode: 'up', arpDiv: 'free', morphTime: 0.5, instrument: 'ryoji',
+            baseVoicing(def, key) {
+                played.push(def.name);
+                return def.intervals.map(iv => 60 + key + def.root + iv);
+            },
+            scatterOctaves: (notes, { rand }) => notes.map(n => (rand() < 0.2 ? n + 12 : n)),
+        },
+    });
+    const exports = {};
+    for (const file of ['argo-state.js', 'argo-clock.js', 'argo-render.js']) {
+        ctx.module = { exports: {} };
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), ctx, { filename: file });
+        Object.assign(exports, ctx.module.exports);
+    }
+    return { ...exports, played };
+}
+
+function planFor(seed, minutes = 2) {
+    const page = loadPage();
+    const plan = page.renderOrbitPlan(minutes, page.createSeededRandom(seed), 'Imaj7');
+    // Plain objects: each page has its own Object prototype
+    return JSON.parse(JSON.stringify({ plan, played: page.played }));
+}
+
+test('the plan for a seed is the same every time', () => {
+    const a = planFor(42);
+    const b = planFor(42);
+    assert.ok(a.plan.layers.length > 0);
+    assert.deepStrictEqual(a.plan, b.plan);
+    assert.deepStrictEqual(a.played, b.played);
+    assert.notDeepStrictEqual(planFor(43).plan.layers, a.plan.layers);
+});
+
+test('seed 42 keeps its run, so shared links replay what was heard', () => {
+    const { plan, played } = planFor(42);
+    assert.deepStrictEqual(played.slice(0, 8), ['Imaj7', 'Imaj7', 'Imaj7', 'vim7', 'vim7', 'vim7', 'vim7', 'V7']);
+    const starts = [...new Set(plan.layers.map(l => Math.round(l.start * 1000)))].slice(0, 4);
+    assert.deepStrictEqual(starts, [1794, 2088, 4569, 7195]);
+});
+
+test('the plan starts from the given node and follows the transition table', () => {
+    const { played } = planFor(42);
+    assert.strictEqual(played[0], 'Imaj7');
+    const moves = played.filter((name, i) => i > 0 && name !== played[i - 1]).length;
+    assert.ok(moves > 0, 'the run moves on');
+    played.forEach((name, i) => {
+        if (i === 0 || name === played[i - 1]) return;
+        assert.ok(MOVES[played[i - 1]].some(m => m.next === name), `${played[i - 1]} → ${name}`);
+    });
+});
+
+test('a longer plan begins with the shorter one', () => {
+    const short = planFor(42, 1);
+    const long = planFor(42, 2);
+    const within = (layers) => layers.filter(l => l.start < 50);
+    assert.deepStrictEqual(within(long.plan.layers), within(short.plan.layers));
+    assert.deepStrictEqual(long.played.slice(0, 3), short.played.slice(0, 3));
+});
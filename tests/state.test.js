@@ -0,0 +1,264 @@
+/**
+ * State schema tests — run with: node --test tests/
+ *
+ * argo-state.js is a browser script; it only exposes its pure state
+ * functions through module.exports when loaded under Node.
+ * pako is swapped for a zlib shim (same deflate/zlib format) to cover both paths.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const {
+    STATE_VERSION,
+    migrateState,
+    validateState,
+    serializeToURL,
+    deserializeFromURL,
+    decodeStatePayload,
+    applyState,
+    applyPendingAudioState,
+} = require('../argo-state.js');
+
+const pakoShim = {
+    deflate: (str) => new Uint8Array(zlib.deflateSync(Buffer.from(str, 'utf8'))),
+    inflate: (bytes) => zlib.inflateSync(Buffer.from(bytes)).toString('utf8'),
+};
+
+function withPako(fn) {
+    global.pako = pakoShim;
+    try { return fn(); } finally { delete global.pako; }
+}
+
+const SAMPLE = {
+    v: 3,
+    mode: 'manual',
+    key: 9,
+    scale: 'dorian',
+    node: 'vim7',
+    octave: 3,
+    orbit: { density: 40, scatter: 35, drift: 50, ghosts: 30, warmth: 60, seed: 123456789, start: 'IVmaj7' },
+    fx: { filter: true, delay: false, reverb: true, arp: false },
+    params: {
+        filterFreq: 0.6, filterRes: 0.1, delayDepth: 0.3, delayTime: 0.25,
+        reverbDepth: 0.5, arpSpeed: 180, arpMode: 'random-fixed', morphTime: 500,
+        instrument: 'wavetable',
+    },
+};
+
+// ============================================================
+// SERIALIZE / DESERIALIZE
+// ============================================================
+
+test('round trip without pako', () => {
+    const encoded = serializeToURL(SAMPLE);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/, 'payload is URL-safe');
+    assert.deepStrictEqual(deserializeFromURL(encoded), SAMPLE);
+});
+
+test('round trip with pako', () => {
+    withPako(() => {
+        const encoded = serializeToURL(SAMPLE);
+        assert.match(encoded, /^[A-Za-z0-9_-]+$/, 'payload is URL-safe');
+        assert.deepStrictEqual(deserializeFromURL(encoded), SAMPLE);
+    });
+});
+
+test('non-ASCII chord names survive both paths', () => {
+    const state = { ...SAMPLE, node: 'vii°7' };
+    assert.deepStrictEqual(deserializeFromURL(serializeToURL(state)), state);
+    withPako(() => assert.deepStrictEqual(deserializeFromURL(serializeToURL(state)), state));
+});
+
+test('links made without pako still open when pako is loaded', () => {
+    const encoded = serializeToURL(SAMPLE);
+    withPako(() => assert.deepStrictEqual(deserializeFromURL(encoded), SAMPLE));
+});
+
+test('legacy plain-base64 links with "+" read back as spaces', () => {
+    const legacy = Buffer.from(JSON.stringify({ v: 2, key: 2, scale: '>>>?' })).toString('base64');
+    assert.ok(legacy.includes('+'));
+    const mangled = legacy.replace(/\+/g, ' ');
+    assert.deepStrictEqual(deserializeFromURL(mangled), { v: 2, key: 2, scale: '>>>?' });
+});
+
+test('garbage payloads report an error instead of throwing', () => {
+    for (const bad of ['', '%%%', 'bm90IGpzb24', 'x'.repeat(5000)]) {
+        const { state, error } = decodeStatePayload(bad);
+        assert.strictEqual(state, null);
+        assert.ok(error, `error for ${bad.slice(0, 10)}`);
+    }
+    withPako(() => assert.strictEqual(decodeStatePayload('AAAA').state, null));
+});
+
+// ============================================================
+// MIGRATION
+// ============================================================
+
+test('v2 ORBIT payload migrates to v3', () => {
+    const v2 = {
+        v: 2, orbit: true, key: 4, scale: 'minor',
+        density: 70, scatter: 10, drift: 20, ghosts: 0, warmth: 90, octave: 1,
+        seed: 42, start: 'im7',
+        fx: { filter: true, delay: true, reverb: false, arp: true },
+        params: { arpSpeed: 120, morphTime: 800 },
+    };
+    const s = migrateState(v2);
+    assert.strictEqual(s.v, STATE_VERSION);
+    assert.strictEqual(s.mode, 'orbit');
+    assert.strictEqual(s.key, 4);
+    assert.deepStrictEqual(s.orbit, { density: 70, scatter: 10, drift: 20, ghosts: 0, warmth: 90, seed: 42, start: 'im7' });
+    assert.deepStrictEqual(s.params, v2.params);
+});
+
+test('unversioned v1 payload migrates to a manual v3 state', () => {
+    const s = migrateState({ key: 2, scale: 'major' });
+    assert.strictEqual(s.v, STATE_VERSION);
+    assert.strictEqual(s.mode, 'manual');
+    assert.strictEqual(s.key, 2);
+});
+
+test('future versions and non-objects are rejected', () => {
+    assert.strictEqual(migrateState({ v: 99 }), null);
+    assert.strictEqual(migrateState([1, 2]), null);
+    assert.strictEqual(validateState('hello').state, null);
+    assert.deepStrictEqual(validateState({ v: 99 }).problems, ['unsupported version 99']);
+});
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+test('a clean state passes unchanged', () => {
+    const { state, problems } = validateState(SAMPLE);
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(state, SAMPLE);
+});
+
+test('out-of-range numbers are clamped and reported', () => {
+    const { state, problems } = validateState({
+        ...SAMPLE,
+        key: 15,
+        octave: -3,
+        orbit: { ...SAMPLE.orbit, density: 400 },
+        params: { ...SAMPLE.params, arpSpeed: 1, morphTime: 1e9 },
+    });
+    assert.strictEqual(state.key, 11);
+    assert.strictEqual(state.octave, 0);
+    assert.strictEqual(state.orbit.density, 100);
+    assert.strictEqual(state.params.arpSpeed, 50);
+    assert.strictEqual(state.params.morphTime, 2000);
+    assert.strictEqual(problems.length, 5);
+});
+
+test('wrong types and unknown values are dropped and reported', () => {
+    const { state, problems } = validateState({
+        ...SAMPLE,
+        key: 'C; alert(1)',
+        scale: 'lydian-dominant',
+        mode: 'party',
+        node: '<img src=x>',
+        fx: { filter: 'yes', delay: true },
+        params: { arpMode: 'sideways', filterFreq: NaN },
+    });
+    assert.ok(!('key' in state));
+    assert.ok(!('scale' in state));
+    assert.ok(!('node' in state));
+    assert.strictEqual(state.mode, 'manual');
+    assert.deepStrictEqual(state.fx, { delay: true });
+    assert.deepStrictEqual(state.params, {});
+    assert.strictEqual(problems.length, 7);
+});
+
+test('unknown instruments are dropped; older links keep the default sound', () => {
+    const { state, problems } = validateState({ ...SAMPLE, params: { ...SAMPLE.params, instrument: 'theremin' } });
+    assert.ok(!('instrument' in state.params));
+    assert.deepStrictEqual(problems, ['params.instrument "theremin" is unknown']);
+    const { ...oldParams } = SAMPLE.params;
+    delete oldParams.instrument;
+    assert.deepStrictEqual(validateState({ ...SAMPLE, params: oldParams }).problems, []);
+});
+
+test('bass settings are checked and clamped; older links have none', () => {
+    const bass = { on: true, pattern: 'walk', source: 'voicing', level: 0.8, tone: 0.3, beat: 5000 };
+    const { state, problems } = validateState({ ...SAMPLE, bass });
+    assert.deepStrictEqual(state.bass, { ...bass, beat: 1500 });
+    assert.deepStrictEqual(problems, ['bass.beat 5000 → 1500']);
+    assert.strictEqual(validateState({ ...SAMPLE, bass: { pattern: 'bossa' } }).state.bass.pattern, undefined);
+    assert.ok(!('bass' in validateState(SAMPLE).state));
+});
+
+test('tempo settings are checked; older links run free', () => {
+    const clock = { bpm: 132, meter: '7/8', swing: 0.4, quantize: 'bar' };
+    const { state, problems } = validateState({ ...SAMPLE, clock, params: { ...SAMPLE.params, arpDiv: '1/16t' } });
+    assert.deepStrictEqual(state.clock, clock);
+    assert.strictEqual(state.params.arpDiv, '1/16t');
+    assert.deepStrictEqual(problems, []);
+    const bad = validateState({ ...SAMPLE, clock: { bpm: 400, meter: '9/4' }, params: { ...SAMPLE.params, arpDiv: '1/5' } });
+    assert.deepStrictEqual(bad.state.clock, { bpm: 200 });
+    assert.ok(!('arpDiv' in bad.state.params));
+    assert.strictEqual(bad.problems.length, 3);
+    assert.ok(!('clock' in validateState(SAMPLE).state));
+});
+
+test('latch is a checked switch; older links release on let-go', () => {
+    const { state, problems } = validateState({ ...SAMPLE, fx: { ...SAMPLE.fx, latch: true } });
+    assert.strictEqual(state.fx.latch, true);
+    assert.deepStrictEqual(problems, []);
+    assert.ok(!('latch' in validateState(SAMPLE).state.fx));
+    assert.strictEqual(validateState({ ...SAMPLE, fx: { ...SAMPLE.fx, latch: 'on' } }).problems.length, 1);
+});
+
+test('unknown fields are stripped', () => {
+    const { state } = validateState({ ...SAMPLE, __proto__: { polluted: true }, extra: 'x', fx: { ...SAMPLE.fx, hack: 1 } });
+    assert.ok(!('extra' in state));
+    assert.ok(!('hack' in state.fx));
+    assert.strictEqual(state.polluted, undefined);
+});
+
+test('numeric strings are accepted', () => {
+    const { state, problems } = validateState({ v: 3, key: '7', octave: '2' });
+    assert.strictEqual(state.key, 7);
+    assert.strictEqual(state.octave, 2);
+    assert.deepStrictEqual(problems, []);
+});
+
+// ============================================================
+// APPLY
+// ============================================================
+
+/** Runs fn against a stub page: checkboxes by id, and an audioSystem that logs its calls */
+function withPage(checked, fn) {
+    const elements = {};
+    for (const [id, on] of Object.entries(checked)) elements[id] = { checked: on, value: '' };
+    const calls = [];
+    const stubs = {
+        document: { getElementById: (id) => elements[id] || null },
+        audioSystem: new Proxy({}, { get: (_, name) => (...args) => calls.push([name, ...args]) }),
+        nodes: [],
+        orbitMode: false,
+        processData: () => {},
+        initAllNodes: () => {},
+        setLatch: (on) => calls.push(['setLatch', on]),
+    };
+    Object.assign(global, stubs);
+    try { return fn(elements, calls); } finally {
+        for (const name of Object.keys(stubs)) delete global[name];
+    }
+}
+
+test('a dropped fx toggle keeps its control and its effect', () => {
+    withPage({ 'filter-toggle': true, 'delay-toggle': false, 'reverb-toggle': true }, (elements, calls) => {
+        const raw = { v: 3, mode: 'manual', fx: { filter: 'yes', delay: true, reverb: 0 } };
+        const warn = console.warn;
+        console.warn = () => {};
+        try { assert.strictEqual(applyState(raw, 'TEST'), true); } finally { console.warn = warn; }
+        assert.strictEqual(elements['filter-toggle'].checked, true);
+        assert.strictEqual(elements['delay-toggle'].checked, true);
+        assert.strictEqual(elements['reverb-toggle'].checked, true);
+
+        applyPendingAudioState();
+        assert.deepStrictEqual(calls, [['toggleDelay', true]]);
+    });
+});
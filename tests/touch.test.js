@@ -0,0 +1,42 @@
+/**
+ * Touch gesture tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    TOUCH_SWIPE_PX,
+    touchClassify,
+    touchPinchScale,
+    touchSwipeSteps,
+} = require('../argo-touch.js');
+
+// Finger from (x0, y0) moved by (dx, dy)
+const finger = (x0, y0, dx = 0, dy = 0) => ({ x0, y0, x: x0 + dx, y: y0 + dy });
+
+test('fingers that barely move are not a gesture yet', () => {
+    assert.strictEqual(touchClassify(finger(100, 300, 5, 2), finger(200, 300, 4, -3)), null);
+});
+
+test('fingers moving apart or together pinch', () => {
+    const a = finger(100, 300, -30, 0);
+    const b = finger(200, 300, 30, 0);
+    assert.strictEqual(touchClassify(a, b), 'pinch');
+    assert.strictEqual(touchPinchScale(a, b), 1.6);
+    assert.strictEqual(touchClassify(finger(100, 300, 25, 0), finger(200, 300, -25, 0)), 'pinch');
+});
+
+test('fingers travelling together swipe', () => {
+    assert.strictEqual(touchClassify(finger(100, 300, 0, -50), finger(200, 300, 0, -45)), 'swipe');
+    assert.strictEqual(touchClassify(finger(100, 300, 40, 0), finger(200, 300, 40, 0)), 'swipe');
+    assert.strictEqual(touchClassify(finger(100, 300, 0, -20), finger(200, 300, 0, -20)), null);
+});
+
+test('swipes transpose a semitone per step, right and up positive', () => {
+    const up = TOUCH_SWIPE_PX * 2 + 10;
+    assert.strictEqual(touchSwipeSteps(finger(100, 300, 0, -up), finger(200, 300, 0, -up)), 2);
+    assert.strictEqual(touchSwipeSteps(finger(100, 300, TOUCH_SWIPE_PX, 5), finger(200, 300, TOUCH_SWIPE_PX, -5)), 1);
+    assert.strictEqual(touchSwipeSteps(finger(100, 300, -TOUCH_SWIPE_PX, 0), finger(200, 300, -TOUCH_SWIPE_PX, 0)), -1);
+    assert.strictEqual(touchSwipeSteps(finger(100, 300, 0, TOUCH_SWIPE_PX - 1), finger(200, 300, 0, TOUCH_SWIPE_PX - 1)), 0);
+});
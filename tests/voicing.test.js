@@ -0,0 +1,80 @@
+/**
+ * Voice-leading tests — run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    VOICING_DEFAULTS,
+    voicingPitchClasses,
+    voiceLeadChord,
+} = require('../argo-core.js');
+
+// Degrees in C major (key 0): root offset + intervals, as in CHORD_LIBRARY
+const Imaj7 = { root: 0, intervals: [0, 4, 7, 11] };
+const iim7 = { root: 2, intervals: [0, 3, 7, 10] };
+const V7 = { root: 7, intervals: [0, 4, 7, 10] };
+const V9 = { root: 7, intervals: [0, 4, 7, 10, 14] };
+const I = { root: 0, intervals: [0, 4, 7] };
+
+const pcs = notes => notes.map(n => n % 12).sort((a, b) => a - b);
+const movement = (a, b) => a.reduce((sum, n, i) => sum + Math.abs(n - b[i]), 0);
+
+test('voice count drops the 5th, then the root, and doubles the root first', () => {
+    assert.deepStrictEqual(voicingPitchClasses(V9, 0, 4).sort((a, b) => a - b), [5, 7, 9, 11]);
+    assert.deepStrictEqual(voicingPitchClasses(V7, 0, 2).sort((a, b) => a - b), [5, 11]);
+    const doubled = voicingPitchClasses(I, 0, 4);
+    assert.strictEqual(doubled.length, 4);
+    assert.strictEqual(doubled.filter(pc => pc === 0).length, 2);
+});
+
+test('every voicing stays inside the register and keeps its chord tones', () => {
+    const voicing = { ...VOICING_DEFAULTS, mode: 'lead', low: 52, high: 76 };
+    let prev = null;
+    for (const chord of [Imaj7, iim7, V7, Imaj7, V9, I]) {
+        for (const key of [0, 5, 11]) {
+            const notes = voiceLeadChord(chord, key, prev, voicing);
+            assert.strictEqual(notes.length, 4);
+            notes.forEach(n => assert.ok(n >= 52 && n <= 76, `${n} outside 52-76`));
+            const expected = new Set(voicingPitchClasses(chord, key, 4));
+            notes.forEach(n => assert.ok(expected.has(n % 12)));
+            prev = notes;
+        }
+    }
+});
+
+test('ii-V-I moves by step instead of jumping to root position', () => {
+    const voicing = { ...VOICING_DEFAULTS, mode: 'lead' };
+    const a = voiceLeadChord(iim7, 0, null, voicing);
+    const b = voiceLeadChord(V7, 0, a, voicing);
+    const c = voiceLeadChord(Imaj7, 0, b, voicing);
+    assert.ok(movement(a, b) <= 4, `ii→V moved ${movement(a, b)}`);
+    assert.ok(movement(b, c) <= 4, `V→I moved ${movement(b, c)}`);
+    assert.deepStrictEqual(pcs(c), [0, 4, 7, 11]);
+});
+
+test('the first chord puts the root in the bass near the middle of the range', () => {
+    const notes = voiceLeadChord(Imaj7, 0, null, { ...VOICING_DEFAULTS, mode: 'lead', low: 48, high: 72 });
+    assert.strictEqual(notes[0] % 12, 0);
+    const mean = notes.reduce((s, n) => s + n, 0) / notes.length;
+    assert.ok(Math.abs(mean - 60) <= 6);
+});
+
+test('drop 2 and spread open the close voicing up', () => {
+    const base = { ...VOICING_DEFAULTS, mode: 'lead', low: 40, high: 84 };
+    const span = notes => notes[notes.length - 1] - notes[0];
+    const close = voiceLeadChord(Imaj7, 0, null, { ...base, shape: 'close' });
+    const drop2 = voiceLeadChord(Imaj7, 0, null, { ...base, shape: 'drop2' });
+    const spread = voiceLeadChord(Imaj7, 0, null, { ...base, shape: 'spread' });
+    assert.ok(span(close) < 12);
+    assert.ok(span(drop2) >= 12);
+    assert.ok(span(spread) >= 12);
+    [drop2, spread].forEach(notes => assert.deepStrictEqual(pcs(notes), [0, 4, 7, 11]));
+});
+
+test('voice leading is deterministic', () => {
+    const voicing = { ...VOICING_DEFAULTS, mode: 'lead', voices: 5, shape: 'drop3' };
+    const prev = [55, 59, 62, 65];
+    assert.deepStrictEqual(voiceLeadChord(V9, 3, prev, voicing), voiceLeadChord(V9, 3, prev, voicing));
+});
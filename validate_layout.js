@@ -1,42 +1,268 @@
-// validate_layout.js - Check for overlapping nodes
+// validate_layout.js - ARGO data linter
+//
+// Checks the corpus CSVs, layouts and chord definitions the way the app loads them
+// (argo-core.js): every mode in SCALE_MODES plus the mobile/ layouts.
+//
+// Usage:  node validate_layout.js [--json] [--strict]
+//   --json    print a JSON report instead of text
+//   --strict  fail on warnings too
+// Exit code 1 when any error (or, with --strict, warning) is found.
 const fs = require('fs');
+const path = require('path');
 
-const SCALE = 35;
-const NODE_RADIUS = 22;
-const MIN_DIST = NODE_RADIUS * 2; // 44px
+const {
+    SCALE_MODES,
+    LAYOUT_ALIASES,
+    COLORS,
+    mapCsvChordToRoman,
+    fitLayout,
+} = require('./argo-core.js');
+const { buildKeymap } = require('./argo-keys.js');
 
-function validate(filename) {
-    const data = JSON.parse(fs.readFileSync(filename, 'utf8'));
-    const nodes = data.nodes;
-    console.log(`\n=== ${data.mode} Layout (${nodes.length} nodes) ===`);
+const ROOT = __dirname;
+const SUM_TOLERANCE = 0.01;
+const INTERVAL_RANGE = [0, 24]; // up to two octaves above the root (13ths are 21)
+const KNOWN_ROLES = Object.keys(COLORS);
 
-    // Check all chords exist in definitions
-    const defs = JSON.parse(fs.readFileSync('Chord_Definitions.json', 'utf8'));
-    nodes.forEach(n => {
-        if (!defs[n.name]) console.log(`  ⚠ MISSING in Chord_Definitions: ${n.name}`);
+// Keep in step with SIDEBAR_WIDTH / LAYOUT_MARGIN / NODE_STYLE.radius in sketch.js and mobile/sketch.js
+const PLATFORMS = {
+    desktop: {
+        sidebarWidth: 280, margin: 50, nodeRadius: 22,
+        viewports: [[1280, 720], [1366, 768], [1440, 900], [1920, 1080]],
+    },
+    mobile: {
+        sidebarWidth: 0, margin: 60, nodeRadius: 24,
+        viewports: [[360, 800], [375, 667], [390, 844], [414, 896]],
+    },
+};
+
+const issues = [];
+
+function report(level, check, file, message) {
+    issues.push({ level, check, file, message });
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function readCsv(file) {
+    const [header, ...lines] = fs.readFileSync(path.join(ROOT, file), 'utf8').trim().split(/\r?\n/);
+    const cols = header.split(',');
+    return lines.map(line => {
+        const cells = line.split(',');
+        return Object.fromEntries(cols.map((c, i) => [c, cells[i]]));
+    });
+}
+
+/**
+ * ARGO merges transition rows by Count and renormalizes per history (buildChordData, blendContextTransitions),
+ * so a count that isn't a positive number is an error; a Probability column that doesn't sum to 1 is only
+ * a warning — the app never reads it.
+ */
+function checkTransitions(file) {
+    const sums = new Map();
+    for (const row of readCsv(file)) {
+        const history = ['Prev2_Chord', 'Prev_Chord', 'Current_Chord'].filter(c => c in row).map(c => row[c]).join(' → ');
+        if (!(parseFloat(row.Count) > 0)) {
+            report('error', 'transition', file, `${history} → ${row.Next_Chord}: count "${row.Count}" is not a positive number`);
+            continue;
+        }
+        sums.set(history, (sums.get(history) || 0) + parseFloat(row.Probability));
+    }
+    sums.forEach((sum, history) => {
+        if (Math.abs(sum - 1) > SUM_TOLERANCE) {
+            report('warning', 'transition', file, `${history}: Probability column sums to ${sum.toFixed(4)} (ARGO renormalizes the counts)`);
+        }
     });
+}
+
+// Every layout the app can show: SCALE_MODES (desktop) + mobile/Chord_Layout_Config_Mobile_<Mode>.json
+function collectLayouts() {
+    const layouts = Object.entries(SCALE_MODES).map(([mode, cfg]) => ({
+        file: cfg.layout, mode, context: cfg.context, platform: 'desktop',
+    }));
+    for (const file of fs.readdirSync(path.join(ROOT, 'mobile'))) {
+        const m = file.match(/^Chord_Layout_Config_Mobile_(\w+)\.json$/);
+        const mode = m && m[1].toLowerCase();
+        if (!m) continue;
+        if (!SCALE_MODES[mode]) {
+            report('error', 'layout', `mobile/${file}`, `no scale mode "${mode}" in SCALE_MODES`);
+            continue;
+        }
+        layouts.push({ file: `mobile/${file}`, mode, context: SCALE_MODES[mode].context, platform: 'mobile' });
+    }
+    return layouts;
+}
+
+// ============================================================
+// CHORD DEFINITIONS
+// ============================================================
+
+function checkDefinitions(defs) {
+    const file = 'Chord_Definitions.json';
+    for (const [name, def] of Object.entries(defs)) {
+        if (!Number.isInteger(def.root) || def.root < 0 || def.root > 11) {
+            report('error', 'definition', file, `${name}: root ${JSON.stringify(def.root)} not in 0-11`);
+        }
+        if (!Array.isArray(def.intervals) || def.intervals.length === 0) {
+            report('error', 'definition', file, `${name}: no intervals`);
+        } else {
+            const bad = def.intervals.filter(iv => !Number.isInteger(iv) || iv < INTERVAL_RANGE[0] || iv > INTERVAL_RANGE[1]);
+            if (bad.length) report('error', 'definition', file, `${name}: intervals ${bad.join(', ')} out of ${INTERVAL_RANGE.join('-')}`);
+            if (new Set(def.intervals).size !== def.intervals.length) report('warning', 'definition', file, `${name}: duplicate intervals`);
+        }
+        if (def.bass !== undefined && (!Number.isInteger(def.bass) || def.bass < 0 || def.bass > 11)) {
+            report('error', 'definition', file, `${name}: bass ${JSON.stringify(def.bass)} not in 0-11`);
+        }
+        if (!KNOWN_ROLES.includes(def.role)) {
+            report('error', 'definition', file, `${name}: unknown role "${def.role}"`);
+        }
+    }
+}
 
-    let overlaps = 0;
-    for (let i = 0; i < nodes.length; i++) {
-        for (let j = i + 1; j < nodes.length; j++) {
-            const a = nodes[i], b = nodes[j];
-            const ax = a.r * SCALE * Math.cos(a.theta);
-            const ay = a.r * SCALE * Math.sin(a.theta);
-            const bx = b.r * SCALE * Math.cos(b.theta);
-            const by = b.r * SCALE * Math.sin(b.theta);
-            const d = Math.sqrt((ax - bx) ** 2 + (ay - by) ** 2);
-            if (d < MIN_DIST) {
-                console.log(`  ✗ OVERLAP: ${a.name} ↔ ${b.name} (dist=${d.toFixed(1)}px < ${MIN_DIST}px)`);
-                overlaps++;
+// ============================================================
+// LAYOUTS
+// ============================================================
+
+function checkLayout(entry, layout, defs) {
+    const { file, platform } = entry;
+    const nodes = layout.nodes || [];
+    if (nodes.length === 0) report('error', 'layout', file, 'no nodes');
+
+    const seen = new Set();
+    for (const n of nodes) {
+        if (seen.has(n.name)) report('error', 'layout', file, `duplicate node ${n.name}`);
+        seen.add(n.name);
+        if (!defs[n.name]) report('error', 'definition', file, `${n.name} missing in Chord_Definitions.json`);
+        if (!Number.isFinite(parseFloat(n.r)) || !Number.isFinite(parseFloat(n.theta))) {
+            report('error', 'layout', file, `${n.name}: r/theta not numeric`);
+        }
+        if (!KNOWN_ROLES.includes(n.func)) report('warning', 'layout', file, `${n.name}: unknown func "${n.func}"`);
+    }
+
+    // Keyboard play (desktop): the pins, and a key for every node
+    if (platform === 'desktop') {
+        buildKeymap(nodes, layout.keymap || {}).problems.forEach(p => report('error', 'keymap', file, p));
+    }
+
+    // Overlaps at the scale initAllNodes would use on each viewport
+    const cfg = PLATFORMS[platform];
+    const minDist = cfg.nodeRadius * 2;
+    const pairs = new Map();
+    for (const [w, h] of cfg.viewports) {
+        const { scale } = fitLayout(layout, w, h, cfg.sidebarWidth, cfg.margin);
+        const pos = nodes.map(n => {
+            const r = parseFloat(n.r) || 0;
+            const theta = parseFloat(n.theta) || 0;
+            return { name: n.name, x: r * scale * Math.cos(theta), y: r * scale * Math.sin(theta) };
+        });
+        for (let i = 0; i < pos.length; i++) {
+            for (let j = i + 1; j < pos.length; j++) {
+                const d = Math.hypot(pos[i].x - pos[j].x, pos[i].y - pos[j].y);
+                if (d >= minDist) continue;
+                const key = `${pos[i].name} ↔ ${pos[j].name}`;
+                if (!pairs.has(key)) pairs.set(key, []);
+                pairs.get(key).push(`${w}×${h} (${d.toFixed(1)}px)`);
             }
         }
     }
-    if (overlaps === 0) {
-        console.log(`  ✓ No overlaps detected! All ${nodes.length} nodes OK.`);
+    pairs.forEach((at, key) => report('error', 'overlap', file, `${key} closer than ${minDist}px at ${at.join(', ')}`));
+}
+
+// ============================================================
+// CORPUS
+// ============================================================
+
+function checkCorpus(context, cfg, layouts) {
+    const isMinor = context === 'minor';
+    const aliases = LAYOUT_ALIASES[context] || {};
+    const reverse = {};
+    for (const [alias, source] of Object.entries(aliases)) reverse[source] = alias;
+
+    const nodeNames = new Set();
+    layouts.forEach(({ layout }) => (layout.nodes || []).forEach(n => nodeNames.add(n.name)));
+    const onLayout = roman => roman && (nodeNames.has(roman) || nodeNames.has(reverse[roman]));
+
+    // Probabilities: total ≈ 1, and which chords never reach a node
+    const probRows = readCsv(cfg.prob);
+    const total = probRows.reduce((sum, r) => sum + parseFloat(r.Probability), 0);
+    if (Math.abs(total - 1) > SUM_TOLERANCE) report('error', 'probability', cfg.prob, `probabilities sum to ${total.toFixed(4)}`);
+
+    const mapped = new Set();
+    const unmapped = [];
+    for (const row of probRows) {
+        const roman = mapCsvChordToRoman(row.Normalized_Chord, isMinor);
+        if (roman) mapped.add(roman);
+        if (!onLayout(roman)) unmapped.push({ chord: row.Normalized_Chord, roman, prob: parseFloat(row.Probability) });
+    }
+    if (unmapped.length) {
+        const mass = unmapped.reduce((sum, u) => sum + u.prob, 0);
+        const top = unmapped.sort((a, b) => b.prob - a.prob).slice(0, 10)
+            .map(u => `${u.chord}→${u.roman} ${(u.prob * 100).toFixed(2)}%`);
+        report('warning', 'unmapped', cfg.prob,
+            `${unmapped.length} chords (${(mass * 100).toFixed(1)}% of the corpus) map to no ${context} layout node; top: ${top.join(', ')}`);
+    }
+
+    // Transitions (+ the optional 2nd/3rd-order tables)
+    for (const file of [cfg.trans, cfg.trans2, cfg.trans3]) {
+        if (file && fs.existsSync(path.join(ROOT, file))) checkTransitions(file);
+    }
+
+    // Aliases: the source must come out of the corpus, the alias should be a node somewhere
+    for (const [alias, source] of Object.entries(aliases)) {
+        if (!mapped.has(source)) report('error', 'alias', `LAYOUT_ALIASES.${context}`, `${alias} → ${source}: no CSV chord maps to ${source}`);
+        if (!nodeNames.has(alias)) report('warning', 'alias', `LAYOUT_ALIASES.${context}`, `${alias} is not a node in any ${context} layout`);
+    }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main(argv) {
+    const json = argv.includes('--json');
+    const strict = argv.includes('--strict');
+
+    const defs = readJSON('Chord_Definitions.json');
+    checkDefinitions(defs);
+
+    const layouts = collectLayouts().map(entry => ({ ...entry, layout: readJSON(entry.file) }));
+    layouts.forEach(entry => checkLayout(entry, entry.layout, defs));
+
+    // One pass per corpus (modes share CSVs)
+    const corpora = new Map();
+    for (const [mode, cfg] of Object.entries(SCALE_MODES)) {
+        const key = `${cfg.context}|${cfg.prob}|${cfg.trans}`;
+        if (!corpora.has(key)) corpora.set(key, { context: cfg.context, cfg, layouts: [] });
+        corpora.get(key).layouts.push(...layouts.filter(l => l.mode === mode));
+    }
+    corpora.forEach(({ context, cfg, layouts: used }) => checkCorpus(context, cfg, used));
+
+    const errors = issues.filter(i => i.level === 'error').length;
+    const warnings = issues.length - errors;
+    const ok = errors === 0 && (!strict || warnings === 0);
+
+    if (json) {
+        console.log(JSON.stringify({
+            ok, errors, warnings,
+            layouts: layouts.map(l => ({ file: l.file, mode: l.mode, platform: l.platform, nodes: (l.layout.nodes || []).length })),
+            issues,
+        }, null, 2));
     } else {
-        console.log(`  ✗ ${overlaps} overlap(s) found!`);
+        const files = [...new Set(issues.map(i => i.file))];
+        for (const l of layouts) {
+            if (!files.includes(l.file)) console.log(`✓ ${l.file} (${l.platform} ${l.mode}, ${l.layout.nodes.length} nodes)`);
+        }
+        for (const file of files) {
+            console.log(`\n=== ${file} ===`);
+            issues.filter(i => i.file === file).forEach(i => {
+                console.log(`  ${i.level === 'error' ? '✗' : '⚠'} [${i.check}] ${i.message}`);
+            });
+        }
+        console.log(`\n${ok ? '✓' : '✗'} ${errors} error(s), ${warnings} warning(s)`);
     }
+    return ok ? 0 : 1;
 }
 
-validate('Chord_Layout_Config_v11_Major.json');
-validate('Chord_Layout_Config_v11_Minor.json');
+process.exitCode = main(process.argv.slice(2));